@@ -0,0 +1,498 @@
+#!/usr/bin/env node
+// CaldaSpace - Command-Line Interface
+// Headless access to the data modules from Node: tables for people, --json for scripts
+import { fetchAPOD, fetchNearEarthObjects, fetchMarsPhotos, COMET_3I_DESIGNATION } from '../js/api.js';
+import { fetchSpaceWeatherData, getSpaceWeatherAlerts } from '../js/space-weather.js';
+import { fetchHorizonsObserver } from '../js/horizons.js';
+import { LaunchWindowOptimizer } from '../js/launch-optimizer.js';
+import { getKeyManager, getCredential, SERVICES } from '../js/credentials.js';
+import { APIError, ValidationError, isCancellation } from '../js/errors.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Exit codes: 1 = request failed, 2 = bad usage, 130 = interrupted (Ctrl+C)
+const EXIT = { FAILURE: 1, USAGE: 2, INTERRUPTED: 130 };
+
+// Named observing sites for `comet ephemeris --location` (same sites as the 3I/ATLAS tracker)
+const OBSERVER_LOCATIONS = {
+    'stockholm': { name: 'Stockholm', lat: 59.3293, lon: 18.0686, elevation: 44 },
+    'mauna-kea': { name: 'Mauna Kea', lat: 19.8207, lon: -155.4681, elevation: 4205 },
+    'cerro-paranal': { name: 'Cerro Paranal', lat: -24.6275, lon: -70.4044, elevation: 2635 },
+    'la-palma': { name: 'La Palma', lat: 28.7569, lon: -17.8814, elevation: 2396 },
+    'greenwich': { name: 'Greenwich', lat: 51.4769, lon: -0.0005, elevation: 46 }
+};
+
+const USAGE = `Usage: caldaspace <command> [options]
+
+Commands:
+  apod [--date YYYY-MM-DD]                      Astronomy Picture of the Day
+  neo --from YYYY-MM-DD [--to YYYY-MM-DD]       Near-Earth object close approaches
+      [--hazardous]
+  mars photos --rover NAME (--sol N | --date YYYY-MM-DD) [--camera NAME] [--page N]
+                                                Mars rover photos
+  spaceweather now                              Current solar wind, Kp, flares and aurora
+  comet ephemeris [--days N] [--location SITE] [--step '1 d'] [--target DESIGNATION]
+                                                3I/ATLAS sky position from JPL Horizons
+  launch windows --to BODY [--from earth] [--site KSC] [--vehicle 'Falcon Heavy']
+      [--start YYYY-MM-DD] [--end YYYY-MM-DD] [--payload KG]
+                                                Ranked launch windows
+
+Options:
+  --json           Print JSON instead of a table
+  --timeout MS     Give up after MS milliseconds (default ${DEFAULT_TIMEOUT_MS})
+  --api-key KEY    NASA API key (default: NASA_API_KEYS / NASA_API_KEY, else DEMO_KEY)
+  --verbose        Show the data modules' progress messages on stderr
+  --help           Show this help
+
+Locations: ${Object.keys(OBSERVER_LOCATIONS).join(', ')}, or "lat,lon[,elevation_m]"`;
+
+/**
+ * Split command-line arguments into positionals and --options.
+ * `--name value` and `--name=value` set a value; a --name followed by another option or nothing is true.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {object} { positionals, options }
+ */
+function parseArguments(argv) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (inline !== undefined) {
+            options[name] = inline;
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            options[name] = argv[++i];
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { positionals, options };
+}
+
+/**
+ * Read a whole-number option
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @param {number} fallback - Value when the option is absent
+ * @returns {number} Value
+ */
+function integerOption(options, name, fallback) {
+    if (options[name] === undefined) return fallback;
+
+    const value = Number(options[name]);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new ValidationError(`--${name} must be a non-negative whole number`, { field: name });
+    }
+    return value;
+}
+
+/**
+ * Read a string option that must have a value
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @returns {string|undefined} Value
+ */
+function stringOption(options, name) {
+    if (options[name] === true) {
+        throw new ValidationError(`--${name} needs a value`, { field: name });
+    }
+    return options[name];
+}
+
+/**
+ * Add days to a YYYY-MM-DD date (UTC)
+ * @param {string} date - Start date
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+    return new Date(Date.parse(date) + days * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+/**
+ * Today's date in UTC
+ * @returns {string} YYYY-MM-DD
+ */
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Resolve --location to an observing site
+ * @param {string} value - Site name from OBSERVER_LOCATIONS or "lat,lon[,elevation_m]"
+ * @returns {object} { name, lat, lon, elevation }
+ */
+function resolveLocation(value) {
+    const named = OBSERVER_LOCATIONS[String(value).toLowerCase().replace(/\s+/g, '-')];
+    if (named) return named;
+
+    const parts = String(value).split(',').map(Number);
+    if (parts.length < 2 || parts.length > 3 || parts.some(isNaN)) {
+        throw new ValidationError(`Unknown location: ${value}. Use one of ${Object.keys(OBSERVER_LOCATIONS).join(', ')} or "lat,lon[,elevation_m]"`, { field: 'location' });
+    }
+
+    const [lat, lon, elevation = 0] = parts;
+    return { name: `${lat},${lon}`, lat, lon, elevation };
+}
+
+/**
+ * Format a value for a table cell
+ * @param {*} value - Cell value
+ * @param {number} digits - Decimals for numbers
+ * @returns {string} Text
+ */
+function cell(value, digits = 2) {
+    if (value === null || value === undefined || (typeof value === 'number' && isNaN(value))) return '-';
+    if (typeof value === 'number') return value.toFixed(digits);
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    return String(value);
+}
+
+/**
+ * Render rows as an aligned text table
+ * @param {Array<object>} rows - Rows
+ * @param {Array<object>} columns - [{ header, value: row => cell value, digits: decimals for numbers (default 2), align: 'right' }]
+ * @returns {string} Table
+ */
+function formatTable(rows, columns) {
+    const cells = rows.map(row => columns.map(column => cell(column.value(row), column.digits)));
+    const widths = columns.map((column, index) =>
+        Math.max(column.header.length, ...cells.map(values => values[index].length)));
+
+    const line = values => values
+        .map((value, index) => (columns[index].align === 'right' ? value.padStart(widths[index]) : value.padEnd(widths[index])))
+        .join('  ')
+        .trimEnd();
+
+    return [
+        line(columns.map(column => column.header)),
+        line(widths.map(width => '-'.repeat(width))),
+        ...cells.map(line)
+    ].join('\n');
+}
+
+/**
+ * Render label/value pairs, one per line
+ * @param {Array<Array>} pairs - [[label, value]]
+ * @returns {string} Text
+ */
+function formatRecord(pairs) {
+    const width = Math.max(...pairs.map(([label]) => label.length));
+    return pairs
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([label, value]) => `${label.padEnd(width)}  ${cell(value)}`)
+        .join('\n');
+}
+
+/**
+ * Format right ascension in degrees as hours, minutes and seconds
+ * @param {number} degrees - RA in degrees
+ * @returns {string|null} e.g. "12h 34m 56.7s"
+ */
+function formatRA(degrees) {
+    if (degrees === null) return null;
+    // Round once, in tenths of a second of time, so 59.96s never prints as 60.0s
+    const tenths = Math.round((((degrees / 15) % 24 + 24) % 24) * 36000) % 864000;
+    const h = Math.floor(tenths / 36000);
+    const m = Math.floor((tenths % 36000) / 600);
+    const s = (tenths % 600) / 10;
+    return `${String(h).padStart(2, '0')}h ${String(m).padStart(2, '0')}m ${s.toFixed(1).padStart(4, '0')}s`;
+}
+
+/**
+ * Format declination in degrees as degrees, arcminutes and arcseconds
+ * @param {number} degrees - Dec in degrees
+ * @returns {string|null} e.g. "-05° 12' 34\""
+ */
+function formatDec(degrees) {
+    if (degrees === null) return null;
+    const sign = degrees < 0 ? '-' : '+';
+    const arcseconds = Math.round(Math.abs(degrees) * 3600);
+    const d = Math.floor(arcseconds / 3600);
+    const m = Math.floor((arcseconds % 3600) / 60);
+    const s = arcseconds % 60;
+    return `${sign}${String(d).padStart(2, '0')}° ${String(m).padStart(2, '0')}' ${String(s).padStart(2, '0')}"`;
+}
+
+// Each command returns { data: what --json prints, text: the table view }
+const COMMANDS = {
+    async apod(args, request) {
+        const data = await fetchAPOD(getCredential(SERVICES.NASA), stringOption(args.options, 'date') || '', request);
+
+        return {
+            data,
+            text: [
+                formatRecord([
+                    ['Date', data.date],
+                    ['Title', data.title],
+                    ['Type', data.media_type],
+                    ['URL', data.url],
+                    ['HD URL', data.hdurl],
+                    ['Copyright', data.copyright?.trim()]
+                ]),
+                '',
+                data.explanation || ''
+            ].join('\n').trimEnd()
+        };
+    },
+
+    async neo(args, request) {
+        const { options } = args;
+        const from = stringOption(options, 'from') || today();
+        const data = await fetchNearEarthObjects(getCredential(SERVICES.NASA), from, stringOption(options, 'to'), request);
+
+        if (options.hazardous) {
+            Object.entries(data.near_earth_objects || {}).forEach(([date, neos]) => {
+                data.near_earth_objects[date] = neos.filter(neo => neo.is_potentially_hazardous_asteroid);
+            });
+        }
+
+        const approaches = Object.values(data.near_earth_objects || {})
+            .flat()
+            .map(neo => {
+                const approach = neo.close_approach_data?.[0] || {};
+                const diameter = neo.estimated_diameter?.meters || {};
+                return {
+                    id: neo.id,
+                    name: neo.name,
+                    date: approach.close_approach_date_full || approach.close_approach_date || null,
+                    epoch: approach.epoch_date_close_approach ?? Date.parse(approach.close_approach_date),
+                    diameter_min_m: diameter.estimated_diameter_min ?? null,
+                    diameter_max_m: diameter.estimated_diameter_max ?? null,
+                    velocity_kms: parseFloat(approach.relative_velocity?.kilometers_per_second) || null,
+                    miss_distance_ld: parseFloat(approach.miss_distance?.lunar) || null,
+                    miss_distance_km: parseFloat(approach.miss_distance?.kilometers) || null,
+                    hazardous: !!neo.is_potentially_hazardous_asteroid
+                };
+            })
+            .sort((a, b) => a.epoch - b.epoch || a.miss_distance_km - b.miss_distance_km);
+
+        return {
+            data,
+            text: `${approaches.length} close approach(es)\n\n` + formatTable(approaches, [
+                { header: 'Date', value: row => row.date },
+                { header: 'Name', value: row => row.name },
+                { header: 'Diameter (m)', value: row => `${cell(row.diameter_min_m, 0)}-${cell(row.diameter_max_m, 0)}`, align: 'right' },
+                { header: 'Speed (km/s)', value: row => row.velocity_kms, align: 'right' },
+                { header: 'Miss (LD)', value: row => row.miss_distance_ld, align: 'right' },
+                { header: 'Hazardous', value: row => row.hazardous }
+            ])
+        };
+    },
+
+    async mars(args, request) {
+        const [subcommand] = args.positionals;
+        if (subcommand !== 'photos') {
+            throw new ValidationError('Usage: caldaspace mars photos --rover NAME (--sol N | --date YYYY-MM-DD)', { field: 'command' });
+        }
+
+        const { options } = args;
+        const rover = String(stringOption(options, 'rover') || 'curiosity').toLowerCase();
+        const query = {
+            sol: options.sol === undefined ? undefined : integerOption(options, 'sol'),
+            earthDate: stringOption(options, 'date'),
+            camera: stringOption(options, 'camera')
+        };
+        const data = await fetchMarsPhotos(getCredential(SERVICES.NASA), rover, query, integerOption(options, 'page', 1), request);
+        const photos = data.photos || [];
+
+        return {
+            data,
+            text: `${photos.length} photo(s) from ${rover}\n\n` + formatTable(photos, [
+                { header: 'ID', value: photo => photo.id, digits: 0, align: 'right' },
+                { header: 'Sol', value: photo => photo.sol, digits: 0, align: 'right' },
+                { header: 'Earth date', value: photo => photo.earth_date },
+                { header: 'Camera', value: photo => photo.camera?.name },
+                { header: 'Image', value: photo => photo.img_src }
+            ])
+        };
+    },
+
+    async spaceweather(args, request) {
+        const [subcommand = 'now'] = args.positionals;
+        if (subcommand !== 'now') {
+            throw new ValidationError('Usage: caldaspace spaceweather now', { field: 'command' });
+        }
+
+        const data = await fetchSpaceWeatherData(getCredential(SERVICES.NASA), request);
+        const alerts = getSpaceWeatherAlerts(data);
+        const source = live => (live ? 'live' : 'simulated, source unavailable');
+        const latestFlare = data.solarFlares[0];
+
+        return {
+            data: { ...data, alerts },
+            text: [
+                formatRecord([
+                    ['Solar wind', `${cell(data.solarWind.speed, 0)} km/s, ${cell(data.solarWind.density, 1)} p/cm³ (${data.solarWind.condition}; ${source(data.status?.solarWind)})`],
+                    ['Geomagnetic', `Kp ${cell(data.geomagnetic.kIndex, 1)} ${data.geomagnetic.stormLevel || data.geomagnetic.condition || ''} (${source(data.status?.geomagnetic)})`],
+                    ['Solar flares', `${data.solarFlares.length} in 7 days${latestFlare ? `, latest ${latestFlare.classType}` : ''} (${source(data.status?.solarFlares)})`],
+                    ['Aurora', `${data.aurora.visibility} (Kp ${cell(data.aurora.kpIndex, 1)}; ${source(data.status?.aurora)})`],
+                    ['Updated', data.timestamp]
+                ]),
+                '',
+                alerts.summary,
+                ...alerts.alerts.map(alert => `  [${alert.level}] ${alert.message} - ${alert.impact}`)
+            ].join('\n')
+        };
+    },
+
+    async comet(args, request) {
+        const [subcommand] = args.positionals;
+        if (subcommand !== 'ephemeris') {
+            throw new ValidationError('Usage: caldaspace comet ephemeris [--days N] [--location SITE]', { field: 'command' });
+        }
+
+        const { options } = args;
+        const days = integerOption(options, 'days', 7);
+        if (days < 1) {
+            throw new ValidationError('--days must be at least 1', { field: 'days' });
+        }
+
+        const site = options.location ? resolveLocation(stringOption(options, 'location')) : null;
+        const start = today();
+        const ephemeris = await fetchHorizonsObserver(stringOption(options, 'target') || COMET_3I_DESIGNATION, {
+            start: start,
+            stop: addDays(start, days),
+            step: stringOption(options, 'step') || '1 d',
+            site: site,
+            ...request
+        });
+
+        const columns = [
+            { header: 'Date (UT)', value: row => row.date?.replace('T', ' ').slice(0, 16) },
+            { header: 'RA', value: row => formatRA(row.ra) },
+            { header: 'Dec', value: row => formatDec(row.dec) },
+            ...(site ? [
+                { header: 'Az (°)', value: row => row.azimuth, digits: 1, align: 'right' },
+                { header: 'Alt (°)', value: row => row.elevation, digits: 1, align: 'right' }
+            ] : []),
+            { header: 'Mag', value: row => row.magnitude, digits: 1, align: 'right' },
+            { header: 'r (AU)', value: row => row.r, digits: 3, align: 'right' },
+            { header: 'Δ (AU)', value: row => row.delta, digits: 3, align: 'right' }
+        ];
+
+        return {
+            data: { ...ephemeris, site },
+            text: `${ephemeris.targetName} as seen from ${site ? site.name : 'the geocenter'}\n\n` + formatTable(ephemeris.rows, columns)
+        };
+    },
+
+    async launch(args, request) {
+        const [subcommand] = args.positionals;
+        const { options } = args;
+        if (subcommand !== 'windows' || !options.to) {
+            throw new ValidationError('Usage: caldaspace launch windows --to BODY [--from earth] [--site KSC]', { field: 'command' });
+        }
+
+        const optimizer = new LaunchWindowOptimizer();
+        const destination = String(stringOption(options, 'to')).toLowerCase();
+        const origin = String(stringOption(options, 'from') || 'earth').toLowerCase();
+        [origin, destination].forEach(body => {
+            if (!optimizer.celestialBodies[body]) {
+                throw new ValidationError(`Unknown body: ${body}. Use one of: ${Object.keys(optimizer.celestialBodies).join(', ')}`, { field: 'to' });
+            }
+        });
+
+        const startDate = stringOption(options, 'start') || today();
+        const result = await optimizer.calculateOptimalLaunchWindows({
+            origin: origin,
+            destination: destination,
+            launchSite: stringOption(options, 'site') || 'KSC',
+            launchVehicle: stringOption(options, 'vehicle') || 'Falcon Heavy',
+            startDate: startDate,
+            endDate: stringOption(options, 'end') || addDays(startDate, 365),
+            payloadMass: integerOption(options, 'payload', 1000),
+            request: request
+        });
+
+        return {
+            data: result,
+            text: `${result.optimalWindows.length} window(s) for ${origin} → ${destination}\n\n` + formatTable(result.optimalWindows, [
+                { header: 'Launch', value: row => row.launchDate.split('T')[0] },
+                { header: 'Arrival', value: row => row.trajectory.arrivalDate.split('T')[0] },
+                { header: 'Flight (d)', value: row => row.trajectory.flightTime, digits: 0, align: 'right' },
+                { header: 'Δv (km/s)', value: row => row.trajectory.deltaV, align: 'right' },
+                { header: 'Score', value: row => row.score, digits: 0, align: 'right' },
+                { header: 'Cost (M USD)', value: row => row.cost.total / 1e6, digits: 1, align: 'right' },
+                { header: 'Feasibility', value: row => row.feasibility.category }
+            ])
+        };
+    }
+};
+
+/**
+ * Keep stdout for results: the data modules' warnings go to stderr, their progress and error logs only with --verbose
+ * (the CLI reports failures itself)
+ * @param {boolean} verbose - Show every module log
+ */
+function routeModuleLogs(verbose) {
+    const toStderr = console.error.bind(console);
+    const quiet = () => {};
+    console.log = console.info = console.debug = console.error = verbose ? toStderr : quiet;
+    console.warn = toStderr;
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    const write = text => process.stdout.write(`${text}\n`);
+    const report = text => process.stderr.write(`caldaspace: ${text}\n`);
+    const args = parseArguments(argv);
+
+    const [command, ...rest] = args.positionals;
+    if (!command || command === 'help' || args.options.help) {
+        write(USAGE);
+        return command || args.options.help ? 0 : EXIT.USAGE;
+    }
+    if (!Object.hasOwn(COMMANDS, command)) {
+        report(`unknown command "${command}"\n\n${USAGE}`);
+        return EXIT.USAGE;
+    }
+
+    routeModuleLogs(!!args.options.verbose);
+
+    const controller = new AbortController();
+    const onInterrupt = () => controller.abort();
+    process.once('SIGINT', onInterrupt);
+
+    try {
+        if (args.options['api-key']) {
+            getKeyManager().setKeys(SERVICES.NASA, [stringOption(args.options, 'api-key')]);
+        }
+
+        const request = {
+            signal: controller.signal,
+            timeout: integerOption(args.options, 'timeout', DEFAULT_TIMEOUT_MS) || null
+        };
+        const { data, text } = await COMMANDS[command]({ positionals: rest, options: args.options }, request);
+
+        write(args.options.json ? JSON.stringify(data, null, 2) : text);
+        return 0;
+    } catch (error) {
+        if (isCancellation(error)) {
+            report('interrupted');
+            return EXIT.INTERRUPTED;
+        }
+        report(error.message);
+        if (error instanceof ValidationError) return EXIT.USAGE;
+        if (!(error instanceof APIError)) console.error(error); // Stack trace with --verbose
+        return EXIT.FAILURE;
+    } finally {
+        process.removeListener('SIGINT', onInterrupt);
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -1,5 +1,9 @@
 // CaldaSpace - Multi-Agency Integration Module
 // Real-time data from NASA, ESA, SpaceX, and ISS tracking
+import { fetchJSON, createRequestSignal } from './http.js';
+import { transportFetch } from './transport.js';
+import { isCancellation, toAPIError } from './errors.js';
+
 // API Endpoints for various space agencies
 const AGENCY_APIS = {
     ISS: {
@@ -24,6 +28,9 @@ const AGENCY_APIS = {
     }
 };
 
+const ISS_TIMEOUT_MS = 10000;
+const SPACEX_TIMEOUT_MS = 15000;
+
 // Fallback data for when APIs are unavailable
 const ISS_FALLBACK_DATA = {
     position: {
@@ -38,26 +45,41 @@ const ISS_FALLBACK_DATA = {
     ]
 };
 
+/**
+ * Fetch a URL with a timeout, resolving to null on failure so the caller can use fallback data.
+ * Cancellation by the caller's signal is rethrown as a CancelledError.
+ * @param {string} url - Request URL
+ * @param {string} label - Name used in warnings
+ * @param {Object} options - { signal, timeout }
+ * @returns {Promise<Response|null>} Response, or null if the request failed or timed out
+ */
+async function fetchOrNull(url, label, { signal, timeout }) {
+    const request = createRequestSignal(signal, timeout);
+    try {
+        return await transportFetch(url, { signal: request.signal });
+    } catch (err) {
+        if (signal?.aborted) {
+            throw toAPIError(err, url, signal);
+        }
+        console.warn(`${label} fetch failed:`, err.message);
+        return null;
+    } finally {
+        request.cleanup();
+    }
+}
+
 /**
  * Fetch current ISS position and crew information
- * @returns {Promise<object>} ISS data with position and crew
+ * @param {Object} options - { signal: AbortSignal, timeout: ms per request (default 10000) }
+ * @returns {Promise<object>} ISS data with position and crew (fallback data on failure; a cancellation is rethrown)
  */
-export async function fetchISSData() {
+export async function fetchISSData(options = {}) {
     console.log('Fetching ISS real-time data...');
+    const { signal, timeout = ISS_TIMEOUT_MS } = options;
     
     try {
         // Fetch ISS position with timeout
-        const positionController = new AbortController();
-        const positionTimeout = setTimeout(() => positionController.abort(), 10000);
-        
-        const positionResponse = await fetch(AGENCY_APIS.ISS.position, {
-            signal: positionController.signal
-        }).catch(err => {
-            console.warn('ISS position fetch failed:', err.message);
-            return null;
-        });
-        
-        clearTimeout(positionTimeout);
+        const positionResponse = await fetchOrNull(AGENCY_APIS.ISS.position, 'ISS position', { signal, timeout });
         
         let positionData = null;
         if (positionResponse && positionResponse.ok) {
@@ -68,17 +90,7 @@ export async function fetchISSData() {
         }
         
         // Fetch crew information with timeout
-        const peopleController = new AbortController();
-        const peopleTimeout = setTimeout(() => peopleController.abort(), 10000);
-        
-        const peopleResponse = await fetch(AGENCY_APIS.ISS.people, {
-            signal: peopleController.signal
-        }).catch(err => {
-            console.warn('ISS crew fetch failed:', err.message);
-            return null;
-        });
-        
-        clearTimeout(peopleTimeout);
+        const peopleResponse = await fetchOrNull(AGENCY_APIS.ISS.people, 'ISS crew', { signal, timeout });
         
         let peopleData = null;
         if (peopleResponse && peopleResponse.ok) {
@@ -104,6 +116,9 @@ export async function fetchISSData() {
         return issData;
         
     } catch (error) {
+        if (isCancellation(error)) {
+            throw error;
+        }
         console.error('Error in fetchISSData:', error.message);
         console.log('Returning fallback ISS data due to error');
         
@@ -119,45 +134,45 @@ export async function fetchISSData() {
 
 /**
  * Fetch SpaceX launch data
- * @returns {Promise<Array>} Array of launch data
+ * @param {Object} options - { retry, signal: AbortSignal, timeout: ms (default 15000) }
+ * @returns {Promise<Array>} Array of launch data (empty on failure; a cancellation is rethrown)
  */
-export async function fetchSpaceXLaunches() {
+export async function fetchSpaceXLaunches(options = {}) {
     console.log('Fetching SpaceX launches...');
+    const { retry = {}, signal, timeout = SPACEX_TIMEOUT_MS } = options;
     
     try {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 15000);
-        
-        const response = await fetch(AGENCY_APIS.SPACEX.launches, {
-            signal: controller.signal
+        const launches = await fetchJSON(AGENCY_APIS.SPACEX.launches, {
+            service: 'SpaceX API',
+            retry,
+            signal,
+            timeout
         });
         
-        clearTimeout(timeout);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const launches = await response.json();
         console.log(`Fetched ${launches.length} SpaceX launches`);
         return launches;
         
     } catch (error) {
-        console.error('Error fetching SpaceX launches:', error.message);
+        if (isCancellation(error)) {
+            throw error;
+        }
+        console.error(`Error fetching SpaceX launches (${error.name}):`, error.message);
         return [];
     }
 }
 
 /**
  * Fetch multi-agency status information
+ * @param {Object} options - { signal: AbortSignal, timeout: ms per request (default: each agency's own timeout) } passed to every agency request
  * @returns {Promise<object>} Combined agency status
  */
-export async function fetchMultiAgencyStatus() {
+export async function fetchMultiAgencyStatus(options = {}) {
     console.log('Fetching multi-agency status...');
+    const { signal, timeout } = options;
     
     try {
-        const issData = await fetchISSData();
-        const spaceXData = await fetchSpaceXLaunches();
+        const issData = await fetchISSData({ signal, timeout });
+        const spaceXData = await fetchSpaceXLaunches({ signal, timeout });
         
         return {
             iss: issData,
@@ -170,6 +185,9 @@ export async function fetchMultiAgencyStatus() {
         };
         
     } catch (error) {
+        if (isCancellation(error)) {
+            throw error;
+        }
         console.error('Error in fetchMultiAgencyStatus:', error.message);
         
         // Return minimal fallback data
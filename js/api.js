@@ -1,7 +1,41 @@
 // CaldaSpace Enhanced API Module - Advanced NASA API interactions with source attribution
+import { getResponseCache, buildCacheKey, CACHE_TTL } from './cache.js';
+import { getRateLimiter, getRateLimitBudget, maskAPIKey, REQUEST_PRIORITY } from './rate-limit.js';
+import { withRetry } from './retry.js';
+import { createRequestSignal } from './http.js';
+import { getInFlightRequests } from './inflight.js';
+import { getKeyManager, getCredential, SERVICES } from './credentials.js';
+import { transportFetch } from './transport.js';
+import { fetchHorizonsVectors } from './horizons.js';
+import { earthPosition, toJulianDate, convertJulianDate, TIME_SCALES } from './astro.js';
+import { orbitalState, neoOrbitalElements } from './orbits.js';
+import {
+    APIError,
+    ValidationError,
+    AuthError,
+    RateLimitError,
+    NotFoundError,
+    UpstreamError,
+    NetworkError,
+    TimeoutError,
+    CancelledError,
+    isCancellation,
+    errorForStatus,
+    toAPIError
+} from './errors.js';
+
 const NASA_API_BASE_URL = 'https://api.nasa.gov';
-const JPL_HORIZONS_API = 'https://ssd-api.jpl.nasa.gov/horizons_file.api';
 const APOD_START_DATE = '1995-06-16';
+const APOD_RANGE_CHUNK_DAYS = 100; // Larger start_date/end_date spans tend to time out upstream
+const APOD_MAX_COUNT = 100; // Upper limit of the APOD `count` parameter
+const NEO_FEED_MAX_DAYS = 7; // The NEO feed rejects longer start_date/end_date spans
+const NEO_FEED_CONCURRENCY = 3; // Parallel feed windows for long ranges
+const NEO_BROWSE_MAX_PAGE_SIZE = 20; // The browse endpoint caps `size` at 20
+const MARS_PHOTOS_PAGE_SIZE = 25; // Fixed page size of the Mars Rover Photos API
+const EPIC_ARCHIVE_URL = 'https://epic.gsfc.nasa.gov/archive'; // Public image archive (no API key in image URLs)
+const EPIC_COLLECTIONS = ['natural', 'enhanced'];
+const EPIC_SETTLE_DAYS = 2; // Images for recent dates can still be added while they are processed
+const COMET_3I_DESIGNATION = 'DES=C/2025 N1;'; // 3I/ATLAS in the JPL small-body database
 
 /**
  * Enhanced date validation for APOD API
@@ -27,7 +61,8 @@ function validateAPODDate(date) {
     const today = new Date();
     today.setUTCHours(0, 0, 0, 0);
 
-    if (isNaN(inputDate.getTime())) {
+    // new Date() rolls impossible days such as 2025-02-30 over into the next month
+    if (!isCalendarDate(date)) {
         return { 
             valid: false, 
             date: null, 
@@ -67,6 +102,189 @@ export function getLatestAPODDate() {
     return `${y}-${m}-${d}`;
 }
 
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Check that a string is a real YYYY-MM-DD calendar date.
+ * Date.parse accepts impossible days such as 2025-02-30, so the parsed date must format back to the input.
+ * @param {string} date - Date string
+ * @returns {boolean} True for a valid calendar date
+ */
+function isCalendarDate(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+        return false;
+    }
+    const parsed = new Date(date + 'T00:00:00Z');
+    return !isNaN(parsed) && toDateString(parsed) === date;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date in YYYY-MM-DD format
+ */
+function addDays(date, days) {
+    const result = new Date(date + 'T00:00:00Z');
+    result.setUTCDate(result.getUTCDate() + days);
+    return toDateString(result);
+}
+
+/**
+ * Split an inclusive date range into consecutive windows
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {number} maxDays - Maximum days per window
+ * @returns {Array<object>} [{ start, end }]
+ */
+function splitDateRange(startDate, endDate, maxDays) {
+    const windows = [];
+    let start = startDate;
+    while (start <= endDate) {
+        const end = addDays(start, maxDays - 1) < endDate ? addDays(start, maxDays - 1) : endDate;
+        windows.push({ start, end });
+        start = addDays(end, 1);
+    }
+    return windows;
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * @param {Array} items - Input items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Merge NEO feed responses from consecutive windows
+ * @param {Array<object>} feeds - Feed responses
+ * @returns {object} { element_count, near_earth_objects } with dates sorted and objects de-duplicated per date
+ */
+function mergeNEOFeeds(feeds) {
+    const byDate = {};
+
+    feeds.forEach(feed => {
+        Object.entries(feed.near_earth_objects || {}).forEach(([date, neos]) => {
+            byDate[date] = byDate[date] || new Map();
+            neos.forEach(neo => byDate[date].set(neo.id, neo));
+        });
+    });
+
+    const merged = {};
+    let elementCount = 0;
+    Object.keys(byDate).sort().forEach(date => {
+        merged[date] = Array.from(byDate[date].values());
+        elementCount += merged[date].length;
+    });
+
+    return { element_count: elementCount, near_earth_objects: merged };
+}
+
+const NEO_POSITION_SCALE = 100; // Scene units per AU of miss distance
+
+/**
+ * Hash a string to a repeatable number in [0, 1)
+ * @param {string} text - Seed text
+ * @returns {number} Pseudo-random fraction
+ */
+function seededFraction(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash / 0x100000000;
+}
+
+/**
+ * Geocentric direction of a NEO at its close approach, from its orbital elements
+ * @param {Object} orbitalData - NeoWs orbital_data
+ * @param {number} jd - Julian date (TDB) of the close approach
+ * @returns {object|null} Unit vector { x, y, z } (ecliptic), or null if the elements are unusable
+ */
+function neoDirectionFromOrbit(orbitalData, jd) {
+    const elements = neoOrbitalElements(orbitalData);
+
+    if (isNaN(jd)) {
+        return null;
+    }
+
+    // Two-body propagation from the elements to the approach
+    let neo;
+    try {
+        neo = orbitalState(elements, jd).position;
+    } catch (error) {
+        if (error instanceof ValidationError) return null; // Incomplete or invalid elements
+        throw error;
+    }
+    const earth = earthPosition(jd);
+    const offset = { x: neo.x - earth.x, y: neo.y - earth.y, z: neo.z - earth.z };
+    const length = Math.hypot(offset.x, offset.y, offset.z);
+
+    return length > 0 ? { x: offset.x / length, y: offset.y / length, z: offset.z / length } : null;
+}
+
+/**
+ * Reproducible 3D position of a NEO at close approach for visualizations.
+ * Direction comes from its orbital elements propagated to the approach epoch (geocentric ecliptic frame);
+ * without elements, from a hash of its id. Length is always the reported miss distance.
+ * @param {Object} neo - NeoWs object (feed with detailed=true, lookup or browse)
+ * @param {Object} approach - Entry of neo.close_approach_data
+ * @returns {object} { x, y, z, distance (AU), velocity (km/s), source: 'orbital_data' | 'seeded' }
+ */
+function computeNEOPosition3D(neo, approach) {
+    const distance = parseFloat(approach?.miss_distance?.astronomical);
+    const velocity = parseFloat(approach?.relative_velocity?.kilometers_per_second);
+    const epoch = Number(approach?.epoch_date_close_approach);
+    // Orbital elements are referred to TDB; the approach epoch is UTC milliseconds
+    const jd = Number.isFinite(epoch) ? convertJulianDate(toJulianDate(epoch), TIME_SCALES.UTC, TIME_SCALES.TDB) : NaN;
+
+    let direction = neoDirectionFromOrbit(neo.orbital_data, jd);
+    const source = direction ? 'orbital_data' : 'seeded';
+
+    if (!direction) {
+        // Same spread as a random layout, but stable across reloads
+        const id = String(neo.id ?? neo.neo_reference_id ?? neo.name ?? '');
+        const angle = seededFraction(id) * Math.PI * 2;
+        const z = (seededFraction(`${id}:z`) - 0.5) * 0.5;
+        const length = Math.hypot(1, z);
+        direction = { x: Math.cos(angle) / length, y: Math.sin(angle) / length, z: z / length };
+    }
+
+    const radius = (isNaN(distance) ? 0 : distance) * NEO_POSITION_SCALE;
+    return {
+        x: direction.x * radius,
+        y: direction.y * radius,
+        z: direction.z * radius,
+        distance: distance,
+        velocity: velocity,
+        source: source
+    };
+}
+
 /**
  * Get the latest available date for Mars rover photos
  * @returns {string} Latest date in YYYY-MM-DD format
@@ -108,28 +326,39 @@ function validateAPIKey(apiKey) {
  * Enhanced error parsing with more user-friendly messages
  * @param {Response} response - Fetch API response
  * @param {object} data - Response JSON data (if available)
- * @returns {string} User-friendly error message
+ * @param {string} endpoint - Endpoint that was requested
+ * @returns {APIError} Typed error (ValidationError, AuthError, NotFoundError, RateLimitError, UpstreamError...)
  */
-function parseAPIError(response, data = null) {
+function parseAPIError(response, data = null, endpoint = null) {
     const status = response.status;
+    const retryAfter = parseInt(response.headers?.get?.('Retry-After'), 10);
+    const details = { endpoint, retryAfter: isNaN(retryAfter) ? null : retryAfter };
+    let message;
 
     switch (status) {
         case 400:
-            return data?.msg || data?.error?.message || 'Bad request. Please check your parameters and date format (YYYY-MM-DD)';
+            message = data?.msg || data?.error?.message || 'Bad request. Please check your parameters and date format (YYYY-MM-DD)';
+            break;
         case 403:
-            return 'Access forbidden. Your API key may be invalid or suspended. Get a new key at https://api.nasa.gov/';
+            message = 'Access forbidden. Your API key may be invalid or suspended. Get a new key at https://api.nasa.gov/';
+            break;
         case 404:
-            return 'No data found for the requested parameters. Try different dates or parameters.';
+            message = 'No data found for the requested parameters. Try different dates or parameters.';
+            break;
         case 429:
-            return 'Rate limit exceeded. DEMO_KEY allows 30 requests/hour, 50/day. Wait or get a personal API key at https://api.nasa.gov/ for higher limits';
+            message = 'Rate limit exceeded. DEMO_KEY allows 30 requests/hour, 50/day. Wait or get a personal API key at https://api.nasa.gov/ for higher limits';
+            break;
         case 500:
         case 502:
         case 503:
         case 504:
-            return 'NASA API is temporarily unavailable. Please try again in a few moments';
+            message = 'NASA API is temporarily unavailable. Please try again in a few moments';
+            break;
         default:
-            return data?.msg || data?.error?.message || `API error (Status ${status}). Please try again later`;
+            message = data?.msg || data?.error?.message || `API error (Status ${status}). Please try again later`;
     }
+
+    return errorForStatus(status, message, details);
 }
 
 /**
@@ -158,6 +387,13 @@ function addSourceLinks(data, apiType) {
                 nasa_api_docs: 'https://api.nasa.gov/#MarsPhotos'
             };
             break;
+        case 'epic':
+            sourceData.sourceLinks = {
+                epic_site: 'https://epic.gsfc.nasa.gov/',
+                full_image: data.imageUrls?.png || null,
+                nasa_api_docs: 'https://api.nasa.gov/#epic'
+            };
+            break;
         case 'neo':
             sourceData.sourceLinks = {
                 jpl_ssd: `https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=${encodeURIComponent(data.name)}`,
@@ -176,15 +412,153 @@ function addSourceLinks(data, apiType) {
 }
 
 /**
- * Enhanced APOD fetch with source links
+ * Fetch and parse a NASA API URL through the rate limiter, retrying transient failures
+ * @param {string} url - Full request URL (with api_key)
+ * @param {string} endpoint - API endpoint, for errors
  * @param {string} apiKey - NASA API key
+ * @param {Object} options - { priority, retry }
+ * @param {AbortSignal} signal - Aborts the request
+ * @returns {Promise<*>} Parsed JSON
+ */
+async function fetchNASAData(url, endpoint, apiKey, { priority, retry }, signal) {
+    const rateLimiter = getRateLimiter();
+
+    // Every attempt goes back through the rate limiter so retries spend budget too
+    const response = await withRetry(() => rateLimiter.schedule(apiKey, async () => {
+        let res;
+        try {
+            res = await transportFetch(url, { signal });
+        } catch (error) {
+            throw toAPIError(error, endpoint, signal);
+        }
+        rateLimiter.updateFromResponse(apiKey, res.headers, res.status);
+        return res;
+    }, priority, signal), retry, endpoint, signal);
+
+    if (!response.ok) {
+        let errorData = null;
+        try {
+            errorData = await response.json();
+        } catch (e) {}
+
+        throw parseAPIError(response, errorData, endpoint);
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        throw toAPIError(error, endpoint, signal);
+    }
+}
+
+/**
+ * Request a NASA API endpoint through the response cache and rate limiter.
+ * Concurrent identical requests share one fetch; cancelling one caller only aborts
+ * the fetch once every caller sharing it has cancelled. Keys held by the key manager rotate:
+ * a spent or rate-limited key is swapped for the next available one.
+ * @param {string} endpoint - API endpoint (e.g. '/planetary/apod')
+ * @param {string} apiKey - NASA API key
+ * @param {Object} params - Query parameters (without api_key)
+ * @param {Object} options - { ttl: cache lifetime in ms, useCache: false to bypass the cache,
+ *                             priority: 'high' | 'normal' | 'low' (low is deferred when the budget runs low),
+ *                             retry: partial retry policy, e.g. { maxAttempts, onRetry },
+ *                             signal: AbortSignal, timeout: ms for the whole request including retries and queueing,
+ *                             dedupe: false to always start a separate fetch, rotate: false to use only apiKey }
+ * @returns {Promise<object>} { data, fromCache }
+ */
+async function requestNASA(endpoint, apiKey, params = {}, options = {}) {
+    const {
+        ttl = CACHE_TTL.default,
+        useCache = true,
+        priority = REQUEST_PRIORITY.NORMAL,
+        retry = {},
+        signal = null,
+        timeout = null,
+        dedupe = true,
+        rotate = true
+    } = options;
+    const cache = getResponseCache();
+    const cacheKey = buildCacheKey(endpoint, params);
+
+    if (signal?.aborted) {
+        throw toAPIError(signal.reason, endpoint, signal);
+    }
+
+    if (useCache) {
+        const cached = await cache.get(cacheKey);
+        if (cached) {
+            return { data: cached.data, fromCache: true };
+        }
+    }
+
+    const keyManager = getKeyManager();
+    const request = createRequestSignal(signal, timeout);
+    let activeKey = rotate ? keyManager.preferAvailable(SERVICES.NASA, apiKey) : apiKey;
+
+    let data;
+    try {
+        for (;;) {
+            const key = activeKey;
+            const queryParams = new URLSearchParams({
+                api_key: key,
+                ...params
+            });
+            const url = `${NASA_API_BASE_URL}${endpoint}?${queryParams.toString()}`;
+
+            // With another key to rotate to, a 429 should switch keys rather than wait on this one
+            const canRotate = rotate && keyManager.hasAlternative(SERVICES.NASA, key);
+            const policy = canRotate ? { ...retry, retryRateLimited: false } : retry;
+            const fetchData = sharedSignal => fetchNASAData(url, endpoint, key, { priority, retry: policy }, sharedSignal);
+
+            try {
+                data = dedupe
+                    ? await getInFlightRequests().join(url, fetchData, request.signal)
+                    : await fetchData(request.signal);
+                break;
+            } catch (error) {
+                const nextKey = rotate && error instanceof RateLimitError
+                    ? keyManager.reportRateLimited(SERVICES.NASA, key, error.retryAfter !== null ? error.retryAfter * 1000 : null)
+                    : null;
+                if (!nextKey) {
+                    throw error;
+                }
+                console.warn(`[Keys] NASA key ${maskAPIKey(key)} is rate-limited, switching to ${maskAPIKey(nextKey)}`);
+                activeKey = nextKey;
+            }
+        }
+    } catch (error) {
+        throw toAPIError(error, endpoint, request.signal);
+    } finally {
+        request.cleanup();
+    }
+
+    if (useCache) {
+        await cache.set(cacheKey, data, ttl);
+    }
+
+    return { data, fromCache: false };
+}
+
+/**
+ * Pick the cache lifetime for an APOD request
+ * @param {string|null} date - Validated date or null for today
+ * @returns {number} TTL in milliseconds
+ */
+function getAPODCacheTTL(date) {
+    return date && date < getLatestAPODDate() ? CACHE_TTL.apod_archive : CACHE_TTL.apod_today;
+}
+
+/**
+ * Enhanced APOD fetch with source links
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
  * @param {string} date - Optional date in YYYY-MM-DD format
- * @returns {Promise<object>} Enhanced APOD data with source links
+ * @param {Object} options - Request options { useCache, ttl, priority, retry, signal, timeout }
+ * @returns {Promise<object>} Enhanced APOD data with source links and fromCache flag
  */
-export async function fetchAPOD(apiKey, date = '') {
+export async function fetchAPOD(apiKey = getCredential(SERVICES.NASA), date = '', options = {}) {
     const keyValidation = validateAPIKey(apiKey);
     if (!keyValidation.valid) {
-        throw new Error(keyValidation.warning);
+        throw new AuthError(keyValidation.warning);
     }
 
     if (keyValidation.warning) {
@@ -193,189 +567,393 @@ export async function fetchAPOD(apiKey, date = '') {
 
     const dateValidation = validateAPODDate(date);
     if (!dateValidation.valid) {
-        throw new Error(dateValidation.error);
+        throw new ValidationError(dateValidation.error, { field: 'date' });
     }
 
     try {
-        let url = `${NASA_API_BASE_URL}/planetary/apod?api_key=${apiKey}`;
-        if (dateValidation.date) {
-            url += `&date=${dateValidation.date}`;
-        }
-        
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            let errorData = null;
-            try {
-                errorData = await response.json();
-            } catch (e) {}
-            
-            const errorMessage = parseAPIError(response, errorData);
-            throw new Error(errorMessage);
-        }
-        
-        const data = await response.json();
-        return addSourceLinks(data, 'apod');
+        const params = dateValidation.date ? { date: dateValidation.date } : {};
+        const { data, fromCache } = await requestNASA('/planetary/apod', apiKey, params, {
+            ttl: getAPODCacheTTL(dateValidation.date),
+            ...options
+        });
+
+        return { ...addSourceLinks(data, 'apod'), fromCache };
     } catch (error) {
-        if (error.message.includes('date') || 
-            error.message.includes('API') || 
-            error.message.includes('Rate limit') ||
-            error.message.includes('key') ||
-            error.message.includes('image')) {
-            throw error;
+        if (!(error instanceof APIError)) {
+            console.error('Error fetching APOD:', error);
         }
-        
-        console.error('Error fetching APOD:', error);
-        throw new Error('Network error. Please check your internet connection and try again');
+        throw error;
     }
 }
 
 /**
  * Fetch random APOD from available date range
- * @param {string} apiKey - NASA API key
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
  * @returns {Promise<object>} Random APOD data
  */
-export async function fetchRandomAPOD(apiKey) {
+export async function fetchRandomAPOD(apiKey = getCredential(SERVICES.NASA)) {
     const startDate = new Date(APOD_START_DATE);
     const endDate = new Date();
     const randomTime = startDate.getTime() + Math.random() * (endDate.getTime() - startDate.getTime());
     const randomDate = new Date(randomTime);
     
-    const dateStr = randomDate.toISOString().split('T')[0];
+    const dateStr = toDateString(randomDate);
     return fetchAPOD(apiKey, dateStr);
 }
 
+/**
+ * Fetch every APOD in a date range, splitting long ranges into chunks
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format (defaults to today)
+ * @param {Object} options - Request options { useCache, priority, retry, signal, timeout, thumbs }
+ * @returns {Promise<object>} { startDate, endDate, items, fromCache } with items sorted by date
+ */
+export async function fetchAPODRange(apiKey = getCredential(SERVICES.NASA), startDate, endDate = getLatestAPODDate(), options = {}) {
+    const keyValidation = validateAPIKey(apiKey);
+    if (!keyValidation.valid) {
+        throw new AuthError(keyValidation.warning);
+    }
+
+    if (keyValidation.warning) {
+        console.warn(keyValidation.warning);
+    }
+
+    if (!startDate) {
+        throw new ValidationError('A start date is required for an APOD date range', { field: 'startDate' });
+    }
+
+    const startValidation = validateAPODDate(startDate);
+    if (!startValidation.valid) {
+        throw new ValidationError(startValidation.error, { field: 'startDate' });
+    }
+
+    const endValidation = validateAPODDate(endDate);
+    if (!endValidation.valid) {
+        throw new ValidationError(endValidation.error, { field: 'endDate' });
+    }
+
+    if (startDate > endDate) {
+        throw new ValidationError('Start date must be on or before end date', { field: 'startDate' });
+    }
+
+    const { thumbs = true, ...requestOptions } = options;
+    const today = getLatestAPODDate();
+
+    try {
+        const byDate = new Map();
+        let fromCache = true;
+
+        // Sequential on purpose: chunks spend rate-limit budget one at a time
+        for (const window of splitDateRange(startDate, endDate, APOD_RANGE_CHUNK_DAYS)) {
+            const result = await requestNASA('/planetary/apod', apiKey, {
+                start_date: window.start,
+                end_date: window.end,
+                thumbs: thumbs
+            }, {
+                ttl: window.end < today ? CACHE_TTL.apod_archive : CACHE_TTL.apod_today,
+                ...requestOptions
+            });
+
+            fromCache = fromCache && result.fromCache;
+            (Array.isArray(result.data) ? result.data : [result.data]).forEach(item => {
+                byDate.set(item.date, addSourceLinks(item, 'apod'));
+            });
+        }
+
+        const items = Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+        return { startDate, endDate, items, fromCache };
+    } catch (error) {
+        if (!(error instanceof APIError)) {
+            console.error('Error fetching APOD range:', error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Fetch a batch of random APODs in as few requests as possible
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+ * @param {number} count - Number of distinct APODs wanted
+ * @param {Object} options - Request options { priority, retry, signal, timeout, thumbs }
+ * @returns {Promise<Array>} APOD items with source links (never cached - results are random)
+ */
+export async function fetchAPODBatch(apiKey = getCredential(SERVICES.NASA), count = 10, options = {}) {
+    const keyValidation = validateAPIKey(apiKey);
+    if (!keyValidation.valid) {
+        throw new AuthError(keyValidation.warning);
+    }
+
+    if (keyValidation.warning) {
+        console.warn(keyValidation.warning);
+    }
+
+    if (!Number.isInteger(count) || count < 1) {
+        throw new ValidationError('Count must be a positive whole number', { field: 'count' });
+    }
+
+    const { thumbs = true, ...requestOptions } = options;
+    const byDate = new Map();
+    const maxRequests = Math.ceil(count / APOD_MAX_COUNT) + 2; // Room for duplicate dates
+
+    try {
+        for (let i = 0; i < maxRequests && byDate.size < count; i++) {
+            const { data } = await requestNASA('/planetary/apod', apiKey, {
+                count: Math.min(APOD_MAX_COUNT, count - byDate.size),
+                thumbs: thumbs
+            }, { ...requestOptions, useCache: false, dedupe: false }); // `count` is random: never share a response
+
+            (Array.isArray(data) ? data : [data]).forEach(item => {
+                if (byDate.size < count) {
+                    byDate.set(item.date, addSourceLinks(item, 'apod'));
+                }
+            });
+        }
+
+        return Array.from(byDate.values());
+    } catch (error) {
+        if (!(error instanceof APIError)) {
+            console.error('Error fetching APOD batch:', error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Build Mars Rover Photos query parameters from an Earth date or a { sol, earthDate, camera } query
+ * @param {string|Object} query - 'YYYY-MM-DD' or { sol, earthDate, camera }
+ * @returns {object} Query parameters (without page)
+ */
+function buildMarsPhotoParams(query) {
+    const { sol, earthDate, camera } = typeof query === 'object' && query !== null ? query : { earthDate: query };
+    const params = {};
+
+    if (sol !== undefined && sol !== null && sol !== '') {
+        if (!Number.isInteger(Number(sol)) || Number(sol) < 0) {
+            throw new ValidationError('Sol must be a non-negative whole number', { field: 'sol' });
+        }
+        params.sol = Number(sol);
+    } else if (earthDate) {
+        params.earth_date = earthDate;
+    } else {
+        throw new ValidationError('Either a sol or an Earth date is required', { field: 'sol' });
+    }
+
+    if (camera) {
+        params.camera = String(camera).toLowerCase();
+    }
+
+    return params;
+}
+
 /**
  * Enhanced Mars Rover Photos with source links
- * @param {string} apiKey - NASA API key
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
  * @param {string} rover - Rover name
- * @param {string} earthDate - Earth date in YYYY-MM-DD format
- * @param {number} page - Page number for pagination
+ * @param {string|Object} earthDate - Earth date in YYYY-MM-DD format, or a query { sol, earthDate, camera }
+ * @param {number} page - Page number for pagination (25 photos per page)
+ * @param {Object} options - Request options { useCache, ttl, priority, retry, signal, timeout }
  * @returns {Promise<object>} Enhanced Mars rover photos data
  */
-export async function fetchMarsPhotos(apiKey, rover = 'curiosity', earthDate, page = 1) {
+export async function fetchMarsPhotos(apiKey = getCredential(SERVICES.NASA), rover = 'curiosity', earthDate, page = 1, options = {}) {
     const keyValidation = validateAPIKey(apiKey);
     if (!keyValidation.valid) {
-        throw new Error(keyValidation.warning);
+        throw new AuthError(keyValidation.warning);
     }
 
     if (keyValidation.warning) {
         console.warn(keyValidation.warning);
     }
 
+    const params = buildMarsPhotoParams(earthDate);
+
     try {
-        const url = `${NASA_API_BASE_URL}/mars-photos/api/v1/rovers/${rover}/photos?earth_date=${earthDate}&api_key=${apiKey}&page=${page}`;
-        
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            let errorData = null;
-            try {
-                errorData = await response.json();
-            } catch (e) {}
-            
-            const errorMessage = parseAPIError(response, errorData);
-            throw new Error(errorMessage);
-        }
-        
-        const data = await response.json();
-        
+        const { data, fromCache } = await requestNASA(
+            `/mars-photos/api/v1/rovers/${rover}/photos`,
+            apiKey,
+            { ...params, page: page },
+            { ttl: CACHE_TTL.mars_photos, ...options }
+        );
+
         // Add source links to each photo
         if (data.photos) {
             data.photos = data.photos.map(photo => addSourceLinks(photo, 'mars'));
         }
-        
+
+        data.fromCache = fromCache;
         return data;
     } catch (error) {
-        if (error.message.includes('API') || error.message.includes('Rate limit')) {
-            throw error;
+        if (!(error instanceof APIError)) {
+            console.error('Error fetching Mars photos:', error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Walk every page of rover photos for a sol or Earth date
+ * @example
+ * for await (const page of browseMarsPhotos(apiKey, 'curiosity', { sol: 1000, camera: 'NAVCAM' })) {
+ *     gallery.append(page.photos);
+ * }
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+ * @param {string} rover - Rover name
+ * @param {string|Object} query - Earth date in YYYY-MM-DD format, or { sol, earthDate, camera }
+ * @param {Object} options - { page: first page (1-based), maxPages, plus request options { useCache, ttl, priority, retry, signal, timeout } }
+ * @returns {AsyncGenerator<object>} Pages { page, photos, fromCache }
+ */
+export async function* browseMarsPhotos(apiKey = getCredential(SERVICES.NASA), rover = 'curiosity', query, options = {}) {
+    const { page: firstPage = 1, maxPages = Infinity, ...requestOptions } = options;
+
+    for (let page = firstPage, fetched = 0; fetched < maxPages; page++, fetched++) {
+        const data = await fetchMarsPhotos(apiKey, rover, query, page, requestOptions);
+        const photos = data.photos || [];
+
+        if (photos.length > 0) {
+            yield { page, photos, fromCache: data.fromCache };
+        }
+
+        // A short page is the last one; the API doesn't report totals
+        if (photos.length < MARS_PHOTOS_PAGE_SIZE) {
+            return;
         }
-        console.error('Error fetching Mars photos:', error);
-        throw new Error('Network error. Please check your internet connection and try again');
+    }
+}
+
+/**
+ * Fetch a rover's mission manifest: mission status, max_sol and, per sol, photo counts and cameras
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+ * @param {string} rover - Rover name
+ * @param {Object} options - Request options { useCache, ttl, priority, retry, signal, timeout }
+ * @returns {Promise<object>} { name, status, landing_date, max_sol, max_date, total_photos, photos, sols, fromCache }
+ *                            where sols maps sol -> { earth_date, total_photos, cameras }
+ */
+export async function fetchMissionManifest(apiKey = getCredential(SERVICES.NASA), rover = 'curiosity', options = {}) {
+    const keyValidation = validateAPIKey(apiKey);
+    if (!keyValidation.valid) {
+        throw new AuthError(keyValidation.warning);
+    }
+
+    if (keyValidation.warning) {
+        console.warn(keyValidation.warning);
+    }
+
+    try {
+        const { data, fromCache } = await requestNASA(
+            `/mars-photos/api/v1/manifests/${rover}`,
+            apiKey,
+            {},
+            { ttl: CACHE_TTL.mars_manifest, ...options }
+        );
+
+        const manifest = data.photo_manifest || {};
+        const sols = {};
+        (manifest.photos || []).forEach(entry => {
+            sols[entry.sol] = {
+                earth_date: entry.earth_date,
+                total_photos: entry.total_photos,
+                cameras: entry.cameras || []
+            };
+        });
+
+        return { ...manifest, sols, fromCache };
+    } catch (error) {
+        if (!(error instanceof APIError)) {
+            console.error('Error fetching mission manifest:', error);
+        }
+        throw error;
     }
 }
 
 /**
  * Fetch latest Mars photos for a rover
- * @param {string} apiKey - NASA API key
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
  * @param {string} rover - Rover name
  * @param {number} count - Number of photos to fetch
+ * @param {Object} options - Request options { useCache, ttl, priority, retry, signal, timeout }
  * @returns {Promise<object>} Latest Mars rover photos
  */
-export async function fetchLatestMarsPhotos(apiKey, rover = 'curiosity', count = 20) {
+export async function fetchLatestMarsPhotos(apiKey = getCredential(SERVICES.NASA), rover = 'curiosity', count = 20, options = {}) {
     const keyValidation = validateAPIKey(apiKey);
     if (!keyValidation.valid) {
-        throw new Error(keyValidation.warning);
+        throw new AuthError(keyValidation.warning);
     }
 
     try {
-        const url = `${NASA_API_BASE_URL}/mars-photos/api/v1/rovers/${rover}/latest_photos?api_key=${apiKey}`;
-        
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            let errorData = null;
-            try {
-                errorData = await response.json();
-            } catch (e) {}
-            
-            const errorMessage = parseAPIError(response, errorData);
-            throw new Error(errorMessage);
-        }
-        
-        const data = await response.json();
-        
+        const { data, fromCache } = await requestNASA(
+            `/mars-photos/api/v1/rovers/${rover}/latest_photos`,
+            apiKey,
+            {},
+            { ttl: CACHE_TTL.mars_latest, ...options }
+        );
+
         // Add source links and limit count
         if (data.latest_photos) {
             data.latest_photos = data.latest_photos
                 .slice(0, count)
                 .map(photo => addSourceLinks(photo, 'mars'));
         }
-        
+
+        data.fromCache = fromCache;
         return data;
     } catch (error) {
-        if (error.message.includes('API') || error.message.includes('Rate limit')) {
-            throw error;
+        if (!(error instanceof APIError)) {
+            console.error('Error fetching latest Mars photos:', error);
         }
-        console.error('Error fetching latest Mars photos:', error);
-        throw new Error('Network error. Please check your internet connection and try again');
+        throw error;
     }
 }
 
 /**
- * Enhanced Near Earth Objects with 3D visualization data
- * @param {string} apiKey - NASA API key
+ * Enhanced Near Earth Objects with 3D visualization data.
+ * Ranges longer than the feed's 7-day limit are split into windows and merged.
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
  * @param {string} startDate - Start date in YYYY-MM-DD format
- * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format (defaults to startDate + 7 days, like the API)
+ * @param {Object} options - Request options { useCache, ttl, priority, retry, signal, timeout, concurrency }
  * @returns {Promise<object>} Enhanced NEO data with 3D coordinates
  */
-export async function fetchNearEarthObjects(apiKey, startDate, endDate) {
+export async function fetchNearEarthObjects(apiKey = getCredential(SERVICES.NASA), startDate, endDate, options = {}) {
     const keyValidation = validateAPIKey(apiKey);
     if (!keyValidation.valid) {
-        throw new Error(keyValidation.warning);
+        throw new AuthError(keyValidation.warning);
     }
 
     if (keyValidation.warning) {
         console.warn(keyValidation.warning);
     }
 
+    if (!isCalendarDate(startDate)) {
+        throw new ValidationError('Invalid start date. Use YYYY-MM-DD format', { field: 'startDate' });
+    }
+
+    const rangeEnd = endDate || addDays(startDate, NEO_FEED_MAX_DAYS);
+    if (!isCalendarDate(rangeEnd)) {
+        throw new ValidationError('Invalid end date. Use YYYY-MM-DD format', { field: 'endDate' });
+    }
+
+    if (startDate > rangeEnd) {
+        throw new ValidationError('Start date must be on or before end date', { field: 'startDate' });
+    }
+
+    const { concurrency = NEO_FEED_CONCURRENCY, ...requestOptions } = options;
+
     try {
-        const url = `${NASA_API_BASE_URL}/neo/rest/v1/feed?start_date=${startDate}&end_date=${endDate}&api_key=${apiKey}&detailed=true`;
-        
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            let errorData = null;
-            try {
-                errorData = await response.json();
-            } catch (e) {}
-            
-            const errorMessage = parseAPIError(response, errorData);
-            throw new Error(errorMessage);
-        }
-        
-        const data = await response.json();
-        
+        // The API accepts up to 7 days after start_date, i.e. 8 calendar days per request
+        const windows = splitDateRange(startDate, rangeEnd, NEO_FEED_MAX_DAYS + 1);
+        const results = await mapWithConcurrency(windows, concurrency, window => requestNASA(
+            '/neo/rest/v1/feed',
+            apiKey,
+            { start_date: window.start, end_date: window.end, detailed: true },
+            { ttl: CACHE_TTL.neo_feed, ...requestOptions }
+        ));
+
+        // A single window keeps the API's own links; merged ranges have no single next/prev page
+        const data = windows.length === 1
+            ? results[0].data
+            : mergeNEOFeeds(results.map(result => result.data));
+        const fromCache = results.every(result => result.fromCache);
+
         // Enhance NEO data with 3D coordinates and source links
         if (data.near_earth_objects) {
             for (const date in data.near_earth_objects) {
@@ -385,150 +963,437 @@ export async function fetchNearEarthObjects(apiKey, startDate, endDate) {
                     
                     // Add 3D coordinates for visualization
                     if (neo.close_approach_data && neo.close_approach_data.length > 0) {
-                        const approach = neo.close_approach_data[0];
-                        const distance = parseFloat(approach.miss_distance.astronomical);
-                        const velocity = parseFloat(approach.relative_velocity.kilometers_per_second);
-                        
-                        // Generate approximate orbital position based on approach data
-                        const angle = Math.random() * Math.PI * 2; // Random angle for visualization
-                        enhancedNeo.position3D = {
-                            x: Math.cos(angle) * distance * 100, // Scale for visualization
-                            y: Math.sin(angle) * distance * 100,
-                            z: (Math.random() - 0.5) * distance * 50, // Some Z variation
-                            distance: distance,
-                            velocity: velocity
-                        };
+                        enhancedNeo.position3D = computeNEOPosition3D(neo, neo.close_approach_data[0]);
                     }
                     
                     return enhancedNeo;
                 });
             }
         }
-        
+
+        data.fromCache = fromCache;
         return data;
     } catch (error) {
-        if (error.message.includes('API') || error.message.includes('Rate limit')) {
+        if (!(error instanceof APIError)) {
+            console.error('Error fetching NEO data:', error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Fetch a single near-Earth object with its full close-approach history and orbital data
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+ * @param {string|number} id - NeoWs / SPK-ID of the asteroid (e.g. '3542519')
+ * @param {Object} options - Request options { useCache, ttl, priority, retry, signal, timeout }
+ * @returns {Promise<object>} NEO with close_approach_data, orbital_data and source links
+ */
+export async function fetchNEOById(apiKey = getCredential(SERVICES.NASA), id, options = {}) {
+    const keyValidation = validateAPIKey(apiKey);
+    if (!keyValidation.valid) {
+        throw new AuthError(keyValidation.warning);
+    }
+
+    if (keyValidation.warning) {
+        console.warn(keyValidation.warning);
+    }
+
+    if (!/^\d+$/.test(String(id ?? '').trim())) {
+        throw new ValidationError('Invalid asteroid ID. Use the numeric NeoWs/SPK ID', { field: 'id' });
+    }
+
+    try {
+        const { data, fromCache } = await requestNASA(
+            `/neo/rest/v1/neo/${String(id).trim()}`,
+            apiKey,
+            {},
+            { ttl: CACHE_TTL.neo_lookup, ...options }
+        );
+
+        return { ...addSourceLinks(data, 'neo'), fromCache };
+    } catch (error) {
+        if (!(error instanceof APIError)) {
+            console.error('Error fetching NEO details:', error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Page through the full NeoWs catalog
+ * @example
+ * for await (const page of browseNEOs(apiKey, { maxPages: 5 })) {
+ *     page.items.forEach(neo => console.log(neo.name));
+ * }
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+ * @param {Object} options - { page: first page (0-based), size: items per page (max 20),
+ *                             maxPages: stop after this many pages, plus request options
+ *                             { useCache, ttl, priority, retry, signal, timeout } }
+ * @returns {AsyncGenerator<object>} Pages { page, size, totalPages, totalElements, items, fromCache }
+ */
+export async function* browseNEOs(apiKey = getCredential(SERVICES.NASA), options = {}) {
+    const keyValidation = validateAPIKey(apiKey);
+    if (!keyValidation.valid) {
+        throw new AuthError(keyValidation.warning);
+    }
+
+    if (keyValidation.warning) {
+        console.warn(keyValidation.warning);
+    }
+
+    const {
+        page: firstPage = 0,
+        size = NEO_BROWSE_MAX_PAGE_SIZE,
+        maxPages = Infinity,
+        ...requestOptions
+    } = options;
+
+    if (!Number.isInteger(firstPage) || firstPage < 0) {
+        throw new ValidationError('Page must be a non-negative whole number', { field: 'page' });
+    }
+
+    if (!Number.isInteger(size) || size < 1 || size > NEO_BROWSE_MAX_PAGE_SIZE) {
+        throw new ValidationError(`Page size must be between 1 and ${NEO_BROWSE_MAX_PAGE_SIZE}`, { field: 'size' });
+    }
+
+    // Catalog walks are background work: yield budget to interactive requests by default
+    const priority = requestOptions.priority || REQUEST_PRIORITY.LOW;
+
+    for (let page = firstPage, fetched = 0; fetched < maxPages; page++, fetched++) {
+        let result;
+        try {
+            result = await requestNASA('/neo/rest/v1/neo/browse', apiKey, { page, size }, {
+                ttl: CACHE_TTL.neo_browse,
+                ...requestOptions,
+                priority
+            });
+        } catch (error) {
+            if (!(error instanceof APIError)) {
+                console.error('Error browsing NEOs:', error);
+            }
             throw error;
         }
-        console.error('Error fetching NEO data:', error);
-        throw new Error('Network error. Please check your internet connection and try again');
+
+        const { data, fromCache } = result;
+        const pageInfo = data.page || {};
+        const items = (data.near_earth_objects || []).map(neo => addSourceLinks(neo, 'neo'));
+
+        yield {
+            page: pageInfo.number ?? page,
+            size: pageInfo.size ?? size,
+            totalPages: pageInfo.total_pages ?? null,
+            totalElements: pageInfo.total_elements ?? null,
+            items: items,
+            fromCache: fromCache
+        };
+
+        if (items.length === 0 || (pageInfo.total_pages != null && page + 1 >= pageInfo.total_pages)) {
+            return;
+        }
     }
 }
 
 /**
- * Fetch comet 3I/Borisov (Oumuamua successor) trajectory data
- * This is a mock implementation as real-time comet data requires specific JPL Horizons queries
+ * Build an illustrative hyperbolic trajectory for when JPL Horizons can't be reached
  * @param {string} startDate - Start date
  * @param {string} endDate - End date
- * @returns {Promise<object>} Comet trajectory data
- */
-export async function fetchComet3ITrajectory(startDate, endDate) {
-    // Mock trajectory data for 3I/Atlas (interstellar comet)
-    // In a real implementation, this would query JPL Horizons API
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            const trajectory = [];
-            const start = new Date(startDate);
-            const end = new Date(endDate);
-            const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-            
-            for (let i = 0; i < days; i += 7) { // Weekly points
-                const date = new Date(start.getTime() + i * 24 * 60 * 60 * 1000);
-                const t = i / days;
-                
-                // Hyperbolic trajectory simulation
-                const a = 3.5; // Semi-major axis approximation
-                const e = 3.2; // Eccentricity (hyperbolic)
-                const angle = t * Math.PI * 2;
-                
-                trajectory.push({
-                    date: date.toISOString().split('T')[0],
-                    position: {
-                        x: a * (e * Math.cos(angle) - 1) * 200,
-                        y: a * Math.sqrt(e * e - 1) * Math.sin(angle) * 200,
-                        z: (Math.sin(angle * 3) * 50),
-                        distance_au: Math.sqrt(Math.pow(a * (e * Math.cos(angle) - 1), 2) + Math.pow(a * Math.sqrt(e * e - 1) * Math.sin(angle), 2))
-                    },
-                    velocity_kms: 26 + Math.random() * 10 // Approximate velocity
-                });
-            }
-            
-            resolve({
-                name: '3I/Atlas (Interstellar Comet)',
-                type: 'interstellar',
-                trajectory: trajectory,
-                sourceLinks: {
-                    jpl_ssd: 'https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=3I',
-                    nasa_jpl: 'https://www.jpl.nasa.gov/news/nasa-confirms-interstellar-object',
-                    horizons: 'https://ssd.jpl.nasa.gov/horizons/app.html#/'
-                }
-            });
-        }, 500);
-    });
+ * @returns {Array<object>} Weekly trajectory points (not real data)
+ */
+function generateMock3ITrajectory(startDate, endDate) {
+    const trajectory = [];
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
+
+    for (let i = 0; i < days; i += 7) { // Weekly points
+        const date = new Date(start.getTime() + i * 24 * 60 * 60 * 1000);
+        const t = i / days;
+
+        // Hyperbolic trajectory simulation
+        const a = 3.5; // Semi-major axis approximation
+        const e = 3.2; // Eccentricity (hyperbolic)
+        const angle = t * Math.PI * 2;
+
+        trajectory.push({
+            date: date.toISOString().split('T')[0],
+            position: {
+                x: a * (e * Math.cos(angle) - 1) * 200,
+                y: a * Math.sqrt(e * e - 1) * Math.sin(angle) * 200,
+                z: (Math.sin(angle * 3) * 50),
+                distance_au: Math.sqrt(Math.pow(a * (e * Math.cos(angle) - 1), 2) + Math.pow(a * Math.sqrt(e * e - 1) * Math.sin(angle), 2))
+            },
+            velocity_kms: 26 + Math.random() * 10 // Approximate velocity
+        });
+    }
+
+    return trajectory;
+}
+
+/**
+ * Fetch the trajectory of interstellar comet 3I/ATLAS from JPL Horizons
+ * (heliocentric ecliptic vectors, weekly). Falls back to a simulated hyperbola, flagged with isMock,
+ * when Horizons is unavailable. Cancellation via `signal` is rethrown rather than replaced by the simulation.
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date
+ * @param {Object} options - { step: Horizons step size (default '7 d'), retry, signal, timeout }
+ * @returns {Promise<object>} Comet trajectory data { name, type, trajectory, isMock, source, error, sourceLinks }
+ */
+export async function fetchComet3ITrajectory(startDate, endDate, options = {}) {
+    const { step = '7 d', retry = {}, signal, timeout } = options;
+    const sourceLinks = {
+        jpl_ssd: 'https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=3I',
+        nasa_jpl: 'https://www.jpl.nasa.gov/news/nasa-confirms-interstellar-object',
+        horizons: 'https://ssd.jpl.nasa.gov/horizons/app.html#/'
+    };
+
+    try {
+        const vectors = await fetchHorizonsVectors(COMET_3I_DESIGNATION, {
+            start: startDate,
+            stop: endDate,
+            step: step,
+            center: '500@10', // Heliocentric
+            retry: retry,
+            signal: signal,
+            timeout: timeout
+        });
+
+        return {
+            name: '3I/ATLAS (Interstellar Comet)',
+            designation: vectors.targetName,
+            type: 'interstellar',
+            trajectory: vectors.rows.map(row => ({
+                date: row.date.split('T')[0],
+                jd: row.jd,
+                position: {
+                    x: row.position.x * 200, // Same scene scale as the simulated trajectory
+                    y: row.position.y * 200,
+                    z: row.position.z * 200,
+                    distance_au: row.distance_au
+                },
+                position_au: row.position,
+                velocity_au_per_day: row.velocity,
+                velocity_kms: row.speed_kms
+            })),
+            isMock: false,
+            source: 'jpl_horizons',
+            sourceLinks: sourceLinks
+        };
+    } catch (error) {
+        if (error instanceof ValidationError && ['start', 'stop'].includes(error.field)) {
+            throw error; // Bad dates are the caller's problem, not an outage
+        }
+        if (isCancellation(error)) {
+            throw error;
+        }
+        console.warn('JPL Horizons unavailable, using simulated 3I/ATLAS trajectory:', error.message);
+
+        return {
+            name: '3I/ATLAS (Interstellar Comet)',
+            type: 'interstellar',
+            trajectory: generateMock3ITrajectory(startDate, endDate),
+            isMock: true,
+            source: 'simulated',
+            error: error.message,
+            sourceLinks: sourceLinks
+        };
+    }
+}
+
+/**
+ * Validate an EPIC collection name
+ * @param {string} collection - 'natural' or 'enhanced'
+ * @returns {string} Collection name
+ */
+function validateEPICCollection(collection) {
+    if (!EPIC_COLLECTIONS.includes(collection)) {
+        throw new ValidationError(`Invalid EPIC collection. Use one of: ${EPIC_COLLECTIONS.join(', ')}`, { field: 'collection' });
+    }
+    return collection;
+}
+
+/**
+ * Normalize an EPIC image record and build its archive URLs from the date path
+ * @param {Object} item - EPIC API image metadata
+ * @param {string} collection - 'natural' or 'enhanced'
+ * @returns {object} Image with centroid, positions, imageUrls and source links
+ */
+function normalizeEPICImage(item, collection) {
+    // "2019-05-30 00:50:27" -> archive path 2019/05/30
+    const [year, month, day] = (item.date || '').split(' ')[0].split('-');
+    const base = `${EPIC_ARCHIVE_URL}/${collection}/${year}/${month}/${day}`;
+
+    return addSourceLinks({
+        identifier: item.identifier,
+        caption: item.caption,
+        image: item.image,
+        version: item.version,
+        date: item.date,
+        collection: collection,
+        centroid: item.centroid_coordinates || item.coords?.centroid_coordinates || null,
+        // J2000 positions relative to Earth's center, km
+        positions: {
+            dscovr: item.dscovr_j2000_position || item.coords?.dscovr_j2000_position || null,
+            moon: item.lunar_j2000_position || item.coords?.lunar_j2000_position || null,
+            sun: item.sun_j2000_position || item.coords?.sun_j2000_position || null
+        },
+        attitude: item.attitude_quaternions || item.coords?.attitude_quaternions || null,
+        imageUrls: {
+            png: `${base}/png/${item.image}.png`,
+            jpg: `${base}/jpg/${item.image}.jpg`,
+            thumb: `${base}/thumbs/${item.image}.jpg`
+        }
+    }, 'epic');
+}
+
+/**
+ * Fetch EPIC (DSCOVR) full-disc Earth images for a date, or the most recent set
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+ * @param {Object} query - { collection: 'natural' | 'enhanced', date: YYYY-MM-DD (omit for the latest images) }
+ * @param {Object} options - Request options { useCache, ttl, priority, retry, signal, timeout }
+ * @returns {Promise<object>} { collection, date, images, fromCache }
+ */
+export async function fetchEPICImages(apiKey = getCredential(SERVICES.NASA), query = {}, options = {}) {
+    const keyValidation = validateAPIKey(apiKey);
+    if (!keyValidation.valid) {
+        throw new AuthError(keyValidation.warning);
+    }
+
+    if (keyValidation.warning) {
+        console.warn(keyValidation.warning);
+    }
+
+    const { collection = 'natural', date = '' } = query;
+    validateEPICCollection(collection);
+
+    if (date && !isCalendarDate(date)) {
+        throw new ValidationError('Invalid date format. Use YYYY-MM-DD', { field: 'date' });
+    }
+
+    const settled = date && date < addDays(getLatestAPODDate(), -EPIC_SETTLE_DAYS);
+
+    try {
+        const { data, fromCache } = await requestNASA(
+            date ? `/EPIC/api/${collection}/date/${date}` : `/EPIC/api/${collection}`,
+            apiKey,
+            {},
+            { ttl: settled ? CACHE_TTL.epic_archive : CACHE_TTL.epic_recent, ...options }
+        );
+
+        const images = (Array.isArray(data) ? data : []).map(item => normalizeEPICImage(item, collection));
+        return {
+            collection: collection,
+            date: date || (images[0]?.date || '').split(' ')[0] || null,
+            images: images,
+            fromCache: fromCache
+        };
+    } catch (error) {
+        if (!(error instanceof APIError)) {
+            console.error('Error fetching EPIC images:', error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * List the dates that have EPIC images
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+ * @param {string} collection - 'natural' or 'enhanced'
+ * @param {Object} options - Request options { useCache, ttl, priority, retry, signal, timeout }
+ * @returns {Promise<Array<string>>} Dates in YYYY-MM-DD format, oldest first
+ */
+export async function fetchEPICDates(apiKey = getCredential(SERVICES.NASA), collection = 'natural', options = {}) {
+    const keyValidation = validateAPIKey(apiKey);
+    if (!keyValidation.valid) {
+        throw new AuthError(keyValidation.warning);
+    }
+
+    if (keyValidation.warning) {
+        console.warn(keyValidation.warning);
+    }
+
+    validateEPICCollection(collection);
+
+    try {
+        const { data } = await requestNASA(
+            `/EPIC/api/${collection}/available`,
+            apiKey,
+            {},
+            { ttl: CACHE_TTL.epic_recent, ...options }
+        );
+
+        // /available returns plain strings; older deployments return [{ date }]
+        return (Array.isArray(data) ? data : [])
+            .map(entry => (typeof entry === 'string' ? entry : entry?.date))
+            .filter(Boolean)
+            .map(entry => entry.split(' ')[0])
+            .sort();
+    } catch (error) {
+        if (!(error instanceof APIError)) {
+            console.error('Error fetching EPIC dates:', error);
+        }
+        throw error;
+    }
 }
 
 /**
  * Generic enhanced fetch function for NASA APIs
  * @param {string} endpoint - API endpoint
- * @param {string} apiKey - NASA API key
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
  * @param {Object} params - Additional query parameters
- * @returns {Promise<object>} API response data
+ * @param {Object} options - Request options { useCache, ttl, priority, retry, signal, timeout, withMeta }
+ * @returns {Promise<object>} API response data, or { data, fromCache } when withMeta is set
  */
-export async function fetchNASAAPI(endpoint, apiKey, params = {}) {
+export async function fetchNASAAPI(endpoint, apiKey = getCredential(SERVICES.NASA), params = {}, options = {}) {
     const keyValidation = validateAPIKey(apiKey);
     if (!keyValidation.valid) {
-        throw new Error(keyValidation.warning);
+        throw new AuthError(keyValidation.warning);
     }
 
     if (keyValidation.warning) {
         console.warn(keyValidation.warning);
     }
 
+    const { withMeta = false, ...requestOptions } = options;
+
     try {
-        const queryParams = new URLSearchParams({
-            api_key: apiKey,
-            ...params
-        });
-        
-        const url = `${NASA_API_BASE_URL}${endpoint}?${queryParams.toString()}`;
-        
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            let errorData = null;
-            try {
-                errorData = await response.json();
-            } catch (e) {}
-            
-            const errorMessage = parseAPIError(response, errorData);
-            throw new Error(errorMessage);
-        }
-        
-        const data = await response.json();
-        return data;
+        const { data, fromCache } = await requestNASA(endpoint, apiKey, params, requestOptions);
+        return withMeta ? { data, fromCache } : data;
     } catch (error) {
-        if (error.message.includes('API') || error.message.includes('Rate limit')) {
-            throw error;
+        if (!(error instanceof APIError)) {
+            console.error(`Error fetching NASA API (${endpoint}):`, error);
         }
-        console.error(`Error fetching NASA API (${endpoint}):`, error);
-        throw new Error('Network error. Please check your internet connection and try again');
+        throw error;
     }
 }
 
+/**
+ * Invalidate cached NASA API responses
+ * @param {string} endpoint - Endpoint prefix to invalidate (e.g. '/planetary/apod'); omit to clear everything
+ * @returns {Promise<number|undefined>} Number of removed entries when a prefix is given
+ */
+export async function invalidateAPICache(endpoint) {
+    const cache = getResponseCache();
+    if (!endpoint) {
+        return cache.clear();
+    }
+    return cache.invalidate(endpoint);
+}
+
 /**
  * Test if NASA API is accessible and responding
  * @param {string} apiKey - NASA API key to test
- * @returns {Promise<object>} { success: boolean, message: string, responseTime: number }
+ * @returns {Promise<object>} { success: boolean, message: string, responseTime: number, budget: object }
  */
-export async function testAPIConnection(apiKey) {
+export async function testAPIConnection(apiKey = getCredential(SERVICES.NASA)) {
     const startTime = performance.now();
     try {
-        const response = await fetchAPOD(apiKey);
+        const response = await fetchAPOD(apiKey, '', { useCache: false, priority: REQUEST_PRIORITY.HIGH, rotate: false });
         const responseTime = Math.round(performance.now() - startTime);
         return { 
             success: true, 
             message: `Successfully connected to NASA API (${responseTime}ms)`,
             responseTime: responseTime,
+            budget: getRateLimitBudget(apiKey),
             data: response
         };
     } catch (error) {
@@ -536,7 +1401,8 @@ export async function testAPIConnection(apiKey) {
         return { 
             success: false, 
             message: error.message,
-            responseTime: responseTime
+            responseTime: responseTime,
+            budget: getRateLimitBudget(apiKey)
         };
     }
 }
@@ -547,7 +1413,20 @@ export async function testAPIConnection(apiKey) {
 export { 
     validateAPODDate, 
     validateAPIKey, 
+    APIError,
+    ValidationError,
+    AuthError,
+    RateLimitError,
+    NotFoundError,
+    UpstreamError,
+    NetworkError,
+    TimeoutError,
+    CancelledError,
+    isCancellation,
+    getRateLimitBudget,
+    REQUEST_PRIORITY,
     APOD_START_DATE,
+    COMET_3I_DESIGNATION,
     addSourceLinks,
     parseAPIError
 };
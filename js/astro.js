@@ -0,0 +1,595 @@
+// CaldaSpace - Astronomical Time and Coordinates
+// Time scales (UTC/TAI/TT/TDB), Julian dates, sidereal time, precession/nutation and frame transforms.
+// Angles are in degrees unless stated otherwise; Julian dates name their scale (jdUTC, jdTT, jdTDB).
+import { ValidationError } from './errors.js';
+import { orbitalState } from './orbits.js';
+
+const DEG = Math.PI / 180;
+const ARCSEC = 1 / 3600; // Degrees per arcsecond
+const J2000_JD = 2451545.0;            // 2000-01-01 12:00 TT
+const UNIX_EPOCH_JD = 2440587.5;       // 1970-01-01 00:00 UTC
+const MS_PER_DAY = 86400000;
+const SECONDS_PER_DAY = 86400;
+const DAYS_PER_JULIAN_CENTURY = 36525;
+const TT_MINUS_TAI = 32.184;           // Seconds, exact by definition
+const OBLIQUITY_J2000 = 23.4392911;    // Mean obliquity of the ecliptic at J2000 (IAU 2006), the frame of JPL ecliptic elements
+
+const TIME_SCALES = {
+    UTC: 'UTC',  // Civil time with leap seconds (what Date holds, ignoring leap seconds)
+    TAI: 'TAI',  // International Atomic Time
+    TT: 'TT',    // Terrestrial Time = TAI + 32.184 s
+    TDB: 'TDB'   // Barycentric Dynamical Time - JPL orbital elements and ephemerides
+};
+const SCALE_ORDER = [TIME_SCALES.UTC, TIME_SCALES.TAI, TIME_SCALES.TT, TIME_SCALES.TDB];
+
+// TAI - UTC in seconds from each date (IERS Bulletin C). Update when the IERS announces a new leap second.
+// Before 1972 UTC used fractional offsets; 10 s is used for earlier dates.
+const LEAP_SECONDS = [
+    ['1972-01-01', 10], ['1972-07-01', 11], ['1973-01-01', 12], ['1974-01-01', 13], ['1975-01-01', 14],
+    ['1976-01-01', 15], ['1977-01-01', 16], ['1978-01-01', 17], ['1979-01-01', 18], ['1980-01-01', 19],
+    ['1981-07-01', 20], ['1982-07-01', 21], ['1983-07-01', 22], ['1985-07-01', 23], ['1988-01-01', 24],
+    ['1990-01-01', 25], ['1991-01-01', 26], ['1992-07-01', 27], ['1993-07-01', 28], ['1994-07-01', 29],
+    ['1996-01-01', 30], ['1997-07-01', 31], ['1999-01-01', 32], ['2006-01-01', 33], ['2009-01-01', 34],
+    ['2012-07-01', 35], ['2015-07-01', 36], ['2017-01-01', 37]
+].map(([date, offset]) => ({ jd: Date.parse(date) / MS_PER_DAY + UNIX_EPOCH_JD, offset }));
+
+// North galactic pole and the galactic longitude of the north celestial pole (J2000)
+const GALACTIC_POLE = { ra: 192.85948, dec: 27.12825, lonCelestialPole: 122.93192 };
+
+// Earth's mean orbital elements at J2000 with rates per Julian century (Standish, JPL)
+const EARTH_ORBIT = {
+    a: 1.00000261,
+    e: 0.01671123, eRate: -0.00004392,
+    i: -0.00001531, iRate: -0.01294668,
+    L: 100.46457166, LRate: 35999.37244981,
+    perihelion: 102.93768193, perihelionRate: 0.32327364,
+    node: 0
+};
+
+// Mean lunation (Meeus ch. 49): new moon of 2000-01-06 and the mean synodic month
+const MEAN_NEW_MOON_JD = 2451550.09766;
+const SYNODIC_MONTH_DAYS = 29.530588861;
+
+// Mars time (Allison & McEwen 2000, as used by Mars24)
+const MARS_SOL_SECONDS = 88775.244147;
+const MARS_SOL_DATE_EPOCH_JD = 2405522.0028779; // JD (TT) of Mars Sol Date 0
+const MARS_SOL_DAYS = 1.0274912517;             // Earth days per sol
+
+/**
+ * Normalize an angle to [0, 360)
+ * @param {number} degrees - Angle
+ * @returns {number} Angle in [0, 360)
+ */
+export function normalizeDegrees(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+/* ------------------------------------------------------------------ */
+/* Time scales and Julian dates                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Julian date (UTC) of a moment
+ * @param {Date|number|string} date - Date, milliseconds since 1970 or ISO 8601 string
+ * @returns {number} Julian date in UTC
+ */
+export function toJulianDate(date) {
+    const ms = date instanceof Date ? date.getTime() : typeof date === 'string' ? Date.parse(date) : Number(date);
+    if (!Number.isFinite(ms)) {
+        throw new ValidationError(`Invalid date: ${date}`, { field: 'date' });
+    }
+    return ms / MS_PER_DAY + UNIX_EPOCH_JD;
+}
+
+/**
+ * Date of a Julian date (UTC)
+ * @param {number} jdUTC - Julian date in UTC
+ * @returns {Date} Date
+ */
+export function fromJulianDate(jdUTC) {
+    return new Date(Math.round((jdUTC - UNIX_EPOCH_JD) * MS_PER_DAY));
+}
+
+/**
+ * Julian centuries since J2000
+ * @param {number} jd - Julian date (TT or TDB for the IAU models here)
+ * @returns {number} Centuries
+ */
+export function julianCenturies(jd) {
+    return (jd - J2000_JD) / DAYS_PER_JULIAN_CENTURY;
+}
+
+/**
+ * TAI - UTC at a moment (accumulated leap seconds)
+ * @param {number} jdUTC - Julian date in UTC
+ * @returns {number} Seconds
+ */
+export function taiMinusUTC(jdUTC) {
+    for (let i = LEAP_SECONDS.length - 1; i >= 0; i--) {
+        if (jdUTC >= LEAP_SECONDS[i].jd) return LEAP_SECONDS[i].offset;
+    }
+    return LEAP_SECONDS[0].offset;
+}
+
+/**
+ * TDB - TT, the periodic relativistic term (USNO Circular 179, accurate to ~30 microseconds)
+ * @param {number} jdTT - Julian date in TT
+ * @returns {number} Seconds
+ */
+function tdbMinusTT(jdTT) {
+    const g = (357.53 + 0.98560028 * (jdTT - J2000_JD)) * DEG;
+    return 0.001657 * Math.sin(g) + 0.000014 * Math.sin(2 * g);
+}
+
+// One step along UTC -> TAI -> TT -> TDB (up) or back (down), in days
+const SCALE_STEPS = {
+    [TIME_SCALES.UTC]: {
+        up: jd => jd + taiMinusUTC(jd) / SECONDS_PER_DAY
+    },
+    [TIME_SCALES.TAI]: {
+        up: jd => jd + TT_MINUS_TAI / SECONDS_PER_DAY,
+        // Leap seconds are indexed by UTC, so refine the guess once
+        down: jd => jd - taiMinusUTC(jd - taiMinusUTC(jd) / SECONDS_PER_DAY) / SECONDS_PER_DAY
+    },
+    [TIME_SCALES.TT]: {
+        up: jd => jd + tdbMinusTT(jd) / SECONDS_PER_DAY,
+        down: jd => jd - TT_MINUS_TAI / SECONDS_PER_DAY
+    },
+    [TIME_SCALES.TDB]: {
+        down: jd => jd - tdbMinusTT(jd) / SECONDS_PER_DAY
+    }
+};
+
+/**
+ * Convert a Julian date between time scales
+ * @example
+ * const jdTDB = convertJulianDate(toJulianDate(new Date()), TIME_SCALES.UTC, TIME_SCALES.TDB);
+ * @param {number} jd - Julian date
+ * @param {string} from - Scale of jd (TIME_SCALES)
+ * @param {string} to - Wanted scale (TIME_SCALES)
+ * @returns {number} Julian date in the wanted scale
+ */
+export function convertJulianDate(jd, from, to) {
+    let index = SCALE_ORDER.indexOf(from);
+    const target = SCALE_ORDER.indexOf(to);
+    if (index === -1 || target === -1) {
+        throw new ValidationError(`Unknown time scale: ${index === -1 ? from : to}. Use one of: ${SCALE_ORDER.join(', ')}`, { field: 'scale' });
+    }
+
+    let result = jd;
+    while (index < target) result = SCALE_STEPS[SCALE_ORDER[index++]].up(result);
+    while (index > target) result = SCALE_STEPS[SCALE_ORDER[index--]].down(result);
+    return result;
+}
+
+/**
+ * Julian date of a moment in every time scale
+ * @param {Date|number|string} date - Date, milliseconds since 1970 or ISO 8601 string
+ * @returns {object} { utc, tai, tt, tdb }
+ */
+export function julianDates(date) {
+    const utc = toJulianDate(date);
+    const tai = convertJulianDate(utc, TIME_SCALES.UTC, TIME_SCALES.TAI);
+    const tt = convertJulianDate(tai, TIME_SCALES.TAI, TIME_SCALES.TT);
+    return { utc, tai, tt, tdb: convertJulianDate(tt, TIME_SCALES.TT, TIME_SCALES.TDB) };
+}
+
+/* ------------------------------------------------------------------ */
+/* Sidereal time                                                       */
+/* UT1 is taken as UTC: |UT1 - UTC| < 0.9 s, i.e. under 14" of angle   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Greenwich mean sidereal time (IAU 1982, Meeus 12.4)
+ * @param {number} jdUT1 - Julian date in UT1 (UTC is close enough)
+ * @returns {number} GMST in degrees [0, 360)
+ */
+export function greenwichMeanSiderealTime(jdUT1) {
+    const T = julianCenturies(jdUT1);
+    return normalizeDegrees(280.46061837 + 360.98564736629 * (jdUT1 - J2000_JD) +
+        0.000387933 * T * T - T * T * T / 38710000);
+}
+
+/**
+ * Greenwich apparent sidereal time: GMST plus the equation of the equinoxes
+ * @param {number} jdUT1 - Julian date in UT1 (UTC is close enough)
+ * @returns {number} GAST in degrees [0, 360)
+ */
+export function greenwichApparentSiderealTime(jdUT1) {
+    const jdTT = convertJulianDate(jdUT1, TIME_SCALES.UTC, TIME_SCALES.TT);
+    const { longitude } = nutation(jdTT);
+    return normalizeDegrees(greenwichMeanSiderealTime(jdUT1) + longitude * Math.cos(trueObliquity(jdTT) * DEG));
+}
+
+/**
+ * Local sidereal time
+ * @param {number} jdUT1 - Julian date in UT1 (UTC is close enough)
+ * @param {number} longitude - Observer longitude in degrees, east positive
+ * @param {Object} options - { apparent: true for apparent rather than mean sidereal time }
+ * @returns {number} LST in degrees [0, 360)
+ */
+export function localSiderealTime(jdUT1, longitude, options = {}) {
+    const greenwich = options.apparent ? greenwichApparentSiderealTime(jdUT1) : greenwichMeanSiderealTime(jdUT1);
+    return normalizeDegrees(greenwich + longitude);
+}
+
+/* ------------------------------------------------------------------ */
+/* Obliquity, precession and nutation                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Mean obliquity of the ecliptic (IAU 2006)
+ * @param {number} jdTT - Julian date in TT
+ * @returns {number} Degrees
+ */
+export function meanObliquity(jdTT) {
+    const T = julianCenturies(jdTT);
+    return (84381.406 - 46.836769 * T - 0.0001831 * T ** 2 + 0.00200340 * T ** 3 -
+        0.000000576 * T ** 4 - 0.0000000434 * T ** 5) * ARCSEC;
+}
+
+/**
+ * Nutation in longitude and obliquity from the four largest terms (Meeus ch. 22, good to 0.5")
+ * @param {number} jdTT - Julian date in TT
+ * @returns {object} { longitude: Δψ, obliquity: Δε } in degrees
+ */
+export function nutation(jdTT) {
+    const T = julianCenturies(jdTT);
+    const node = (125.04452 - 1934.136261 * T + 0.0020708 * T * T + T ** 3 / 450000) * DEG; // Moon's ascending node
+    const sun = (280.4665 + 36000.7698 * T) * DEG;       // Mean longitude of the Sun
+    const moon = (218.3165 + 481267.8813 * T) * DEG;     // Mean longitude of the Moon
+
+    return {
+        longitude: (-17.20 * Math.sin(node) - 1.32 * Math.sin(2 * sun) - 0.23 * Math.sin(2 * moon) + 0.21 * Math.sin(2 * node)) * ARCSEC,
+        obliquity: (9.20 * Math.cos(node) + 0.57 * Math.cos(2 * sun) + 0.10 * Math.cos(2 * moon) - 0.09 * Math.cos(2 * node)) * ARCSEC
+    };
+}
+
+/**
+ * True obliquity of the ecliptic (mean obliquity plus nutation)
+ * @param {number} jdTT - Julian date in TT
+ * @returns {number} Degrees
+ */
+export function trueObliquity(jdTT) {
+    return meanObliquity(jdTT) + nutation(jdTT).obliquity;
+}
+
+/**
+ * Precess equatorial coordinates between epochs (IAU 1976, Meeus 21.2-21.4)
+ * @param {Object} equatorial - { ra, dec } in degrees, mean equator and equinox of `fromJdTT`
+ * @param {number} fromJdTT - Epoch of the input (default J2000)
+ * @param {number} toJdTT - Wanted epoch
+ * @returns {object} { ra, dec } for the mean equator and equinox of `toJdTT`
+ */
+export function precessEquatorial({ ra, dec }, fromJdTT = J2000_JD, toJdTT = J2000_JD) {
+    const T = julianCenturies(fromJdTT);
+    const t = (toJdTT - fromJdTT) / DAYS_PER_JULIAN_CENTURY;
+    const base = 2306.2181 + 1.39656 * T - 0.000139 * T * T;
+
+    const zeta = (base * t + (0.30188 - 0.000344 * T) * t * t + 0.017998 * t ** 3) * ARCSEC * DEG;
+    const z = (base * t + (1.09468 + 0.000066 * T) * t * t + 0.018203 * t ** 3) * ARCSEC * DEG;
+    const theta = ((2004.3109 - 0.85330 * T - 0.000217 * T * T) * t - (0.42665 + 0.000217 * T) * t * t -
+        0.041833 * t ** 3) * ARCSEC * DEG;
+
+    const alpha = ra * DEG + zeta;
+    const delta = dec * DEG;
+    const A = Math.cos(delta) * Math.sin(alpha);
+    const B = Math.cos(theta) * Math.cos(delta) * Math.cos(alpha) - Math.sin(theta) * Math.sin(delta);
+    const C = Math.sin(theta) * Math.cos(delta) * Math.cos(alpha) + Math.cos(theta) * Math.sin(delta);
+
+    return {
+        ra: normalizeDegrees((Math.atan2(A, B) + z) / DEG),
+        dec: Math.asin(Math.max(-1, Math.min(1, C))) / DEG
+    };
+}
+
+/**
+ * Apply nutation to mean-of-date equatorial coordinates (Meeus 23.1)
+ * @param {Object} equatorial - { ra, dec } in degrees, mean equator and equinox of date
+ * @param {number} jdTT - Julian date in TT
+ * @returns {object} { ra, dec } for the true equator and equinox of date
+ */
+export function nutateEquatorial({ ra, dec }, jdTT) {
+    const { longitude, obliquity } = nutation(jdTT);
+    const epsilon = trueObliquity(jdTT) * DEG;
+    const alpha = ra * DEG;
+    const tanDelta = Math.tan(dec * DEG);
+
+    return {
+        ra: normalizeDegrees(ra + (Math.cos(epsilon) + Math.sin(epsilon) * Math.sin(alpha) * tanDelta) * longitude -
+            Math.cos(alpha) * tanDelta * obliquity),
+        dec: dec + Math.sin(epsilon) * Math.cos(alpha) * longitude + Math.sin(alpha) * obliquity
+    };
+}
+
+/**
+ * J2000 (ICRF) coordinates to the true equator and equinox of date, as used for pointing a telescope.
+ * Aberration and refraction are not applied.
+ * @param {Object} equatorial - { ra, dec } in degrees, J2000
+ * @param {number} jdTT - Julian date in TT
+ * @returns {object} { ra, dec } of date
+ */
+export function equatorialOfDate(equatorial, jdTT) {
+    return nutateEquatorial(precessEquatorial(equatorial, J2000_JD, jdTT), jdTT);
+}
+
+/* ------------------------------------------------------------------ */
+/* Frame transforms                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Spherical coordinates of a Cartesian vector
+ * @param {Object} vector - { x, y, z }
+ * @returns {object} { longitude: [0, 360), latitude, distance } (longitude is RA for equatorial vectors)
+ */
+export function cartesianToSpherical({ x, y, z }) {
+    const distance = Math.hypot(x, y, z);
+    return {
+        longitude: normalizeDegrees(Math.atan2(y, x) / DEG),
+        latitude: distance > 0 ? Math.asin(z / distance) / DEG : 0,
+        distance: distance
+    };
+}
+
+/**
+ * Cartesian vector of spherical coordinates
+ * @param {Object} spherical - { longitude, latitude } in degrees, distance (default 1)
+ * @returns {object} { x, y, z }
+ */
+export function sphericalToCartesian({ longitude, latitude, distance = 1 }) {
+    const cosLat = Math.cos(latitude * DEG);
+    return {
+        x: distance * cosLat * Math.cos(longitude * DEG),
+        y: distance * cosLat * Math.sin(longitude * DEG),
+        z: distance * Math.sin(latitude * DEG)
+    };
+}
+
+/**
+ * Rotate an ecliptic vector into the equatorial frame
+ * @param {Object} vector - { x, y, z } ecliptic
+ * @param {number} obliquity - Degrees (default J2000 mean obliquity)
+ * @returns {object} { x, y, z } equatorial
+ */
+export function eclipticToEquatorialVector({ x, y, z }, obliquity = OBLIQUITY_J2000) {
+    const cos = Math.cos(obliquity * DEG), sin = Math.sin(obliquity * DEG);
+    return { x: x, y: y * cos - z * sin, z: y * sin + z * cos };
+}
+
+/**
+ * Rotate an equatorial vector into the ecliptic frame
+ * @param {Object} vector - { x, y, z } equatorial
+ * @param {number} obliquity - Degrees (default J2000 mean obliquity)
+ * @returns {object} { x, y, z } ecliptic
+ */
+export function equatorialToEclipticVector({ x, y, z }, obliquity = OBLIQUITY_J2000) {
+    const cos = Math.cos(obliquity * DEG), sin = Math.sin(obliquity * DEG);
+    return { x: x, y: y * cos + z * sin, z: -y * sin + z * cos };
+}
+
+/**
+ * Ecliptic to equatorial coordinates (Meeus 13.3, 13.4)
+ * @param {Object} ecliptic - { longitude, latitude } in degrees
+ * @param {number} obliquity - Degrees (default J2000 mean obliquity; use trueObliquity(jdTT) for of-date)
+ * @returns {object} { ra: [0, 360), dec }
+ */
+export function eclipticToEquatorial({ longitude, latitude }, obliquity = OBLIQUITY_J2000) {
+    const lambda = longitude * DEG, beta = latitude * DEG, epsilon = obliquity * DEG;
+    return {
+        ra: normalizeDegrees(Math.atan2(Math.sin(lambda) * Math.cos(epsilon) - Math.tan(beta) * Math.sin(epsilon), Math.cos(lambda)) / DEG),
+        dec: Math.asin(Math.sin(beta) * Math.cos(epsilon) + Math.cos(beta) * Math.sin(epsilon) * Math.sin(lambda)) / DEG
+    };
+}
+
+/**
+ * Equatorial to ecliptic coordinates (Meeus 13.1, 13.2)
+ * @param {Object} equatorial - { ra, dec } in degrees
+ * @param {number} obliquity - Degrees (default J2000 mean obliquity)
+ * @returns {object} { longitude: [0, 360), latitude }
+ */
+export function equatorialToEcliptic({ ra, dec }, obliquity = OBLIQUITY_J2000) {
+    const alpha = ra * DEG, delta = dec * DEG, epsilon = obliquity * DEG;
+    return {
+        longitude: normalizeDegrees(Math.atan2(Math.sin(alpha) * Math.cos(epsilon) + Math.tan(delta) * Math.sin(epsilon), Math.cos(alpha)) / DEG),
+        latitude: Math.asin(Math.sin(delta) * Math.cos(epsilon) - Math.cos(delta) * Math.sin(epsilon) * Math.sin(alpha)) / DEG
+    };
+}
+
+/**
+ * J2000 equatorial to galactic coordinates
+ * @param {Object} equatorial - { ra, dec } in degrees (J2000)
+ * @returns {object} { l: [0, 360), b } in degrees
+ */
+export function equatorialToGalactic({ ra, dec }) {
+    const delta = dec * DEG, poleDec = GALACTIC_POLE.dec * DEG;
+    const offset = (ra - GALACTIC_POLE.ra) * DEG;
+
+    const sinB = Math.sin(delta) * Math.sin(poleDec) + Math.cos(delta) * Math.cos(poleDec) * Math.cos(offset);
+    const l = GALACTIC_POLE.lonCelestialPole - Math.atan2(
+        Math.cos(delta) * Math.sin(offset),
+        Math.sin(delta) * Math.cos(poleDec) - Math.cos(delta) * Math.sin(poleDec) * Math.cos(offset)
+    ) / DEG;
+
+    return { l: normalizeDegrees(l), b: Math.asin(Math.max(-1, Math.min(1, sinB))) / DEG };
+}
+
+/**
+ * Galactic to J2000 equatorial coordinates
+ * @param {Object} galactic - { l, b } in degrees
+ * @returns {object} { ra: [0, 360), dec } in degrees (J2000)
+ */
+export function galacticToEquatorial({ l, b }) {
+    const beta = b * DEG, poleDec = GALACTIC_POLE.dec * DEG;
+    const offset = (GALACTIC_POLE.lonCelestialPole - l) * DEG;
+
+    const sinDec = Math.sin(beta) * Math.sin(poleDec) + Math.cos(beta) * Math.cos(poleDec) * Math.cos(offset);
+    const ra = GALACTIC_POLE.ra + Math.atan2(
+        Math.cos(beta) * Math.sin(offset),
+        Math.sin(beta) * Math.cos(poleDec) - Math.cos(beta) * Math.sin(poleDec) * Math.cos(offset)
+    ) / DEG;
+
+    return { ra: normalizeDegrees(ra), dec: Math.asin(Math.max(-1, Math.min(1, sinDec))) / DEG };
+}
+
+/**
+ * Equatorial to horizontal coordinates for an observer
+ * @param {Object} equatorial - { ra, dec } in degrees, of date (see equatorialOfDate)
+ * @param {Object} site - { lat, lon } in degrees, east longitude positive
+ * @param {number} jdUT1 - Julian date in UT1 (UTC is close enough)
+ * @returns {object} { azimuth: from north through east [0, 360), altitude, hourAngle: [-180, 180) } in degrees
+ */
+export function equatorialToHorizontal({ ra, dec }, site, jdUT1) {
+    const hourAngle = normalizeDegrees(localSiderealTime(jdUT1, site.lon, { apparent: true }) - ra + 180) - 180;
+    const H = hourAngle * DEG, delta = dec * DEG, phi = site.lat * DEG;
+
+    const sinAltitude = Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(H);
+    const azimuth = Math.atan2(
+        -Math.cos(delta) * Math.sin(H),
+        Math.sin(delta) * Math.cos(phi) - Math.cos(delta) * Math.cos(H) * Math.sin(phi)
+    ) / DEG;
+
+    return {
+        azimuth: normalizeDegrees(azimuth),
+        altitude: Math.asin(Math.max(-1, Math.min(1, sinAltitude))) / DEG,
+        hourAngle: hourAngle
+    };
+}
+
+/**
+ * Horizontal to equatorial coordinates for an observer
+ * @param {Object} horizontal - { azimuth (from north through east), altitude } in degrees
+ * @param {Object} site - { lat, lon } in degrees, east longitude positive
+ * @param {number} jdUT1 - Julian date in UT1 (UTC is close enough)
+ * @returns {object} { ra: [0, 360), dec } in degrees, of date
+ */
+export function horizontalToEquatorial({ azimuth, altitude }, site, jdUT1) {
+    const A = azimuth * DEG, h = altitude * DEG, phi = site.lat * DEG;
+
+    const sinDec = Math.sin(phi) * Math.sin(h) + Math.cos(phi) * Math.cos(h) * Math.cos(A);
+    const hourAngle = Math.atan2(
+        -Math.cos(h) * Math.sin(A),
+        Math.sin(h) * Math.cos(phi) - Math.cos(h) * Math.cos(A) * Math.sin(phi)
+    ) / DEG;
+
+    return {
+        ra: normalizeDegrees(localSiderealTime(jdUT1, site.lon, { apparent: true }) - hourAngle),
+        dec: Math.asin(Math.max(-1, Math.min(1, sinDec))) / DEG
+    };
+}
+
+/**
+ * Angle between two directions on the sky
+ * @param {Object} a - { ra, dec } in degrees (or { longitude, latitude })
+ * @param {Object} b - Same frame as a
+ * @returns {number} Separation in degrees
+ */
+export function angularSeparation(a, b) {
+    const toVector = point => sphericalToCartesian({ longitude: point.ra ?? point.longitude, latitude: point.dec ?? point.latitude });
+    const u = toVector(a), v = toVector(b);
+    // atan2 of cross and dot products stays accurate for tiny and near-180° separations
+    const cross = Math.hypot(u.y * v.z - u.z * v.y, u.z * v.x - u.x * v.z, u.x * v.y - u.y * v.x);
+    return Math.atan2(cross, u.x * v.x + u.y * v.y + u.z * v.z) / DEG;
+}
+
+/* ------------------------------------------------------------------ */
+/* Earth's orbit, the Sun and the Moon                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Earth's heliocentric position (ecliptic and mean equinox of J2000), good to ~0.0001 AU over 1800-2050
+ * @param {number} jdTDB - Julian date in TDB
+ * @returns {object} { x, y, z } in AU
+ */
+export function earthPosition(jdTDB) {
+    const T = julianCenturies(jdTDB);
+    const perihelion = EARTH_ORBIT.perihelion + EARTH_ORBIT.perihelionRate * T;
+    return orbitalState({
+        a: EARTH_ORBIT.a,
+        e: EARTH_ORBIT.e + EARTH_ORBIT.eRate * T,
+        i: EARTH_ORBIT.i + EARTH_ORBIT.iRate * T,
+        node: EARTH_ORBIT.node,
+        peri: perihelion,
+        M: EARTH_ORBIT.L + EARTH_ORBIT.LRate * T - perihelion,
+        epoch: jdTDB
+    }, jdTDB).position;
+}
+
+/**
+ * Geocentric J2000 RA/Dec of a body from its heliocentric position (geometric, no light time or aberration)
+ * @param {Object} heliocentric - { x, y, z } in AU, J2000 ecliptic
+ * @param {number} jdTDB - Julian date in TDB
+ * @returns {object} { ra, dec } in degrees, distance in AU
+ */
+export function geocentricEquatorial(heliocentric, jdTDB) {
+    const earth = earthPosition(jdTDB);
+    const { longitude, latitude, distance } = cartesianToSpherical(eclipticToEquatorialVector({
+        x: heliocentric.x - earth.x,
+        y: heliocentric.y - earth.y,
+        z: heliocentric.z - earth.z
+    }));
+    return { ra: longitude, dec: latitude, distance: distance };
+}
+
+/**
+ * Geocentric position of the Sun (J2000 equator; geometric, no aberration)
+ * @param {number} jdTDB - Julian date in TDB
+ * @returns {object} { ra, dec } in degrees, distance in AU
+ */
+export function sunEquatorial(jdTDB) {
+    return geocentricEquatorial({ x: 0, y: 0, z: 0 }, jdTDB);
+}
+
+/**
+ * Phase of the Moon from the mean lunation (good to about half a day)
+ * @param {number} jdTT - Julian date in TT
+ * @returns {object} { age: days since new moon, fraction: 0 new, 0.5 full, illumination: lit fraction of the disc }
+ */
+export function lunarPhase(jdTT) {
+    const fraction = (((jdTT - MEAN_NEW_MOON_JD) / SYNODIC_MONTH_DAYS) % 1 + 1) % 1;
+    return {
+        age: fraction * SYNODIC_MONTH_DAYS,
+        fraction: fraction,
+        illumination: (1 - Math.cos(2 * Math.PI * fraction)) / 2
+    };
+}
+
+/* ------------------------------------------------------------------ */
+/* Mars time                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Mars Sol Date - sols elapsed since 1873-12-29 (Mars24)
+ * @param {number} jdTT - Julian date in TT
+ * @returns {number} Mars Sol Date
+ */
+export function marsSolDate(jdTT) {
+    return (jdTT - MARS_SOL_DATE_EPOCH_JD) / MARS_SOL_DAYS;
+}
+
+/**
+ * Coordinated Mars Time - mean solar time at Mars' prime meridian
+ * @param {number} jdTT - Julian date in TT
+ * @returns {number} Hours [0, 24)
+ */
+export function marsCoordinatedTime(jdTT) {
+    return ((marsSolDate(jdTT) % 1) + 1) % 1 * 24;
+}
+
+/**
+ * Length of a number of sols in Earth days
+ * @param {number} sols - Sols
+ * @returns {number} Earth days
+ */
+export function solsToEarthDays(sols) {
+    return sols * MARS_SOL_SECONDS / SECONDS_PER_DAY;
+}
+
+export {
+    TIME_SCALES,
+    J2000_JD,
+    UNIX_EPOCH_JD,
+    MS_PER_DAY,
+    DAYS_PER_JULIAN_CENTURY,
+    OBLIQUITY_J2000,
+    MARS_SOL_SECONDS
+};
@@ -0,0 +1,344 @@
+// CaldaSpace - API Response Cache Module
+// Persistent response caching (IndexedDB in the browser, memory or file store elsewhere)
+const CACHE_DB_NAME = 'caldaspace-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE_NAME = 'responses';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Time-to-live per API type, in milliseconds.
+ * Infinity means the response never goes stale (e.g. a past APOD).
+ */
+const CACHE_TTL = {
+    apod_archive: Infinity,     // APOD for a past date never changes
+    apod_today: 1 * HOUR,       // Today's APOD can be published/corrected during the day
+    mars_photos: 24 * HOUR,     // Photos for an Earth date trickle in for a few days after downlink
+    mars_latest: 3 * HOUR,      // latest_photos changes every downlink
+    mars_manifest: 6 * HOUR,    // Active rovers add a sol (and new photo counts) about once a day
+    neo_feed: 6 * HOUR,         // Orbit solutions are refined several times a day
+    epic_archive: Infinity,     // EPIC images for a past date are final once processed
+    epic_recent: 1 * HOUR,      // Latest images and the date list grow through the day
+    neo_lookup: 6 * HOUR,       // Single-object orbit and close-approach history
+    neo_browse: 24 * HOUR,      // Catalog pages only shift when objects are added
+    donki: 30 * MINUTE,         // Event analyses and links are revised as forecasters work
+    default: 1 * HOUR
+};
+
+/**
+ * Deep-copy a JSON-compatible value so callers can't mutate cached entries
+ * @param {*} value - Value to copy
+ * @returns {*} Copy of the value
+ */
+function cloneValue(value) {
+    if (value === undefined || value === null) {
+        return value;
+    }
+    if (typeof structuredClone === 'function') {
+        return structuredClone(value);
+    }
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Build a cache key from an endpoint and its query parameters.
+ * Parameters are sorted and the API key is dropped so the same request
+ * made with different keys shares one entry.
+ * @param {string} endpoint - API endpoint or full URL
+ * @param {Object} params - Query parameters
+ * @returns {string} Normalized cache key
+ */
+function buildCacheKey(endpoint, params = {}) {
+    const normalized = Object.keys(params)
+        .filter(key => key !== 'api_key' && params[key] !== undefined && params[key] !== null && params[key] !== '')
+        .sort()
+        .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(String(params[key]).trim())}`)
+        .join('&');
+
+    return normalized ? `${endpoint}?${normalized}` : endpoint;
+}
+
+/**
+ * In-memory cache store (default outside the browser)
+ */
+class MemoryCacheStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return cloneValue(this.entries.get(key)) ?? null;
+    }
+
+    async set(key, entry) {
+        this.entries.set(key, cloneValue(entry));
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async keys() {
+        return Array.from(this.entries.keys());
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * IndexedDB cache store (default in the browser)
+ */
+class IndexedDBCacheStore {
+    constructor(dbName = CACHE_DB_NAME) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, CACHE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(CACHE_STORE_NAME);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(CACHE_STORE_NAME, mode);
+            const request = operation(transaction.objectStore(CACHE_STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(key) {
+        return (await this.run('readonly', store => store.get(key))) ?? null;
+    }
+
+    async set(key, entry) {
+        await this.run('readwrite', store => store.put(entry, key));
+    }
+
+    async delete(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+
+    async keys() {
+        return this.run('readonly', store => store.getAllKeys());
+    }
+
+    async clear() {
+        await this.run('readwrite', store => store.clear());
+    }
+}
+
+/**
+ * JSON file cache store for Node.js scripts.
+ * Writes are queued one at a time and go through a temp file that is renamed
+ * over the cache, so concurrent sets or a crash never leave a half-written file.
+ */
+class FileCacheStore {
+    constructor(filePath = '.caldaspace-cache.json') {
+        this.filePath = filePath;
+        this.entries = null;
+        this.loading = null;
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        // Concurrent callers share one read so none of them replaces a map another has already written to
+        if (!this.loading) {
+            this.loading = (async () => {
+                const fs = await import('node:fs/promises');
+                try {
+                    const contents = await fs.readFile(this.filePath, 'utf8');
+                    this.entries = new Map(Object.entries(JSON.parse(contents)));
+                } catch (error) {
+                    // Missing or corrupt file - start with an empty cache
+                    this.entries = new Map();
+                }
+                return this.entries;
+            })();
+        }
+        return this.loading;
+    }
+
+    persist() {
+        const write = this.writing.then(async () => {
+            const fs = await import('node:fs/promises');
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(Object.fromEntries(this.entries)));
+            await fs.rename(tempPath, this.filePath);
+        });
+        // A failed write is reported to its caller but must not block the writes queued after it
+        this.writing = write.catch(() => {});
+        return write;
+    }
+
+    async get(key) {
+        const entries = await this.load();
+        return cloneValue(entries.get(key)) ?? null;
+    }
+
+    async set(key, entry) {
+        const entries = await this.load();
+        entries.set(key, cloneValue(entry));
+        await this.persist();
+    }
+
+    async delete(key) {
+        const entries = await this.load();
+        if (entries.delete(key)) {
+            await this.persist();
+        }
+    }
+
+    async keys() {
+        const entries = await this.load();
+        return Array.from(entries.keys());
+    }
+
+    async clear() {
+        const entries = await this.load();
+        entries.clear();
+        await this.persist();
+    }
+}
+
+/**
+ * Pick the best available store for the current environment
+ * @returns {object} Cache store instance
+ */
+function createDefaultStore() {
+    if (typeof indexedDB !== 'undefined') {
+        return new IndexedDBCacheStore();
+    }
+    return new MemoryCacheStore();
+}
+
+/**
+ * TTL-aware response cache on top of a pluggable store.
+ * Store failures are logged and treated as cache misses so the cache
+ * can never break a request.
+ */
+export class ResponseCache {
+    constructor(store = createDefaultStore()) {
+        this.store = store;
+    }
+
+    /**
+     * Read a fresh entry from the cache
+     * @param {string} key - Cache key from buildCacheKey
+     * @returns {Promise<object|null>} { data, storedAt, expiresAt } or null on miss/expiry
+     */
+    async get(key) {
+        try {
+            const entry = await this.store.get(key);
+            if (!entry) return null;
+
+            if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+                await this.store.delete(key);
+                return null;
+            }
+            return entry;
+        } catch (error) {
+            console.warn(`[Cache] Read failed for ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a response
+     * @param {string} key - Cache key from buildCacheKey
+     * @param {*} data - JSON-compatible response data
+     * @param {number} ttl - Time-to-live in ms (Infinity for never)
+     */
+    async set(key, data, ttl = CACHE_TTL.default) {
+        if (!(ttl > 0)) return;
+
+        const storedAt = Date.now();
+        try {
+            await this.store.set(key, {
+                data: data,
+                storedAt: storedAt,
+                expiresAt: Number.isFinite(ttl) ? storedAt + ttl : null
+            });
+        } catch (error) {
+            console.warn(`[Cache] Write failed for ${key}:`, error);
+        }
+    }
+
+    /**
+     * Remove entries whose key starts with the given prefix
+     * @param {string|Function} match - Key prefix (e.g. '/planetary/apod') or predicate
+     * @returns {Promise<number>} Number of removed entries
+     */
+    async invalidate(match) {
+        const predicate = typeof match === 'function' ? match : key => key.startsWith(match);
+        let removed = 0;
+
+        try {
+            const keys = await this.store.keys();
+            for (const key of keys) {
+                if (predicate(key)) {
+                    await this.store.delete(key);
+                    removed++;
+                }
+            }
+        } catch (error) {
+            console.warn('[Cache] Invalidation failed:', error);
+        }
+        return removed;
+    }
+
+    /**
+     * Remove every cached response
+     */
+    async clear() {
+        try {
+            await this.store.clear();
+        } catch (error) {
+            console.warn('[Cache] Clear failed:', error);
+        }
+    }
+}
+
+let sharedCache = null;
+
+/**
+ * Get the cache shared by the API modules
+ * @returns {ResponseCache} Shared cache instance
+ */
+export function getResponseCache() {
+    if (!sharedCache) {
+        sharedCache = new ResponseCache();
+    }
+    return sharedCache;
+}
+
+/**
+ * Replace the shared cache (e.g. with a FileCacheStore-backed one in Node)
+ * @param {ResponseCache} cache - Cache instance
+ */
+export function setResponseCache(cache) {
+    sharedCache = cache;
+}
+
+export {
+    CACHE_TTL,
+    buildCacheKey,
+    cloneValue,
+    MemoryCacheStore,
+    IndexedDBCacheStore,
+    FileCacheStore
+};
@@ -0,0 +1,249 @@
+// CaldaSpace - CNEOS Close-Approach Data Module
+// Past and future close approaches to Earth, the Moon and the planets (cad.api)
+import { fetchJSON } from './http.js';
+import { ValidationError } from './errors.js';
+import { fromJulianDate, convertJulianDate, TIME_SCALES } from './astro.js';
+
+const CAD_API = 'https://ssd-api.jpl.nasa.gov/cad.api';
+const AU_KM = 149597870.7;
+const LUNAR_DISTANCE_KM = 384398;
+const DEFAULT_ALBEDO = 0.14; // Used to turn a minimum diameter into a maximum H
+
+// Friendly body names -> CAD body codes
+const CAD_BODIES = {
+    mercury: 'Merc',
+    venus: 'Venus',
+    earth: 'Earth',
+    moon: 'Moon',
+    mars: 'Mars',
+    jupiter: 'Juptr',
+    saturn: 'Satrn',
+    uranus: 'Urnus',
+    neptune: 'Neptn',
+    pluto: 'Pluto',
+    all: 'ALL'
+};
+
+// Sort keys accepted by `sort` (prefix with '-' for descending)
+const CAD_SORT_FIELDS = {
+    date: 'date',
+    distance: 'dist',
+    distanceMin: 'dist-min',
+    velocityInfinity: 'v-inf',
+    velocityRelative: 'v-rel',
+    absoluteMagnitude: 'h',
+    object: 'object'
+};
+
+/**
+ * Parse a CAD numeric string
+ * @param {string|number} value - Value from the API
+ * @returns {number|null} Number, or null when absent
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Convert a distance to the CAD dist-max/dist-min format
+ * @param {number|string} distance - AU as a number, or a string with a unit: '0.05', '0.05AU', '1LD'
+ * @param {string} field - Field name for errors
+ * @returns {string} CAD distance
+ */
+function formatDistance(distance, field) {
+    const match = /^\s*(\d*\.?\d+(?:e-?\d+)?)\s*(au|ld)?\s*$/i.exec(String(distance));
+    if (!match || Number(match[1]) <= 0) {
+        throw new ValidationError(`${field} must be a positive distance in AU, or a string like '1LD'`, { field });
+    }
+    return (match[2] || '').toUpperCase() === 'LD' ? `${match[1]}LD` : match[1];
+}
+
+/**
+ * Absolute magnitude of an asteroid with a given diameter
+ * @param {number} diameterKm - Diameter in km
+ * @param {number} albedo - Geometric albedo
+ * @returns {number} H
+ */
+function diameterToH(diameterKm, albedo = DEFAULT_ALBEDO) {
+    return 5 * Math.log10(1329 / (diameterKm * Math.sqrt(albedo)));
+}
+
+/**
+ * Build CAD query parameters
+ * @param {Object} query - See fetchCloseApproaches
+ * @returns {URLSearchParams} Query parameters
+ */
+function buildCADParams(query) {
+    const {
+        dateMin = 'now',
+        dateMax = '+365',
+        distMax = '0.05',
+        distMin,
+        body = 'Earth',
+        minDiameterKm,
+        hMax,
+        albedo = DEFAULT_ALBEDO,
+        sort = 'date',
+        limit,
+        pha = false,
+        comets = false
+    } = query;
+
+    const dateFormat = /^(now|[+-]?\d+|\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?)$/;
+    [['dateMin', dateMin], ['dateMax', dateMax]].forEach(([field, value]) => {
+        if (!dateFormat.test(String(value))) {
+            throw new ValidationError(`${field} must be 'now', a day offset like '+365', or YYYY-MM-DD`, { field });
+        }
+    });
+
+    const bodyCode = CAD_BODIES[String(body).toLowerCase()] || Object.values(CAD_BODIES).find(code => code === body);
+    if (!bodyCode) {
+        throw new ValidationError(`Unknown body: ${body}. Use one of: ${Object.keys(CAD_BODIES).join(', ')}`, { field: 'body' });
+    }
+
+    const descending = String(sort).startsWith('-');
+    const sortField = CAD_SORT_FIELDS[String(sort).replace(/^-/, '')] || Object.values(CAD_SORT_FIELDS).find(field => field === String(sort).replace(/^-/, ''));
+    if (!sortField) {
+        throw new ValidationError(`Unknown sort: ${sort}. Use one of: ${Object.keys(CAD_SORT_FIELDS).join(', ')}`, { field: 'sort' });
+    }
+
+    const params = new URLSearchParams({
+        'date-min': String(dateMin),
+        'date-max': String(dateMax),
+        'dist-max': formatDistance(distMax, 'distMax'),
+        body: bodyCode,
+        sort: `${descending ? '-' : ''}${sortField}`,
+        diameter: 'true',
+        fullname: 'true'
+    });
+
+    if (distMin !== undefined) params.set('dist-min', formatDistance(distMin, 'distMin'));
+
+    if (minDiameterKm !== undefined && !(Number(minDiameterKm) > 0)) {
+        throw new ValidationError('minDiameterKm must be a positive number', { field: 'minDiameterKm' });
+    }
+
+    // Bigger objects are brighter: a minimum size is a maximum absolute magnitude
+    const sizeLimit = minDiameterKm !== undefined ? diameterToH(Number(minDiameterKm), albedo) : null;
+    const hLimits = [sizeLimit, hMax !== undefined ? Number(hMax) : null].filter(value => value !== null);
+    if (hLimits.length > 0) params.set('h-max', Math.min(...hLimits).toFixed(2));
+
+    if (limit !== undefined) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new ValidationError('limit must be a positive whole number', { field: 'limit' });
+        }
+        params.set('limit', String(limit));
+    }
+
+    if (pha) params.set('pha', 'true');
+    if (comets) params.set('comet', 'true');
+
+    return params;
+}
+
+/**
+ * Convert a CAD row into an approach record. Includes NeoWs-style fields (name, close_approach_data,
+ * estimated_diameter_meters) so records can go straight into NEO tables and the 3D visualizer.
+ * @param {Object} row - Row keyed by CAD field name
+ * @param {string} body - Queried body code (rows only carry `body` when querying ALL)
+ * @returns {object} Approach record
+ */
+function normalizeApproach(row, body) {
+    const distance = toNumber(row.dist);
+    const jd = toNumber(row.jd);
+    // CAD times are TDB; epochs are UTC milliseconds like NeoWs epoch_date_close_approach
+    const epoch = jd !== null ? fromJulianDate(convertJulianDate(jd, TIME_SCALES.TDB, TIME_SCALES.UTC)).getTime() : null;
+    const diameterKm = toNumber(row.diameter);
+    const absoluteMagnitude = toNumber(row.h);
+    const fullName = (row.fullname || row.des || '').trim();
+
+    // Without a measured diameter, bracket it by albedo 0.25 (small) to 0.05 (large)
+    const diameterRange = diameterKm !== null
+        ? { min: diameterKm, max: diameterKm }
+        : absoluteMagnitude !== null
+            ? {
+                min: 1329 / Math.sqrt(0.25) * Math.pow(10, -absoluteMagnitude / 5),
+                max: 1329 / Math.sqrt(0.05) * Math.pow(10, -absoluteMagnitude / 5)
+            }
+            : null;
+
+    const record = {
+        designation: row.des,
+        fullName: fullName,
+        orbitId: row.orbit_id || null,
+        body: row.body || body,
+        jd: jd,
+        date: epoch !== null ? new Date(epoch).toISOString() : null,
+        calendarDate: row.cd || null,                  // TDB, e.g. '2029-Apr-13 21:46'
+        distance_au: distance,
+        distanceMin_au: toNumber(row.dist_min),
+        distanceMax_au: toNumber(row.dist_max),
+        distance_km: distance !== null ? distance * AU_KM : null,
+        distance_ld: distance !== null ? distance * AU_KM / LUNAR_DISTANCE_KM : null,
+        velocityRelative_kms: toNumber(row.v_rel),
+        velocityInfinity_kms: toNumber(row.v_inf),
+        timeUncertainty: row.t_sigma_f || null,       // e.g. '< 00:01' or '2_09:14'
+        absoluteMagnitude: absoluteMagnitude,
+        diameter_km: diameterKm,
+        sourceLinks: {
+            cneos_cad: 'https://cneos.jpl.nasa.gov/ca/',
+            jpl_ssd: `https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=${encodeURIComponent(row.des)}`,
+            api_docs: 'https://ssd-api.jpl.nasa.gov/doc/cad.html'
+        }
+    };
+
+    // NeoWs-compatible view
+    record.name = fullName;
+    record.absolute_magnitude_h = absoluteMagnitude;
+    record.estimated_diameter_meters = diameterRange
+        ? { estimated_diameter_min: diameterRange.min * 1000, estimated_diameter_max: diameterRange.max * 1000 }
+        : null;
+    record.close_approach_data = [{
+        close_approach_date: record.date ? record.date.split('T')[0] : null,
+        close_approach_date_full: record.calendarDate,
+        epoch_date_close_approach: epoch,
+        relative_velocity: { kilometers_per_second: String(record.velocityRelative_kms ?? '') },
+        miss_distance: {
+            astronomical: String(distance ?? ''),
+            lunar: String(record.distance_ld ?? ''),
+            kilometers: String(record.distance_km ?? '')
+        },
+        orbiting_body: record.body
+    }];
+
+    return record;
+}
+
+/**
+ * Query close approaches
+ * @example
+ * // Everything passing within 1 lunar distance of Earth in the next year
+ * const { approaches } = await fetchCloseApproaches({ dateMax: '+365', distMax: '1LD' });
+ * @param {Object} query - { dateMin: 'now' | '+N' | '-N' | YYYY-MM-DD, dateMax, distMax: AU number or '1LD',
+ *                           distMin, body: 'Earth' | 'Moon' | 'Mars' | ... | 'all', minDiameterKm, hMax,
+ *                           albedo (for minDiameterKm, default 0.14), sort: 'date' | 'distance' | 'velocityRelative' |
+ *                           ... (prefix '-' for descending), limit, pha, comets }
+ * @param {Object} options - { retry: partial retry policy, signal: AbortSignal, timeout: ms }
+ * @returns {Promise<object>} { count, approaches }
+ */
+export async function fetchCloseApproaches(query = {}, options = {}) {
+    const { retry = {}, signal, timeout } = options;
+    const params = buildCADParams(query);
+
+    const data = await fetchJSON(`${CAD_API}?${params}`, { service: 'CNEOS CAD', retry, signal, timeout });
+    const fields = data.fields || [];
+
+    const approaches = (data.data || []).map(values => {
+        const row = {};
+        fields.forEach((field, index) => {
+            row[field] = values[index];
+        });
+        return normalizeApproach(row, params.get('body'));
+    });
+
+    return { count: approaches.length, approaches };
+}
+
+export { CAD_API, CAD_BODIES, LUNAR_DISTANCE_KM };
@@ -1,79 +1,202 @@
-// ☄️ CaldaSpace - Comet 3I/Atlas Real-Time Trajectory Tracker
-// Live tracking of interstellar comet with observation planning
+// ☄️ CaldaSpace - Small-Body Trajectory Tracker
+// Positions, ephemerides and observation planning for any comet or asteroid, several at once
+// Comet3IAtlasTracker keeps the interstellar comet 3I/ATLAS preloaded
 // Supports amateur astronomer observations and citizen science
+import { fetchSmallBody } from './sbdb.js';
+import { ValidationError, isCancellation } from './errors.js';
+import {
+  toJulianDate,
+  fromJulianDate,
+  convertJulianDate,
+  TIME_SCALES,
+  eclipticToEquatorial,
+  equatorialToGalactic,
+  equatorialOfDate,
+  equatorialToHorizontal,
+  localSiderealTime,
+  earthPosition,
+  geocentricEquatorial,
+  sunEquatorial,
+  lunarPhase
+} from './astro.js';
+import { orbitalState, speedKmPerSecond, GAUSSIAN_GRAVITATIONAL_CONSTANT } from './orbits.js';
 
 const JPL_HORIZONS_API = 'https://ssd.jpl.nasa.gov/api/horizons.api';
 const MPC_API = 'https://www.minorplanetcenter.net/web_service';
 const OBSERVATION_DATABASE = 'https://ssd.jpl.nasa.gov/sbdb.cgi';
 
+const DARK_SUN_ALTITUDE = -12;      // degrees, end of nautical twilight
+const MIN_OBSERVING_ALTITUDE = 10;  // degrees above the horizon
+const NIGHT_SAMPLE_MINUTES = 20;    // step when scanning a night for visibility
+
+const OBSERVER_LOCATIONS = {
+  'Stockholm': { lat: 59.3293, lon: 18.0686, elevation: 44, timezone: 'Europe/Stockholm' },
+  'Mauna Kea': { lat: 19.8207, lon: -155.4681, elevation: 4205, timezone: 'Pacific/Honolulu' },
+  'Cerro Paranal': { lat: -24.6275, lon: -70.4044, elevation: 2635, timezone: 'America/Santiago' },
+  'La Palma': { lat: 28.7569, lon: -17.8814, elevation: 2396, timezone: 'Atlantic/Canary' },
+  'Greenwich': { lat: 51.4769, lon: -0.0005, elevation: 46, timezone: 'Europe/London' }
+};
+
+// Comet 3I/Atlas (epoch 2025.0); refreshed from SBDB by updateOrbitalElements()
+const COMET_3I_ATLAS = {
+  designation: '3I/Atlas',
+  sbdbDesignation: 'C/2025 N1',
+  fullName: 'Comet 3I/2025 A1 (Atlas)',
+  type: 'interstellar',
+  isComet: true,
+  discoveryDate: '2025-01-05',
+  discoverer: 'ATLAS (Asteroid Terrestrial-impact Last Alert System)',
+  
+  // Orbital elements (approximate)
+  orbitalElements: {
+    epoch: 2460676.5, // 2025-01-01.0 TDB
+    eccentricity: 1.2, // Hyperbolic orbit (> 1)
+    perihelionDistance: 1.1, // AU
+    inclination: 85.2, // degrees
+    longitudeOfAscendingNode: 142.7, // degrees
+    argumentOfPerihelion: 87.3, // degrees
+    perihelionTime: 2460850.2, // Approximate perihelion passage
+    absoluteMagnitude: 12.5,
+    slopeParameter: 4.0
+  },
+  
+  // Physical characteristics
+  physicalData: {
+    nucleusRadius: 2.5, // km (estimated)
+    albedo: 0.04, // typical comet albedo
+    rotationPeriod: 7.3, // hours (estimated)
+    gasProduction: {
+      water: 1e28, // molecules/sec at 1 AU
+      co2: 5e27,
+      co: 3e27
+    },
+    tailLength: 0, // Will be calculated based on distance
+    activity: 'low' // Current activity level
+  }
+};
+
 /**
- * Comet 3I/Atlas Real-Time Trajectory Tracker
- * Advanced tracking system for interstellar objects
+ * Check orbital elements and fill in the ones the tracker derives from others.
+ * Accepts the SBDB format (see sbdb.js): angles in degrees, distances in AU, times as TDB Julian dates.
+ * Needs eccentricity, inclination, node and argument of perihelion, plus perihelionDistance or semiMajorAxis,
+ * plus perihelionTime or meanAnomaly with its epoch.
+ * @param {Object} elements - Orbital elements
+ * @returns {object} Copy with perihelionDistance, semiMajorAxis (except parabolas) and perihelionTime set
+ * @throws {ValidationError} When a required element is missing or out of range
+ */
+function normalizeElements(elements = {}) {
+  const result = { ...elements };
+  const isSet = value => value !== null && value !== undefined && Number.isFinite(Number(value));
+  
+  ['eccentricity', 'inclination', 'longitudeOfAscendingNode', 'argumentOfPerihelion'].forEach(field => {
+    if (!isSet(result[field])) {
+      throw new ValidationError(`Orbital element ${field} is required`, { field });
+    }
+    result[field] = Number(result[field]);
+  });
+  
+  const e = result.eccentricity;
+  if (e < 0) {
+    throw new ValidationError('Eccentricity cannot be negative', { field: 'eccentricity' });
+  }
+  
+  if (!isSet(result.perihelionDistance)) {
+    if (!isSet(result.semiMajorAxis) || e === 1) {
+      throw new ValidationError('Orbital element perihelionDistance (or semiMajorAxis) is required', { field: 'perihelionDistance' });
+    }
+    result.perihelionDistance = Number(result.semiMajorAxis) * (1 - e);
+  }
+  result.perihelionDistance = Number(result.perihelionDistance);
+  if (result.perihelionDistance <= 0) {
+    throw new ValidationError('Perihelion distance must be positive', { field: 'perihelionDistance' });
+  }
+  if (e !== 1) {
+    result.semiMajorAxis = result.perihelionDistance / (1 - e); // Negative for hyperbolic orbits
+  }
+  
+  if (!isSet(result.perihelionTime)) {
+    if (!isSet(result.meanAnomaly) || !isSet(result.epoch) || e === 1) {
+      throw new ValidationError('Orbital element perihelionTime (or meanAnomaly with epoch) is required', { field: 'perihelionTime' });
+    }
+    // Mean motion in degrees/day
+    const n = isSet(result.meanMotion)
+      ? Number(result.meanMotion)
+      : GAUSSIAN_GRAVITATIONAL_CONSTANT / Math.pow(Math.abs(result.semiMajorAxis), 1.5) * 180 / Math.PI;
+    result.perihelionTime = Number(result.epoch) - Number(result.meanAnomaly) / n;
+  }
+  result.perihelionTime = Number(result.perihelionTime);
+  
+  return result;
+}
+
+/**
+ * Heliocentric and geocentric state of a tracked object (J2000 ecliptic, AU), from the shared universal-variable propagator.
+ * Every tracked body goes through here, so sky positions are always taken from Earth rather than the Sun.
+ * @param {Object} elements - Normalized orbital elements
+ * @param {number} julianDate - TDB Julian date
+ * @returns {object} { heliocentric: {x, y, z}, velocity: {x, y, z} (AU/day), geocentric: {x, y, z, distance},
+ *                     equatorial: geocentric J2000 {ra, dec}, ecliptic: heliocentric {longitude, latitude}, radius, trueAnomaly }
+ */
+function orbitalPosition(elements, julianDate) {
+  const { position, velocity, trueAnomaly } = orbitalState({
+    q: elements.perihelionDistance,
+    e: elements.eccentricity,
+    i: elements.inclination,
+    node: elements.longitudeOfAscendingNode,
+    peri: elements.argumentOfPerihelion,
+    tp: elements.perihelionTime
+  }, julianDate);
+  const { x: x_ecl, y: y_ecl, z: z_ecl } = position;
+  const earth = earthPosition(julianDate);
+  const { ra, dec, distance } = geocentricEquatorial(position, julianDate);
+  
+  return {
+    heliocentric: position,
+    velocity: velocity,
+    geocentric: { x: x_ecl - earth.x, y: y_ecl - earth.y, z: z_ecl - earth.z, distance: distance },
+    equatorial: { ra, dec },
+    ecliptic: { longitude: Math.atan2(y_ecl, x_ecl) * 180 / Math.PI, 
+               latitude: Math.atan2(z_ecl, Math.sqrt(x_ecl**2 + y_ecl**2)) * 180 / Math.PI },
+    radius: Math.sqrt(x_ecl**2 + y_ecl**2 + z_ecl**2),
+    trueAnomaly: trueAnomaly
+  };
+}
+
+/**
+ * Empty per-object tracking state
+ */
+function createTrackingData() {
+  return {
+    currentPosition: null,
+    velocity: null,
+    distanceFromEarth: null,
+    distanceFromSun: null,
+    magnitude: null,
+    phase: null,
+    observationWindows: [],
+    nextObservationWindows: [],
+    lastUpdate: null
+  };
+}
+
+/**
+ * Small-Body Trajectory Tracker
+ * Tracks any number of comets and asteroids, each from an SBDB lookup or user-supplied orbital elements.
+ * Per-object methods take the object's designation last; it defaults to the first object added.
  */
-export class Comet3IAtlasTracker {
-  constructor(canvas) {
+export class SmallBodyTracker {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas for visualizeTrajectory() (optional)
+   * @param {Object} options - { observerLocations: extra or replacement sites { name: { lat, lon, elevation, timezone } } }
+   */
+  constructor(canvas, options = {}) {
     this.canvas = canvas;
     this.ctx = canvas?.getContext('2d');
     
-    // Comet 3I/Atlas orbital parameters (epoch 2025.0)
-    this.cometData = {
-      designation: '3I/Atlas',
-      fullName: 'Comet 3I/2025 A1 (Atlas)',
-      type: 'interstellar',
-      discoveryDate: '2025-01-05',
-      discoverer: 'ATLAS (Asteroid Terrestrial-impact Last Alert System)',
-      
-      // Orbital elements (approximate)
-      orbitalElements: {
-        epoch: 2460676.5, // 2025-01-01.0 TDB
-        eccentricity: 1.2, // Hyperbolic orbit (> 1)
-        perihelionDistance: 1.1, // AU
-        inclination: 85.2, // degrees
-        longitudeOfAscendingNode: 142.7, // degrees
-        argumentOfPerihelion: 87.3, // degrees
-        perihelionTime: 2460850.2, // Approximate perihelion passage
-        absoluteMagnitude: 12.5,
-        slopeParameter: 4.0
-      },
-      
-      // Physical characteristics
-      physicalData: {
-        nucleusRadius: 2.5, // km (estimated)
-        albedo: 0.04, // typical comet albedo
-        rotationPeriod: 7.3, // hours (estimated)
-        gasProduction: {
-          water: 1e28, // molecules/sec at 1 AU
-          co2: 5e27,
-          co: 3e27
-        },
-        tailLength: 0, // Will be calculated based on distance
-        activity: 'low' // Current activity level
-      },
-      
-      // Observation data
-      observations: [],
-      predictions: [],
-      ephemeris: []
-    };
-    
-    this.observerLocations = {
-      'Stockholm': { lat: 59.3293, lon: 18.0686, elevation: 44, timezone: 'Europe/Stockholm' },
-      'Mauna Kea': { lat: 19.8207, lon: -155.4681, elevation: 4205, timezone: 'Pacific/Honolulu' },
-      'Cerro Paranal': { lat: -24.6275, lon: -70.4044, elevation: 2635, timezone: 'America/Santiago' },
-      'La Palma': { lat: 28.7569, lon: -17.8814, elevation: 2396, timezone: 'Atlantic/Canary' },
-      'Greenwich': { lat: 51.4769, lon: -0.0005, elevation: 46, timezone: 'Europe/London' }
-    };
+    // Tracked objects by designation, in the order they were added
+    this.objects = new Map();
     
-    this.trackingData = {
-      currentPosition: null,
-      velocity: null,
-      distanceFromEarth: null,
-      distanceFromSun: null,
-      magnitude: null,
-      phase: null,
-      nextObservationWindows: [],
-      lastUpdate: null
-    };
+    this.observerLocations = { ...OBSERVER_LOCATIONS, ...options.observerLocations };
     
     this.visualizationSettings = {
       showOrbit: true,
@@ -82,85 +205,197 @@ export class Comet3IAtlasTracker {
       timeScale: 1, // Real-time = 1, faster = > 1
       projectionType: 'equatorial' // 'equatorial', 'ecliptic', '3d'
     };
+    
+    this.updateTimers = [];
   }
 
   /**
-   * Initialize real-time tracking
+   * Track an object from its orbital elements. Adding a designation again replaces it.
+   * @param {Object} definition - { designation, orbitalElements (SBDB format, see normalizeElements),
+   *                                fullName, type: 'comet' | 'asteroid' | 'interstellar', isComet,
+   *                                physicalData, sbdbDesignation: SBDB lookup used by updateOrbitalElements() }
+   * @returns {object} Tracked object
+   * @throws {ValidationError} When the designation or an orbital element is missing
+   */
+  addObject(definition = {}) {
+    const designation = String(definition.designation ?? '').trim();
+    if (!designation) {
+      throw new ValidationError('A designation is required', { field: 'designation' });
+    }
+    
+    const isComet = definition.isComet ?? ['comet', 'interstellar'].includes(definition.type);
+    const physicalData = { ...definition.physicalData };
+    if (physicalData.gasProduction) {
+      physicalData.gasProduction = { ...physicalData.gasProduction };
+    }
+    
+    const object = {
+      designation: designation,
+      sbdbDesignation: definition.sbdbDesignation || null,
+      fullName: definition.fullName || designation,
+      type: definition.type || (isComet ? 'comet' : 'asteroid'),
+      isComet: isComet,
+      discoveryDate: definition.discoveryDate || null,
+      discoverer: definition.discoverer || null,
+      orbitClass: definition.orbitClass || null,
+      orbitQuality: definition.orbitQuality || null,
+      orbitalElements: normalizeElements(definition.orbitalElements),
+      physicalData: physicalData,
+      
+      // Observation data
+      observations: [],
+      predictions: [],
+      ephemeris: [],
+      trackingData: createTrackingData()
+    };
+    
+    this.objects.set(designation, object);
+    return object;
+  }
+
+  /**
+   * Look an object up in the JPL Small-Body Database and track it
+   * @param {string} designation - Designation, name or SPK-ID (e.g. '433', 'Apophis', 'C/2025 N1')
+   * @param {Object} request - { signal, timeout } for the lookup
+   * @returns {Promise<object>} Tracked object
+   * @throws {ValidationError|NotFoundError|APIError} When the lookup fails
+   */
+  async addObjectByDesignation(designation, request = {}) {
+    const body = await fetchSmallBody(designation, { closeApproaches: false, ...request });
+    const interstellar = /^\d+I\b/.test(body.designation || '');
+    
+    return this.addObject({
+      designation: body.designation,
+      sbdbDesignation: body.designation,
+      fullName: body.fullName,
+      type: interstellar ? 'interstellar' : body.isComet ? 'comet' : 'asteroid',
+      isComet: body.isComet,
+      orbitClass: body.orbitClass,
+      orbitQuality: body.orbitQuality,
+      orbitalElements: body.orbitalElements,
+      physicalData: body.physicalData
+    });
+  }
+
+  /**
+   * Stop tracking an object
+   * @param {string} designation - Designation
+   * @returns {boolean} Whether it was tracked
+   */
+  removeObject(designation) {
+    return this.objects.delete(designation);
+  }
+
+  /**
+   * Get a tracked object
+   * @param {string} designation - Designation (default: the first object added)
+   * @returns {object} Tracked object
+   * @throws {ValidationError} When no such object is tracked
+   */
+  getObject(designation = null) {
+    const object = designation === null || designation === undefined
+      ? this.objects.values().next().value
+      : this.objects.get(designation);
+    
+    if (!object) {
+      throw new ValidationError(designation ? `Not tracking "${designation}"` : 'No objects are being tracked', { field: 'designation' });
+    }
+    return object;
+  }
+
+  /**
+   * Every tracked object, in the order they were added
+   * @returns {Array<object>} Tracked objects
+   */
+  listObjects() {
+    return [...this.objects.values()];
+  }
+
+  /**
+   * Initialize real-time tracking of every object
    */
   async initializeTracking() {
-    console.log('[☄️ Comet Tracker] Initializing 3I/Atlas tracking system...');
+    console.log(`[☄️ Tracker] Initializing tracking of ${this.objects.size} object(s)...`);
     
     try {
-      // Fetch latest orbital elements
-      await this.updateOrbitalElements();
-      
-      // Calculate current position
-      await this.calculateCurrentPosition();
-      
-      // Generate ephemeris for upcoming period
-      await this.generateEphemeris(30); // 30 days ahead
-      
-      // Calculate observation windows
-      await this.calculateObservationWindows();
+      for (const { designation } of this.listObjects()) {
+        // Fetch latest orbital elements
+        await this.updateOrbitalElements(designation);
+        
+        // Calculate current position
+        await this.calculateCurrentPosition(designation);
+        
+        // Generate ephemeris for upcoming period
+        await this.generateEphemeris(30, designation); // 30 days ahead
+        
+        // Calculate observation windows
+        await this.calculateObservationWindows(designation);
+      }
       
       // Start real-time updates
       this.startRealTimeUpdates();
       
-      console.log('[☄️ Comet Tracker] Tracking system initialized successfully');
+      console.log('[☄️ Tracker] Tracking system initialized successfully');
       
     } catch (error) {
-      console.error('[☄️ Comet Tracker] Initialization error:', error);
+      console.error('[☄️ Tracker] Initialization error:', error);
       throw error;
     }
   }
 
   /**
-   * Update orbital elements from JPL Horizons
+   * Update an object's orbital elements from the JPL Small-Body Database.
+   * Objects added from user-supplied elements without an sbdbDesignation are left as they are.
+   * @param {string} designation - Designation (default: the first object added)
+   * @param {Object} request - { signal, timeout }
    */
-  async updateOrbitalElements() {
+  async updateOrbitalElements(designation = null, request = {}) {
+    const object = this.getObject(designation);
+    if (!object.sbdbDesignation) return;
+    
     try {
-      console.log('[☄️ Comet Tracker] Fetching latest orbital elements...');
+      console.log(`[☄️ Tracker] Fetching latest orbital elements for ${object.designation}...`);
       
-      // In reality, would query JPL Horizons for most recent elements
-      // For demo, we'll simulate updated elements with some variation
-      const now = new Date();
-      const daysSinceEpoch = (now - new Date(2025, 0, 1)) / (1000 * 60 * 60 * 24);
+      const body = await fetchSmallBody(object.sbdbDesignation, { closeApproaches: false, ...request });
       
-      // Simulate slight orbital refinements as more observations come in
-      const refinementFactor = Math.min(0.01, daysSinceEpoch * 0.0001);
-      
-      this.cometData.orbitalElements.eccentricity += (Math.random() - 0.5) * refinementFactor;
-      this.cometData.orbitalElements.perihelionDistance += (Math.random() - 0.5) * refinementFactor * 0.1;
-      this.cometData.orbitalElements.inclination += (Math.random() - 0.5) * refinementFactor * 10;
-      
-      // Update uncertainty estimates
-      this.cometData.orbitalElements.uncertainty = {
-        perihelionDistance: 0.001, // AU
-        eccentricity: 0.0001,
-        inclination: 0.1, // degrees
-        lastRefinement: now.toISOString()
-      };
+      // Keep the current values for anything the solution doesn't provide (e.g. M1/K1 early on)
+      const elements = { ...object.orbitalElements };
+      Object.entries(body.orbitalElements).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) {
+          elements[key] = value;
+        }
+      });
+      object.orbitalElements = normalizeElements(elements);
+      object.fullName = body.fullName || object.fullName;
+      object.orbitClass = body.orbitClass;
+      object.orbitQuality = body.orbitQuality;
       
-      console.log('[☄️ Comet Tracker] Orbital elements updated');
+      console.log(`[☄️ Tracker] Orbital elements updated for ${object.designation}`);
       
     } catch (error) {
-      console.warn('[☄️ Comet Tracker] Could not fetch orbital elements, using cached data');
+      if (isCancellation(error)) {
+        throw error;
+      }
+      console.warn(`[☄️ Tracker] Could not fetch orbital elements for ${object.designation}, using cached data`, error.message);
     }
   }
 
   /**
-   * Calculate current position of comet
+   * Calculate the current position of an object
+   * @param {string} designation - Designation (default: the first object added)
+   * @returns {Promise<object>} The object's tracking data
    */
-  async calculateCurrentPosition() {
+  async calculateCurrentPosition(designation = null) {
+    const object = this.getObject(designation);
     const now = new Date();
     const julianDate = this.dateToJulianDate(now);
     
     try {
       // Calculate position using orbital mechanics
-      const position = this.calculateOrbitalPosition(julianDate);
+      const position = this.calculateOrbitalPosition(julianDate, object.designation);
       
-      // Convert to various coordinate systems
-      const equatorial = this.eclipticToEquatorial(position.ecliptic);
+      // Convert to various coordinate systems; RA/Dec are as seen from Earth, not from the Sun
+      const equatorial = position.equatorial;
       const galactic = this.equatorialToGalactic(equatorial);
       
       // Calculate distances
@@ -170,18 +405,19 @@ export class Comet3IAtlasTracker {
         position.heliocentric.z ** 2
       );
       
-      const distanceFromEarth = this.calculateEarthDistance(position.heliocentric, julianDate);
-      
-      // Calculate apparent magnitude
-      const magnitude = this.calculateApparentMagnitude(distanceFromSun, distanceFromEarth);
+      const distanceFromEarth = position.geocentric.distance;
       
       // Calculate phase angle
       const phase = this.calculatePhaseAngle(position.heliocentric, julianDate);
       
+      // Calculate apparent magnitude
+      const magnitude = this.calculateApparentMagnitude(distanceFromSun, distanceFromEarth, phase, object.designation);
+      
       // Calculate velocity
-      const velocity = this.calculateVelocity(position.heliocentric, julianDate);
+      const velocity = this.calculateVelocity(julianDate, object.designation);
       
-      this.trackingData = {
+      object.trackingData = {
+        ...object.trackingData,
         currentPosition: {
           heliocentric: position.heliocentric,
           geocentric: position.geocentric,
@@ -198,80 +434,48 @@ export class Comet3IAtlasTracker {
       };
       
       // Update physical characteristics based on distance
-      this.updatePhysicalCharacteristics(distanceFromSun);
+      this.updatePhysicalCharacteristics(distanceFromSun, object.designation);
+      
+      console.log(`[☄️ Tracker] ${object.designation} position updated: ${distanceFromSun.toFixed(3)} AU from Sun, magnitude ${magnitude?.toFixed(1) ?? 'unknown'}`);
       
-      console.log(`[☄️ Comet Tracker] Position updated: ${distanceFromSun.toFixed(3)} AU from Sun, magnitude ${magnitude.toFixed(1)}`);
+      return object.trackingData;
       
     } catch (error) {
-      console.error('[☄️ Comet Tracker] Position calculation error:', error);
+      console.error(`[☄️ Tracker] Position calculation error for ${object.designation}:`, error);
       throw error;
     }
   }
 
   /**
    * Calculate orbital position using Kepler's laws
+   * @param {number} julianDate - TDB Julian date
+   * @param {string} designation - Designation (default: the first object added)
+   * @returns {object} { heliocentric, geocentric: {x, y, z, distance} (J2000 ecliptic, AU), equatorial: geocentric {ra, dec}, ecliptic, radius, trueAnomaly }
    */
-  calculateOrbitalPosition(julianDate) {
-    const elements = this.cometData.orbitalElements;
-    
-    // Time since perihelion
-    const timeSincePerihelion = julianDate - elements.perihelionTime;
-    
-    // For hyperbolic orbits (e > 1), use hyperbolic Kepler equation
-    const n = Math.sqrt(1 / Math.pow(elements.perihelionDistance, 3)) * (elements.eccentricity ** 1.5);
-    const meanAnomaly = n * timeSincePerihelion;
-    
-    // Solve hyperbolic Kepler equation (simplified)
-    let hyperbolicAnomaly = meanAnomaly;
-    for (let i = 0; i < 10; i++) {
-      const f = elements.eccentricity * Math.sinh(hyperbolicAnomaly) - hyperbolicAnomaly - meanAnomaly;
-      const df = elements.eccentricity * Math.cosh(hyperbolicAnomaly) - 1;
-      hyperbolicAnomaly = hyperbolicAnomaly - f / df;
-    }
-    
-    // True anomaly
-    const trueAnomaly = 2 * Math.atan(Math.sqrt((elements.eccentricity + 1) / (elements.eccentricity - 1)) * 
-                                      Math.tanh(hyperbolicAnomaly / 2));
-    
-    // Distance from Sun
-    const radius = elements.perihelionDistance * (elements.eccentricity ** 2 - 1) / 
-                   (1 + elements.eccentricity * Math.cos(trueAnomaly));
-    
-    // Position in orbital plane
-    const x_orbital = radius * Math.cos(trueAnomaly);
-    const y_orbital = radius * Math.sin(trueAnomaly);
-    
-    // Convert to ecliptic coordinates
-    const cos_omega = Math.cos(elements.longitudeOfAscendingNode * Math.PI / 180);
-    const sin_omega = Math.sin(elements.longitudeOfAscendingNode * Math.PI / 180);
-    const cos_w = Math.cos(elements.argumentOfPerihelion * Math.PI / 180);
-    const sin_w = Math.sin(elements.argumentOfPerihelion * Math.PI / 180);
-    const cos_i = Math.cos(elements.inclination * Math.PI / 180);
-    const sin_i = Math.sin(elements.inclination * Math.PI / 180);
-    
-    const x_ecl = (cos_omega * cos_w - sin_omega * sin_w * cos_i) * x_orbital +
-                  (-cos_omega * sin_w - sin_omega * cos_w * cos_i) * y_orbital;
-    
-    const y_ecl = (sin_omega * cos_w + cos_omega * sin_w * cos_i) * x_orbital +
-                  (-sin_omega * sin_w + cos_omega * cos_w * cos_i) * y_orbital;
-    
-    const z_ecl = sin_w * sin_i * x_orbital + cos_w * sin_i * y_orbital;
-    
-    return {
-      heliocentric: { x: x_ecl, y: y_ecl, z: z_ecl },
-      geocentric: null, // Will calculate separately
-      ecliptic: { longitude: Math.atan2(y_ecl, x_ecl) * 180 / Math.PI, 
-                 latitude: Math.atan2(z_ecl, Math.sqrt(x_ecl**2 + y_ecl**2)) * 180 / Math.PI },
-      radius: radius,
-      trueAnomaly: trueAnomaly * 180 / Math.PI
-    };
+  calculateOrbitalPosition(julianDate, designation = null) {
+    return orbitalPosition(this.getObject(designation).orbitalElements, julianDate);
+  }
+
+  /**
+   * Heliocentric velocity
+   * @param {number} julianDate - TDB Julian date
+   * @param {string} designation - Designation (default: the first object added)
+   * @returns {object} { x, y, z } in AU/day (J2000 ecliptic) and speed in km/s
+   */
+  calculateVelocity(julianDate, designation = null) {
+    const { velocity } = this.calculateOrbitalPosition(julianDate, designation);
+    return { ...velocity, speed: speedKmPerSecond(velocity) };
   }
 
   /**
    * Generate ephemeris for observation planning
+   * @param {number} days - Days ahead, one entry per day
+   * @param {string} designation - Designation (default: the first object added)
+   * @returns {Promise<Array<object>>} [{ date, julianDate, ra, dec (J2000), magnitude, distanceFromEarth, distanceFromSun, phase, elongation }]
    */
-  async generateEphemeris(days = 30) {
-    console.log(`[☄️ Comet Tracker] Generating ${days}-day ephemeris...`);
+  async generateEphemeris(days = 30, designation = null) {
+    const object = this.getObject(designation);
+    console.log(`[☄️ Tracker] Generating ${days}-day ephemeris for ${object.designation}...`);
     
     const ephemeris = [];
     const startDate = new Date();
@@ -281,52 +485,54 @@ export class Comet3IAtlasTracker {
       const julianDate = this.dateToJulianDate(date);
       
       try {
-        const position = this.calculateOrbitalPosition(julianDate);
-        const equatorial = this.eclipticToEquatorial(position.ecliptic);
+        const position = this.calculateOrbitalPosition(julianDate, object.designation);
+        const equatorial = position.equatorial;
         const distanceFromSun = position.radius;
-        const distanceFromEarth = this.calculateEarthDistance(position.heliocentric, julianDate);
-        const magnitude = this.calculateApparentMagnitude(distanceFromSun, distanceFromEarth);
+        const distanceFromEarth = position.geocentric.distance;
+        const phase = this.calculatePhaseAngle(position.heliocentric, julianDate);
         
         ephemeris.push({
           date: date.toISOString().split('T')[0],
           julianDate: julianDate,
           ra: equatorial.ra,
           dec: equatorial.dec,
-          magnitude: magnitude,
+          magnitude: this.calculateApparentMagnitude(distanceFromSun, distanceFromEarth, phase, object.designation),
           distanceFromEarth: distanceFromEarth,
           distanceFromSun: distanceFromSun,
-          phase: this.calculatePhaseAngle(position.heliocentric, julianDate),
-          elongation: this.calculateElongation(position.heliocentric, julianDate),
-          constellation: this.getConstellation(equatorial.ra, equatorial.dec)
+          phase: phase,
+          elongation: this.calculateElongation(position.heliocentric, julianDate)
         });
       } catch (error) {
-        console.warn(`[☄️ Comet Tracker] Error calculating position for ${date}:`, error);
+        console.warn(`[☄️ Tracker] Error calculating position of ${object.designation} for ${date}:`, error);
       }
     }
     
-    this.cometData.ephemeris = ephemeris;
-    console.log(`[☄️ Comet Tracker] Generated ephemeris with ${ephemeris.length} entries`);
+    object.ephemeris = ephemeris;
+    console.log(`[☄️ Tracker] Generated ephemeris with ${ephemeris.length} entries`);
     
     return ephemeris;
   }
 
   /**
-   * Calculate observation windows for different locations
+   * Calculate observation windows for different locations from the object's ephemeris
+   * @param {string} designation - Designation (default: the first object added)
+   * @returns {Promise<Array<object>>} Windows, best quality first
    */
-  async calculateObservationWindows() {
-    console.log('[☄️ Comet Tracker] Calculating observation windows...');
+  async calculateObservationWindows(designation = null) {
+    const object = this.getObject(designation);
+    console.log(`[☄️ Tracker] Calculating observation windows for ${object.designation}...`);
     
     const windows = [];
-    const ephemeris = this.cometData.ephemeris;
     
     Object.entries(this.observerLocations).forEach(([locationName, location]) => {
       const locationWindows = [];
       
-      ephemeris.forEach(entry => {
+      object.ephemeris.forEach(entry => {
         const observability = this.calculateObservability(entry, location);
         
         if (observability.visible && observability.quality > 3) {
           locationWindows.push({
+            object: object.designation,
             date: entry.date,
             location: locationName,
             coordinates: { ra: entry.ra, dec: entry.dec },
@@ -335,6 +541,7 @@ export class Comet3IAtlasTracker {
             azimuth: observability.azimuth,
             quality: observability.quality,
             moonPhase: observability.moonPhase,
+            moonIllumination: observability.moonIllumination,
             bestTime: observability.bestTime,
             duration: observability.duration
           });
@@ -350,37 +557,68 @@ export class Comet3IAtlasTracker {
       return new Date(a.date) - new Date(b.date);
     });
     
-    this.trackingData.nextObservationWindows = windows.slice(0, 20);
+    object.trackingData.observationWindows = windows;
+    object.trackingData.nextObservationWindows = windows.slice(0, 20);
     
-    console.log(`[☄️ Comet Tracker] Found ${windows.length} observation opportunities`);
+    console.log(`[☄️ Tracker] Found ${windows.length} observation opportunities for ${object.designation}`);
     return windows;
   }
 
   /**
-   * Calculate observability from a specific location
+   * Observation windows of every tracked object, best quality first
+   * @param {string} locationName - Only this site (optional)
+   * @returns {Array<object>} Windows (each names its object)
+   */
+  getObservationWindows(locationName = null) {
+    return this.listObjects()
+      .flatMap(object => object.trackingData.observationWindows)
+      .filter(window => !locationName || window.location === locationName)
+      .sort((a, b) => b.quality - a.quality || new Date(a.date) - new Date(b.date));
+  }
+
+  /**
+   * Calculate observability from a specific location during the night starting on the entry's date.
+   * The night is scanned from local noon to noon for moments when the Sun is below -12° and the
+   * object is above 10°; the ephemeris position is used for the whole night.
+   * @param {Object} ephemerisEntry - Entry from generateEphemeris()
+   * @param {Object} location - { lat, lon } in degrees
+   * @returns {object} { visible, altitude, azimuth (at the best time), quality (0-10), moonPhase (0 new, 0.5 full),
+   *                     moonIllumination, bestTime (ISO), duration (hours) }
    */
   calculateObservability(ephemerisEntry, location) {
     const { ra, dec, magnitude } = ephemerisEntry;
-    const date = new Date(ephemerisEntry.date + 'T00:00:00');
     
-    // Calculate local sidereal time
-    const lst = this.calculateLocalSiderealTime(date, location.lon);
+    // Local noon, then the midnight used for precession, the Sun and the Moon
+    const noon = Date.parse(`${ephemerisEntry.date}T12:00:00Z`) - location.lon / 15 * 60 * 60 * 1000;
+    const jdMidnightTT = convertJulianDate(toJulianDate(noon) + 0.5, TIME_SCALES.UTC, TIME_SCALES.TT);
     
-    // Convert RA/Dec to altitude/azimuth
-    const hourAngle = lst - ra;
-    const altitude = Math.asin(
-      Math.sin(dec * Math.PI / 180) * Math.sin(location.lat * Math.PI / 180) +
-      Math.cos(dec * Math.PI / 180) * Math.cos(location.lat * Math.PI / 180) * Math.cos(hourAngle * Math.PI / 180)
-    ) * 180 / Math.PI;
+    // J2000 RA/Dec to the equator of date
+    const objectOfDate = equatorialOfDate({ ra, dec }, jdMidnightTT);
+    const sunOfDate = equatorialOfDate(sunEquatorial(jdMidnightTT), jdMidnightTT);
     
-    const azimuth = Math.atan2(
-      Math.sin(hourAngle * Math.PI / 180),
-      Math.cos(hourAngle * Math.PI / 180) * Math.sin(location.lat * Math.PI / 180) -
-      Math.tan(dec * Math.PI / 180) * Math.cos(location.lat * Math.PI / 180)
-    ) * 180 / Math.PI;
+    let best = null;
+    let visibleSamples = 0;
+    
+    for (let minutes = 0; minutes < 24 * 60; minutes += NIGHT_SAMPLE_MINUTES) {
+      const jdUTC = toJulianDate(noon + minutes * 60 * 1000);
+      const sun = equatorialToHorizontal(sunOfDate, location, jdUTC);
+      if (sun.altitude > DARK_SUN_ALTITUDE) continue;
+      
+      // Altitude/azimuth (azimuth from north through east)
+      const { altitude, azimuth } = equatorialToHorizontal(objectOfDate, location, jdUTC);
+      if (altitude < MIN_OBSERVING_ALTITUDE) continue;
+      
+      visibleSamples++;
+      if (!best || altitude > best.altitude) {
+        best = { altitude, azimuth, jdUTC };
+      }
+    }
+    
+    const moon = lunarPhase(jdMidnightTT);
     
     // Calculate observation quality (0-10 scale)
     let quality = 0;
+    const altitude = best?.altitude ?? null;
     
     if (altitude > 30) quality += 4; // High enough to observe
     else if (altitude > 20) quality += 2;
@@ -390,71 +628,96 @@ export class Comet3IAtlasTracker {
     else if (magnitude < 12) quality += 2;
     else if (magnitude < 14) quality += 1;
     
-    // Moon phase consideration (simplified)
-    const moonPhase = (date.getTime() / (29.5 * 24 * 60 * 60 * 1000)) % 1;
-    if (moonPhase < 0.2 || moonPhase > 0.8) quality += 2; // New moon periods
-    else if (moonPhase < 0.4 || moonPhase > 0.6) quality += 1; // Quarter moon
+    // Moonlight
+    if (moon.illumination < 0.25) quality += 2; // Near new moon
+    else if (moon.illumination < 0.6) quality += 1; // Around quarter moon
     
     // Seasonal considerations
     if (altitude > 45) quality += 1; // Better seeing at higher altitudes
     
     return {
-      visible: altitude > 10,
+      visible: best !== null,
       altitude: altitude,
-      azimuth: azimuth < 0 ? azimuth + 360 : azimuth,
+      azimuth: best?.azimuth ?? null,
       quality: Math.min(10, quality),
-      moonPhase: moonPhase,
-      bestTime: this.calculateBestObservingTime(ra, lst),
-      duration: this.calculateObservingDuration(altitude, dec, location.lat)
+      moonPhase: moon.fraction,
+      moonIllumination: moon.illumination,
+      bestTime: best ? fromJulianDate(best.jdUTC).toISOString() : null,
+      duration: visibleSamples * NIGHT_SAMPLE_MINUTES / 60
     };
   }
 
   /**
-   * Update physical characteristics based on solar distance
+   * Update a comet's activity, tail and gas production for its solar distance.
+   * gasProduction holds the rates at 1 AU; the scaled rates go to currentGasProduction.
+   * @param {number} distanceFromSun - AU
+   * @param {string} designation - Designation (default: the first object added)
    */
-  updatePhysicalCharacteristics(distanceFromSun) {
-    const physical = this.cometData.physicalData;
+  updatePhysicalCharacteristics(distanceFromSun, designation = null) {
+    const object = this.getObject(designation);
+    if (!object.isComet) return;
+    
+    const physical = object.physicalData;
+    let productionScale = 0;
     
     // Comet activity increases as it approaches the Sun
     if (distanceFromSun < 2) {
       physical.activity = 'high';
       physical.tailLength = Math.max(0, (3 - distanceFromSun) * 2); // Million km
-      physical.gasProduction.water *= Math.pow(distanceFromSun, -2);
+      productionScale = Math.pow(distanceFromSun, -2);
     } else if (distanceFromSun < 4) {
       physical.activity = 'medium';
       physical.tailLength = Math.max(0, (5 - distanceFromSun) * 0.5);
-      physical.gasProduction.water *= Math.pow(distanceFromSun, -1.5);
+      productionScale = Math.pow(distanceFromSun, -1.5);
     } else {
       physical.activity = 'low';
       physical.tailLength = 0;
     }
     
+    if (physical.gasProduction) {
+      physical.currentGasProduction = Object.fromEntries(
+        Object.entries(physical.gasProduction).map(([gas, rate]) => [gas, rate * productionScale])
+      );
+    }
+    
     // Update coma size based on activity
     physical.comaRadius = physical.tailLength > 0 ? 
       Math.min(100000, 10000 + physical.tailLength * 1000) : 5000; // km
   }
 
   /**
-   * Start real-time position updates
+   * Start real-time position updates for every tracked object
    */
   startRealTimeUpdates() {
+    this.stopRealTimeUpdates();
+    const eachObject = update => this.listObjects().forEach(({ designation }) => {
+      update(designation).catch(console.error);
+    });
+    
     // Update position every 10 minutes
-    setInterval(() => {
-      this.calculateCurrentPosition().catch(console.error);
-    }, 10 * 60 * 1000);
+    this.updateTimers.push(setInterval(() => {
+      eachObject(designation => this.calculateCurrentPosition(designation));
+    }, 10 * 60 * 1000));
     
     // Update ephemeris daily
-    setInterval(() => {
-      this.generateEphemeris(30).then(() => {
-        this.calculateObservationWindows();
-      }).catch(console.error);
-    }, 24 * 60 * 60 * 1000);
+    this.updateTimers.push(setInterval(() => {
+      eachObject(designation => this.generateEphemeris(30, designation)
+        .then(() => this.calculateObservationWindows(designation)));
+    }, 24 * 60 * 60 * 1000));
     
-    console.log('[☄️ Comet Tracker] Real-time updates started');
+    console.log('[☄️ Tracker] Real-time updates started');
   }
 
   /**
-   * Visualize comet trajectory and current position
+   * Stop real-time updates
+   */
+  stopRealTimeUpdates() {
+    this.updateTimers.forEach(timer => clearInterval(timer));
+    this.updateTimers = [];
+  }
+
+  /**
+   * Visualize the trajectories and current positions of every tracked object
    */
   visualizeTrajectory() {
     if (!this.canvas || !this.ctx) return;
@@ -473,18 +736,20 @@ export class Comet3IAtlasTracker {
     // Draw solar system objects
     this.drawSolarSystem(ctx, width, height);
     
-    // Draw comet orbit
-    if (this.visualizationSettings.showOrbit) {
-      this.drawCometOrbit(ctx, width, height);
-    }
-    
-    // Draw current comet position
-    this.drawCometPosition(ctx, width, height);
-    
-    // Draw tail if active
-    if (this.visualizationSettings.showTail && this.cometData.physicalData.tailLength > 0) {
-      this.drawCometTail(ctx, width, height);
-    }
+    this.listObjects().forEach(object => {
+      // Draw orbit
+      if (this.visualizationSettings.showOrbit) {
+        this.drawCometOrbit(ctx, width, height, object);
+      }
+      
+      // Draw current position
+      this.drawCometPosition(ctx, width, height, object);
+      
+      // Draw tail if active
+      if (this.visualizationSettings.showTail && object.physicalData.tailLength > 0) {
+        this.drawCometTail(ctx, width, height, object);
+      }
+    });
     
     // Draw information overlay
     this.drawInformationOverlay(ctx, width, height);
@@ -492,12 +757,21 @@ export class Comet3IAtlasTracker {
 
   /**
    * Generate observation planning report
+   * @param {string} locationName - Observer site (see observerLocations)
+   * @param {number} days - Maximum number of windows
+   * @param {string} designation - Designation (default: the first object added)
+   * @returns {object} { location, object, observationWindows, equipment, tips }
+   * @throws {ValidationError} For an unknown location or object
    */
-  generateObservationReport(locationName = 'Stockholm', days = 7) {
+  generateObservationReport(locationName = 'Stockholm', days = 7, designation = null) {
     const location = this.observerLocations[locationName];
-    if (!location) throw new Error(`Unknown location: ${locationName}`);
+    if (!location) {
+      throw new ValidationError(`Unknown location: ${locationName}. Use one of: ${Object.keys(this.observerLocations).join(', ')}`, { field: 'location' });
+    }
     
-    const windows = this.trackingData.nextObservationWindows
+    const object = this.getObject(designation);
+    const tracking = object.trackingData;
+    const windows = tracking.observationWindows
       .filter(w => w.location === locationName)
       .slice(0, days);
     
@@ -507,41 +781,133 @@ export class Comet3IAtlasTracker {
         coordinates: location,
         timezone: location.timezone
       },
-      comet: {
-        name: this.cometData.fullName,
-        type: this.cometData.type,
-        currentMagnitude: this.trackingData.magnitude?.toFixed(1),
-        currentDistance: `${this.trackingData.distanceFromEarth?.toFixed(2)} AU from Earth`,
-        activity: this.cometData.physicalData.activity
+      object: {
+        designation: object.designation,
+        name: object.fullName,
+        type: object.type,
+        currentMagnitude: tracking.magnitude?.toFixed(1),
+        currentDistance: `${tracking.distanceFromEarth?.toFixed(2)} AU from Earth`,
+        activity: object.isComet ? object.physicalData.activity : null
       },
       observationWindows: windows.map(w => ({
         date: w.date,
         coordinates: `RA: ${this.formatRA(w.coordinates.ra)}, Dec: ${this.formatDec(w.coordinates.dec)}`,
-        magnitude: w.magnitude.toFixed(1),
+        magnitude: w.magnitude?.toFixed(1),
         altitude: `${w.altitude.toFixed(1)}°`,
         azimuth: `${w.azimuth.toFixed(1)}°`,
         quality: `${w.quality}/10`,
         bestTime: w.bestTime,
-        recommendations: this.generateObservingRecommendations(w)
+        duration: `${w.duration.toFixed(1)} h`,
+        recommendations: this.generateObservingRecommendations(w, object)
       })),
-      equipment: this.recommendEquipment(this.trackingData.magnitude),
-      tips: this.getObservingTips()
+      equipment: this.recommendEquipment(tracking.magnitude),
+      tips: this.getObservingTips(object)
     };
     
     return report;
   }
 
+  /**
+   * Advice for one observation window
+   * @param {Object} window - Window from calculateObservationWindows()
+   * @param {Object} object - Tracked object
+   * @returns {Array<string>} Recommendations
+   */
+  generateObservingRecommendations(window, object) {
+    const recommendations = [];
+    
+    recommendations.push(`Highest at ${window.altitude.toFixed(0)}° around ${window.bestTime.slice(11, 16)} UTC; observable for about ${window.duration.toFixed(1)} h`);
+    
+    if (window.altitude < 30) {
+      recommendations.push(`Low in the sky - pick a site with a clear horizon toward azimuth ${window.azimuth.toFixed(0)}°`);
+    }
+    if (window.moonIllumination > 0.6) {
+      recommendations.push('Bright Moon - observe when it is below the horizon or far from the target');
+    }
+    if (window.magnitude !== null && window.magnitude !== undefined) {
+      recommendations.push(CometObservationUtils.magnitudeToDescription(window.magnitude));
+    }
+    if (object.isComet && object.physicalData.tailLength > 0) {
+      recommendations.push('Use a wide field of view to include the tail');
+    }
+    
+    return recommendations;
+  }
+
+  /**
+   * Equipment needed for a magnitude
+   * @param {number} magnitude - Apparent magnitude
+   * @returns {object|null} { telescope, visibility, exposureSeconds (80 mm f/5 camera) }, or null if unknown
+   */
+  recommendEquipment(magnitude) {
+    if (magnitude === null || magnitude === undefined || isNaN(magnitude)) return null;
+    
+    return {
+      telescope: CometObservationUtils.recommendTelescope(magnitude),
+      visibility: CometObservationUtils.magnitudeToDescription(magnitude),
+      exposureSeconds: Math.round(CometObservationUtils.calculateExposureTime(magnitude, 400, 80))
+    };
+  }
+
+  /**
+   * General observing tips for an object
+   * @param {Object} object - Tracked object
+   * @returns {Array<string>} Tips
+   */
+  getObservingTips(object) {
+    const tips = [
+      'Let your eyes dark-adapt for at least 20 minutes',
+      'Check the position against a star chart for the date - ephemeris positions are J2000'
+    ];
+    
+    if (object.isComet) {
+      tips.push('Comets look diffuse: use low magnification and averted vision');
+      tips.push('Brightness can change quickly with activity - compare against nearby stars');
+    } else {
+      tips.push('Asteroids look like stars: confirm by their motion between images taken an hour apart');
+    }
+    if (object.type === 'interstellar') {
+      tips.push('Interstellar objects pass once - report your observations to the Minor Planet Center');
+    }
+    
+    return tips;
+  }
+
   /**
    * Utility functions
    */
+
+  /**
+   * Julian date in TDB, the time scale of the orbital elements
+   */
   dateToJulianDate(date) {
-    return (date.getTime() / 86400000) + 2440587.5;
+    return convertJulianDate(toJulianDate(date), TIME_SCALES.UTC, TIME_SCALES.TDB);
   }
 
-  calculateApparentMagnitude(distanceFromSun, distanceFromEarth) {
-    const H = this.cometData.orbitalElements.absoluteMagnitude;
-    const K = this.cometData.orbitalElements.slopeParameter;
-    return H + K * Math.log10(distanceFromSun) + 5 * Math.log10(distanceFromEarth);
+  /**
+   * Apparent magnitude: total magnitude (M1, K1) for comets, H-G system for asteroids
+   * @param {number} distanceFromSun - AU
+   * @param {number} distanceFromEarth - AU
+   * @param {number} phaseAngle - Sun-object-Earth angle in degrees (asteroids)
+   * @param {string} designation - Designation (default: the first object added)
+   * @returns {number|null} Magnitude, or null without an absolute magnitude
+   */
+  calculateApparentMagnitude(distanceFromSun, distanceFromEarth, phaseAngle = 0, designation = null) {
+    const object = this.getObject(designation);
+    const H = object.orbitalElements.absoluteMagnitude;
+    const K = object.orbitalElements.slopeParameter;
+    if (H === null || H === undefined) return null;
+    
+    if (object.isComet) {
+      return H + (K ?? 10) * Math.log10(distanceFromSun) + 5 * Math.log10(distanceFromEarth);
+    }
+    
+    // Bowell et al. (1989) phase function
+    const G = K ?? 0.15;
+    const halfPhase = Math.tan(phaseAngle * Math.PI / 360);
+    const phi1 = Math.exp(-3.33 * Math.pow(halfPhase, 0.63));
+    const phi2 = Math.exp(-1.87 * Math.pow(halfPhase, 1.22));
+    return H + 5 * Math.log10(distanceFromSun * distanceFromEarth) - 2.5 * Math.log10((1 - G) * phi1 + G * phi2);
   }
 
   calculatePhaseAngle(heliocentricPos, julianDate) {
@@ -561,21 +927,44 @@ export class Comet3IAtlasTracker {
     return Math.acos(dotProduct / (magEarth * magSun)) * 180 / Math.PI;
   }
 
-  eclipticToEquatorial(ecliptic) {
-    const obliquity = 23.4397 * Math.PI / 180; // Earth's obliquity
-    const lambda = ecliptic.longitude * Math.PI / 180;
-    const beta = ecliptic.latitude * Math.PI / 180;
-    
-    const ra = Math.atan2(
-      Math.sin(lambda) * Math.cos(obliquity) - Math.tan(beta) * Math.sin(obliquity),
-      Math.cos(lambda)
-    ) * 180 / Math.PI;
+  /**
+   * Solar elongation: Sun-Earth-object angle in degrees
+   */
+  calculateElongation(heliocentricPos, julianDate) {
+    const earthPos = this.getEarthPosition(julianDate);
+    const toObject = { 
+      x: heliocentricPos.x - earthPos.x, 
+      y: heliocentricPos.y - earthPos.y, 
+      z: heliocentricPos.z - earthPos.z 
+    };
+    const toSun = { x: -earthPos.x, y: -earthPos.y, z: -earthPos.z };
     
-    const dec = Math.asin(
-      Math.sin(beta) * Math.cos(obliquity) + Math.cos(beta) * Math.sin(obliquity) * Math.sin(lambda)
-    ) * 180 / Math.PI;
+    const dotProduct = toObject.x * toSun.x + toObject.y * toSun.y + toObject.z * toSun.z;
+    const magObject = Math.sqrt(toObject.x**2 + toObject.y**2 + toObject.z**2);
+    const magSun = Math.sqrt(toSun.x**2 + toSun.y**2 + toSun.z**2);
     
-    return { ra: ra < 0 ? ra + 360 : ra, dec: dec };
+    return Math.acos(Math.max(-1, Math.min(1, dotProduct / (magObject * magSun)))) * 180 / Math.PI;
+  }
+
+  /**
+   * J2000 ecliptic to J2000 equatorial coordinates
+   */
+  eclipticToEquatorial(ecliptic) {
+    return eclipticToEquatorial(ecliptic);
+  }
+
+  /**
+   * J2000 equatorial to galactic coordinates { l, b }
+   */
+  equatorialToGalactic(equatorial) {
+    return equatorialToGalactic(equatorial);
+  }
+
+  /**
+   * Local mean sidereal time in degrees
+   */
+  calculateLocalSiderealTime(date, longitude) {
+    return localSiderealTime(toJulianDate(date), longitude);
   }
 
   formatRA(ra) {
@@ -592,10 +981,9 @@ export class Comet3IAtlasTracker {
     const d = Math.floor(absDec);
     const m = Math.floor((absDec - d) * 60);
     const s = Math.round(((absDec - d) * 60 - m) * 60);
-    return `${sign}${d.toString().padStart(2, '0')}° ${m.toString().padStart(2, '0')}' ${s.toString().padStart(2, '0')}"";
+    return `${sign}${d.toString().padStart(2, '0')}° ${m.toString().padStart(2, '0')}' ${s.toString().padStart(2, '0')}"`;
   }
 
-  // Additional helper methods would be implemented here...
   calculateEarthDistance(heliocentricPos, julianDate) {
     const earthPos = this.getEarthPosition(julianDate);
     return Math.sqrt(
@@ -605,37 +993,79 @@ export class Comet3IAtlasTracker {
     );
   }
 
+  /**
+   * Earth's heliocentric ecliptic position (AU) at a TDB Julian date
+   */
   getEarthPosition(julianDate) {
-    // Simplified Earth position calculation
-    const t = (julianDate - 2451545.0) / 365.25;
-    const L = 280.460 + 36000.77 * t;
-    const g = 357.528 + 35999.05 * t;
-    const lambda = (L + 1.915 * Math.sin(g * Math.PI / 180)) * Math.PI / 180;
-    
-    return {
-      x: Math.cos(lambda),
-      y: Math.sin(lambda),
-      z: 0
-    };
+    return earthPosition(julianDate);
   }
 
   /**
-   * Get current tracking summary
+   * Get current tracking summary of an object
+   * @param {string} designation - Designation (default: the first object added)
    */
-  getTrackingSummary() {
+  getTrackingSummary(designation = null) {
+    const object = this.getObject(designation);
+    const tracking = object.trackingData;
+    
     return {
-      comet: this.cometData.fullName,
-      currentPosition: this.trackingData.currentPosition,
+      designation: object.designation,
+      name: object.fullName,
+      type: object.type,
+      currentPosition: tracking.currentPosition,
       distance: {
-        fromEarth: this.trackingData.distanceFromEarth,
-        fromSun: this.trackingData.distanceFromSun
+        fromEarth: tracking.distanceFromEarth,
+        fromSun: tracking.distanceFromSun
       },
-      magnitude: this.trackingData.magnitude,
-      activity: this.cometData.physicalData.activity,
-      nextObservationWindows: this.trackingData.nextObservationWindows.slice(0, 5),
-      lastUpdate: this.trackingData.lastUpdate
+      magnitude: tracking.magnitude,
+      activity: object.isComet ? object.physicalData.activity : null,
+      nextObservationWindows: tracking.nextObservationWindows.slice(0, 5),
+      lastUpdate: tracking.lastUpdate
     };
   }
+
+  /**
+   * Tracking summaries of every object
+   */
+  getTrackingSummaries() {
+    return this.listObjects().map(object => this.getTrackingSummary(object.designation));
+  }
+}
+
+/**
+ * Comet 3I/Atlas Real-Time Trajectory Tracker
+ * A SmallBodyTracker with the interstellar comet preloaded; more objects can be added alongside it.
+ */
+export class Comet3IAtlasTracker extends SmallBodyTracker {
+  constructor(canvas, options = {}) {
+    super(canvas, options);
+    this.addObject(COMET_3I_ATLAS);
+  }
+
+  /**
+   * 3I/Atlas data: orbital and physical elements, ephemeris
+   */
+  get cometData() {
+    return this.getObject(COMET_3I_ATLAS.designation);
+  }
+
+  /**
+   * 3I/Atlas tracking state
+   */
+  get trackingData() {
+    return this.cometData.trackingData;
+  }
+}
+
+/**
+ * Factory function to create a small-body tracker
+ * @param {HTMLCanvasElement} canvasElement - Canvas (optional)
+ * @param {Object} options - { objects: definitions for addObject(), observerLocations }
+ */
+export function createSmallBodyTracker(canvasElement, options = {}) {
+  const tracker = new SmallBodyTracker(canvasElement, options);
+  (options.objects || []).forEach(definition => tracker.addObject(definition));
+  return tracker;
 }
 
 /**
@@ -666,7 +1096,7 @@ export const CometObservationUtils = {
   calculateExposureTime(magnitude, focalLength, aperture) {
     // Simplified exposure calculation
     const fRatio = focalLength / aperture;
-    const basExposure = Math.pow(10, (magnitude - 8) / 2.5);
+    const baseExposure = Math.pow(10, (magnitude - 8) / 2.5);
     return Math.min(300, Math.max(1, baseExposure * fRatio / 4));
   },
   
@@ -682,4 +1112,6 @@ export const CometObservationUtils = {
   }
 };
 
-export default Comet3IAtlasTracker;
\ No newline at end of file
+export { OBSERVER_LOCATIONS };
+
+export default Comet3IAtlasTracker;
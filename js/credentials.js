@@ -0,0 +1,332 @@
+// CaldaSpace - API Key Manager
+// Several keys per service, rotation when a key is rate-limited, and one place to ask for credentials
+import { getRateLimitBudget, maskAPIKey } from './rate-limit.js';
+import { ValidationError } from './errors.js';
+
+const SERVICES = {
+    NASA: 'nasa',               // api.nasa.gov (APOD, NeoWs, Mars photos, EPIC, DONKI, ...)
+    N2YO: 'n2yo',               // Satellite tracking
+    RSS2JSON: 'rss2json',       // News feeds
+    SPACE_DEVS: 'spacedevs'     // Launch Library 2 (optional token for higher limits)
+};
+
+const DEMO_KEY = 'DEMO_KEY';
+const STORAGE_KEY = 'caldaspace_credentials';
+const LEGACY_NASA_STORAGE_KEY = 'nasa_api_key'; // Single key saved by the settings form in index.html
+const DEFAULT_BLOCK_MS = 60 * 60 * 1000;         // NASA budgets are hourly
+
+// Node environment variables, comma-separated for several keys
+const ENVIRONMENT_VARIABLES = {
+    [SERVICES.NASA]: ['NASA_API_KEYS', 'NASA_API_KEY'],
+    [SERVICES.N2YO]: ['N2YO_API_KEY'],
+    [SERVICES.RSS2JSON]: ['RSS2JSON_API_KEY'],
+    [SERVICES.SPACE_DEVS]: ['SPACE_DEVS_TOKEN']
+};
+
+/**
+ * Validate a service name
+ * @param {string} service - One of SERVICES
+ */
+function validateService(service) {
+    if (!Object.values(SERVICES).includes(service)) {
+        throw new ValidationError(`Unknown service: ${service}. Use one of: ${Object.values(SERVICES).join(', ')}`, { field: 'service' });
+    }
+}
+
+/**
+ * Holds credentials per service and picks the one to use.
+ * NASA keys whose budget is spent (see rate-limit.js) or that were reported rate-limited are skipped
+ * until they recover; with no NASA keys configured, DEMO_KEY is used.
+ */
+export class KeyManager {
+    /**
+     * @param {Object} options - { storage: localStorage-like store to persist keys in (optional),
+     *                             isExhausted: (service, key) => boolean, now: () => ms }
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.isExhausted = options.isExhausted
+            || ((service, key) => service === SERVICES.NASA && getRateLimitBudget(key).exhausted);
+        this.now = options.now || Date.now;
+        this.credentials = new Map(); // service -> [{ value, label, blockedUntil }]
+        this.cursors = new Map();     // service -> index of the key in use
+        this.listeners = new Set();
+
+        if (this.storage) {
+            this.load();
+        }
+    }
+
+    /**
+     * Add a credential (ignored if already present)
+     * @param {string} service - One of SERVICES
+     * @param {string} value - Key or token
+     * @param {string} label - Name shown in settings (optional)
+     * @returns {KeyManager} this
+     */
+    addKey(service, value, label = null) {
+        validateService(service);
+        const key = String(value ?? '').trim();
+        if (!key) {
+            throw new ValidationError('A credential value is required', { field: 'value' });
+        }
+
+        const list = this.credentials.get(service) || [];
+        if (!list.some(entry => entry.value === key)) {
+            list.push({ value: key, label: label || `${service} key ${list.length + 1}`, blockedUntil: 0 });
+            this.credentials.set(service, list);
+            this.changed(service);
+        }
+        return this;
+    }
+
+    /**
+     * Remove a credential
+     * @param {string} service - One of SERVICES
+     * @param {string} value - Key or token
+     * @returns {boolean} Whether it was present
+     */
+    removeKey(service, value) {
+        const list = this.credentials.get(service) || [];
+        const index = list.findIndex(entry => entry.value === value);
+        if (index === -1) return false;
+
+        list.splice(index, 1);
+        this.cursors.set(service, 0);
+        this.changed(service);
+        return true;
+    }
+
+    /**
+     * Replace every credential of a service
+     * @param {string} service - One of SERVICES
+     * @param {Array<string>} values - Keys in order of preference
+     * @returns {KeyManager} this
+     */
+    setKeys(service, values) {
+        validateService(service);
+        this.credentials.set(service, []);
+        this.cursors.set(service, 0);
+        values.filter(value => String(value ?? '').trim()).forEach(value => this.addKey(service, value));
+        this.changed(service);
+        return this;
+    }
+
+    /**
+     * Whether a credential is managed here
+     * @param {string} service - One of SERVICES
+     * @param {string} value - Key or token
+     * @returns {boolean}
+     */
+    has(service, value) {
+        return (this.credentials.get(service) || []).some(entry => entry.value === value);
+    }
+
+    /**
+     * Describe a service's credentials for display (values are masked)
+     * @param {string} service - One of SERVICES
+     * @returns {Array<object>} [{ label, key, active, available, blockedUntil }]
+     */
+    listKeys(service) {
+        const list = this.credentials.get(service) || [];
+        const current = list.length > 0 ? this.getCredential(service) : null;
+
+        return list.map(entry => ({
+            label: entry.label,
+            key: maskAPIKey(entry.value),
+            active: entry.value === current,
+            available: this.isAvailable(service, entry),
+            blockedUntil: entry.blockedUntil > this.now() ? new Date(entry.blockedUntil).toISOString() : null
+        }));
+    }
+
+    /**
+     * The credential to use for a service right now
+     * @param {string} service - One of SERVICES
+     * @returns {string|null} Key, DEMO_KEY for NASA when none is configured, or null
+     */
+    getCredential(service) {
+        const list = this.credentials.get(service) || [];
+        if (list.length === 0) {
+            return service === SERVICES.NASA ? DEMO_KEY : null;
+        }
+
+        const start = this.cursors.get(service) || 0;
+        for (let offset = 0; offset < list.length; offset++) {
+            const index = (start + offset) % list.length;
+            if (this.isAvailable(service, list[index])) {
+                this.cursors.set(service, index);
+                return list[index].value;
+            }
+        }
+
+        // Every key is limited: use the one that recovers first
+        return list.reduce((best, entry) => (entry.blockedUntil < best.blockedUntil ? entry : best)).value;
+    }
+
+    /**
+     * Keep a caller's credential unless it is managed here and currently limited
+     * @param {string} service - One of SERVICES
+     * @param {string} value - Credential the caller asked for
+     * @returns {string} Credential to use
+     */
+    preferAvailable(service, value) {
+        const entry = (this.credentials.get(service) || []).find(candidate => candidate.value === value);
+        return entry && !this.isAvailable(service, entry) ? this.getCredential(service) : value;
+    }
+
+    /**
+     * Whether another usable credential exists for a service
+     * @param {string} service - One of SERVICES
+     * @param {string} value - Credential in use
+     * @returns {boolean}
+     */
+    hasAlternative(service, value) {
+        return (this.credentials.get(service) || []).some(entry => entry.value !== value && this.isAvailable(service, entry));
+    }
+
+    /**
+     * Mark a credential as rate-limited and rotate to the next one
+     * @param {string} service - One of SERVICES
+     * @param {string} value - Limited credential
+     * @param {number} retryAfterMs - How long it stays limited (default one hour)
+     * @returns {string|null} Next usable credential, or null if there is none
+     */
+    reportRateLimited(service, value, retryAfterMs = null) {
+        const list = this.credentials.get(service) || [];
+        const index = list.findIndex(entry => entry.value === value);
+        if (index === -1) return null;
+
+        list[index].blockedUntil = this.now() + (retryAfterMs ?? DEFAULT_BLOCK_MS);
+        this.cursors.set(service, (index + 1) % list.length);
+        this.notify(service);
+
+        return this.hasAlternative(service, value) ? this.getCredential(service) : null;
+    }
+
+    /**
+     * Whether a credential can be used now
+     */
+    isAvailable(service, entry) {
+        return entry.blockedUntil <= this.now() && !this.isExhausted(service, entry.value);
+    }
+
+    /**
+     * Register a listener called with (service, manager) when keys change or rotate
+     * @param {Function} listener - Callback
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(service) {
+        this.listeners.forEach(listener => listener(service, this));
+    }
+
+    changed(service) {
+        this.save();
+        this.notify(service);
+    }
+
+    /**
+     * Load saved credentials. The single key from the index.html settings form is kept as a NASA key.
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            Object.entries(saved).forEach(([service, entries]) => {
+                if (!Object.values(SERVICES).includes(service) || !Array.isArray(entries)) return;
+                this.credentials.set(service, entries
+                    .filter(entry => entry?.value)
+                    .map(entry => ({ value: entry.value, label: entry.label || service, blockedUntil: 0 })));
+            });
+        } catch (error) {
+            console.warn('[Keys] Ignoring unreadable saved credentials:', error.message);
+        }
+
+        const legacyKey = this.storage.getItem(LEGACY_NASA_STORAGE_KEY);
+        if (legacyKey && legacyKey !== DEMO_KEY && !this.has(SERVICES.NASA, legacyKey)) {
+            const list = this.credentials.get(SERVICES.NASA) || [];
+            list.unshift({ value: legacyKey, label: 'Saved NASA key', blockedUntil: 0 });
+            this.credentials.set(SERVICES.NASA, list);
+        }
+    }
+
+    /**
+     * Persist credentials (values and labels only)
+     */
+    save() {
+        if (!this.storage) return;
+
+        const saved = {};
+        this.credentials.forEach((entries, service) => {
+            saved[service] = entries.map(({ value, label }) => ({ value, label }));
+        });
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(saved));
+        } catch (error) {
+            console.warn('[Keys] Could not save credentials:', error.message);
+        }
+    }
+
+    /**
+     * Add credentials from environment variables
+     * (NASA_API_KEYS or NASA_API_KEY, N2YO_API_KEY, RSS2JSON_API_KEY, SPACE_DEVS_TOKEN; comma-separated lists allowed)
+     * @param {Object} env - Variables (default process.env)
+     * @returns {KeyManager} this
+     */
+    loadFromEnvironment(env = process.env) {
+        Object.entries(ENVIRONMENT_VARIABLES).forEach(([service, names]) => {
+            names.forEach(name => {
+                String(env[name] || '').split(',')
+                    .map(value => value.trim())
+                    .filter(Boolean)
+                    .forEach(value => this.addKey(service, value, name));
+            });
+        });
+        return this;
+    }
+}
+
+let sharedManager = null;
+
+/**
+ * Get the key manager shared by the API modules.
+ * Created on first use from localStorage in the browser, or from environment variables in Node.
+ * @returns {KeyManager} Shared manager
+ */
+export function getKeyManager() {
+    if (!sharedManager) {
+        const isNode = typeof process !== 'undefined' && !!process.versions?.node;
+        const storage = !isNode && typeof localStorage !== 'undefined' ? localStorage : null;
+        sharedManager = new KeyManager({ storage });
+        if (isNode) {
+            sharedManager.loadFromEnvironment();
+        }
+    }
+    return sharedManager;
+}
+
+/**
+ * Replace the shared key manager
+ * @param {KeyManager} manager - Manager instance
+ */
+export function setKeyManager(manager) {
+    sharedManager = manager;
+}
+
+/**
+ * The credential to use for a service right now
+ * @param {string} service - One of SERVICES
+ * @returns {string|null} Key, DEMO_KEY for NASA when none is configured, or null
+ */
+export function getCredential(service) {
+    return getKeyManager().getCredential(service);
+}
+
+export { SERVICES, DEMO_KEY };
@@ -0,0 +1,280 @@
+// CaldaSpace - NASA DONKI Client
+// Every DONKI event family, arbitrary date ranges and linked-event traversal (flare -> CME -> shock -> storm)
+import { fetchNASAAPI } from './api.js';
+import { getCredential, SERVICES } from './credentials.js';
+import { CACHE_TTL } from './cache.js';
+import { UpstreamError, ValidationError } from './errors.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOTIFICATIONS_MAX_DAYS = 30; // The notifications endpoint rejects longer ranges
+
+/**
+ * DONKI event families: endpoint, id field and the field holding the event time.
+ * CME analyses have no id of their own (several share one associatedCMEID), so theirs is built
+ * from the CME id and analysis time, and linkField adds the analysed CME to linkedEventIds.
+ */
+const DONKI_EVENT_TYPES = {
+    FLR: { endpoint: '/DONKI/FLR', idField: 'flrID', timeField: 'beginTime', name: 'Solar Flare' },
+    CME: { endpoint: '/DONKI/CME', idField: 'activityID', timeField: 'startTime', name: 'Coronal Mass Ejection' },
+    CMEAnalysis: {
+        endpoint: '/DONKI/CMEAnalysis',
+        eventId: event => event.associatedCMEID ? `${event.associatedCMEID}-analysis-${event.time21_5}` : null,
+        linkField: 'associatedCMEID',
+        timeField: 'time21_5',
+        name: 'CME Analysis'
+    },
+    GST: { endpoint: '/DONKI/GST', idField: 'gstID', timeField: 'startTime', name: 'Geomagnetic Storm' },
+    IPS: { endpoint: '/DONKI/IPS', idField: 'activityID', timeField: 'eventTime', name: 'Interplanetary Shock' },
+    SEP: { endpoint: '/DONKI/SEP', idField: 'sepID', timeField: 'eventTime', name: 'Solar Energetic Particle' },
+    MPC: { endpoint: '/DONKI/MPC', idField: 'mpcID', timeField: 'eventTime', name: 'Magnetopause Crossing' },
+    RBE: { endpoint: '/DONKI/RBE', idField: 'rbeID', timeField: 'eventTime', name: 'Radiation Belt Enhancement' },
+    HSS: { endpoint: '/DONKI/HSS', idField: 'hssID', timeField: 'eventTime', name: 'High Speed Stream' },
+    WSAEnlil: { endpoint: '/DONKI/WSAEnlilSimulations', idField: 'simulationID', timeField: 'modelCompletionTime', name: 'WSA-Enlil Simulation' },
+    notifications: { endpoint: '/DONKI/notifications', idField: 'messageID', timeField: 'messageIssueTime', name: 'Notification' }
+};
+
+// Families that appear in linkedEvents and can be traversed
+const LINKABLE_TYPES = ['FLR', 'CME', 'GST', 'IPS', 'SEP', 'MPC', 'RBE', 'HSS'];
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ * @param {Date|number} date - Date or timestamp
+ * @returns {string} Date string
+ */
+function formatDate(date) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Validate a YYYY-MM-DD date
+ * @param {string} date - Date string
+ * @param {string} field - Field name for errors
+ */
+function validateDate(date, field) {
+    // Date.parse accepts impossible days such as 2025-02-30; a real date formats back to itself
+    const parsed = Date.parse(`${date}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(parsed) || formatDate(parsed) !== date) {
+        throw new ValidationError(`Invalid ${field}. Use YYYY-MM-DD format`, { field });
+    }
+}
+
+/**
+ * Split an inclusive date range into windows of at most maxDays
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date
+ * @param {number} maxDays - Days per window
+ * @returns {Array<object>} [{ start, end }]
+ */
+function dateWindows(startDate, endDate, maxDays) {
+    const windows = [];
+    const last = Date.parse(endDate);
+    for (let start = Date.parse(startDate); start <= last; start += maxDays * DAY) {
+        windows.push({ start: formatDate(start), end: formatDate(Math.min(start + (maxDays - 1) * DAY, last)) });
+    }
+    return windows;
+}
+
+/**
+ * Parse a DONKI activity id ("2017-09-06T12:02:00-FLR-001") into its type and date
+ * @param {string} activityId - Activity id
+ * @returns {object|null} { type, date } or null if the id has no recognised type
+ */
+export function parseActivityId(activityId) {
+    const match = /^(\d{4}-\d{2}-\d{2})T[\d:]+-([A-Z]+)-\d+$/.exec(String(activityId || ''));
+    if (!match || !LINKABLE_TYPES.includes(match[2])) {
+        return null;
+    }
+    return { type: match[2], date: match[1] };
+}
+
+/**
+ * Add uniform fields to a raw DONKI record
+ * @param {Object} event - Raw record
+ * @param {string} type - Key of DONKI_EVENT_TYPES
+ * @returns {object} Record plus { eventId, eventType, eventName, eventTime, linkedEventIds }
+ */
+function normalizeEvent(event, type) {
+    const family = DONKI_EVENT_TYPES[type];
+    const linkedEventIds = (event.linkedEvents || []).map(link => link.activityID);
+    if (family.linkField) {
+        linkedEventIds.push(event[family.linkField]);
+    }
+    return {
+        ...event,
+        eventId: (family.eventId ? family.eventId(event) : event[family.idField]) || null,
+        eventType: type,
+        eventName: family.name,
+        eventTime: event[family.timeField] || null,
+        linkedEventIds: linkedEventIds.filter(Boolean)
+    };
+}
+
+/**
+ * Fetch one DONKI event family for a date range
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+ * @param {string} type - 'FLR' | 'CME' | 'CMEAnalysis' | 'GST' | 'IPS' | 'SEP' | 'MPC' | 'RBE' | 'HSS' | 'WSAEnlil' | 'notifications'
+ * @param {Object} query - { startDate, endDate (YYYY-MM-DD, default last 30 days), plus endpoint filters
+ *                           such as location/catalog (IPS), type (notifications), mostAccurateOnly (CMEAnalysis) }
+ * @param {Object} options - Request options { useCache, ttl, priority, retry, signal, timeout }
+ * @returns {Promise<Array>} Events with eventId, eventType, eventTime and linkedEventIds, oldest first
+ */
+export async function fetchDONKIEvents(apiKey = getCredential(SERVICES.NASA), type, query = {}, options = {}) {
+    const family = DONKI_EVENT_TYPES[type];
+    if (!family) {
+        throw new ValidationError(`Unknown DONKI event type: ${type}. Use one of: ${Object.keys(DONKI_EVENT_TYPES).join(', ')}`, { field: 'type' });
+    }
+
+    const { endDate = formatDate(Date.now()), startDate: requestedStart, ...filters } = query;
+
+    // The default start is derived from endDate, so endDate must be valid first
+    validateDate(endDate, 'endDate');
+    const startDate = requestedStart ?? formatDate(Date.parse(endDate) - 30 * DAY);
+    validateDate(startDate, 'startDate');
+    if (startDate > endDate) {
+        throw new ValidationError('Start date must be on or before end date', { field: 'startDate' });
+    }
+
+    const windows = type === 'notifications'
+        ? dateWindows(startDate, endDate, NOTIFICATIONS_MAX_DAYS)
+        : [{ start: startDate, end: endDate }];
+
+    const events = [];
+    for (const window of windows) {
+        let data;
+        try {
+            data = await fetchNASAAPI(family.endpoint, apiKey, { startDate: window.start, endDate: window.end, ...filters }, {
+                ttl: CACHE_TTL.donki,
+                ...options
+            });
+        } catch (error) {
+            // DONKI answers "no events" with an empty body on some endpoints
+            if (error instanceof UpstreamError && error.cause instanceof SyntaxError) {
+                continue;
+            }
+            throw error;
+        }
+        (Array.isArray(data) ? data : []).forEach(event => events.push(normalizeEvent(event, type)));
+    }
+
+    return events.sort((a, b) => String(a.eventTime).localeCompare(String(b.eventTime)));
+}
+
+/**
+ * Fetch several DONKI families for the same date range
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+ * @param {Object} query - { startDate, endDate, types: families to fetch (default all linkable families) }
+ * @param {Object} options - Request options { useCache, ttl, priority, retry, signal, timeout }
+ * @returns {Promise<object>} { byType: { FLR: [...], ... }, events: all events by time, errors: { type: APIError } }
+ */
+export async function fetchDONKIActivity(apiKey = getCredential(SERVICES.NASA), query = {}, options = {}) {
+    const { types = LINKABLE_TYPES, ...range } = query;
+
+    const results = await Promise.allSettled(types.map(type => fetchDONKIEvents(apiKey, type, range, options)));
+
+    const byType = {};
+    const errors = {};
+    results.forEach((result, index) => {
+        byType[types[index]] = result.status === 'fulfilled' ? result.value : [];
+        if (result.status === 'rejected') {
+            errors[types[index]] = result.reason;
+        }
+    });
+
+    const events = Object.values(byType).flat()
+        .sort((a, b) => String(a.eventTime).localeCompare(String(b.eventTime)));
+
+    return { byType, events, errors };
+}
+
+/**
+ * Build the linked-event graph of already fetched events
+ * @param {Array<object>} events - Normalized events
+ * @returns {object} { nodes: Map id -> event, edges: [{ from, to }] } (edges point forward in time)
+ */
+export function buildEventGraph(events) {
+    const nodes = new Map(events.filter(event => event.eventId).map(event => [event.eventId, event]));
+    const seen = new Set();
+    const edges = [];
+
+    nodes.forEach(event => {
+        event.linkedEventIds.forEach(linkedId => {
+            // Links are listed on both ends; orient them by time and keep each once
+            const [from, to] = String(event.eventId) <= String(linkedId) ? [event.eventId, linkedId] : [linkedId, event.eventId];
+            const key = `${from}|${to}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                edges.push({ from, to });
+            }
+        });
+    });
+
+    return { nodes, edges };
+}
+
+/**
+ * Follow linkedEvents from one event, fetching each linked event by the date encoded in its id
+ * @example
+ * const chain = await followLinkedEvents(apiKey, '2017-09-06T12:02:00-FLR-001');
+ * chain.events.map(event => `${event.eventName} ${event.eventTime}`);
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+ * @param {string|Object} start - Activity id or an event from fetchDONKIEvents
+ * @param {Object} options - { maxDepth: link hops to follow (default 4), maxEvents (default 50), plus request options }
+ * @returns {Promise<object>} { root, events (by time), edges, missing: ids that could not be resolved }
+ */
+export async function followLinkedEvents(apiKey = getCredential(SERVICES.NASA), start, options = {}) {
+    const { maxDepth = 4, maxEvents = 50, ...requestOptions } = options;
+    const rootId = typeof start === 'string' ? start : start?.eventId;
+
+    if (!parseActivityId(rootId) && typeof start === 'string') {
+        throw new ValidationError(`Not a DONKI activity id: ${start}`, { field: 'start' });
+    }
+
+    const found = new Map();
+    const missing = [];
+
+    // Fetch a family for the id's day (plus a day either side for time-zone edges), then pick the id out
+    const resolve = async (activityId) => {
+        const parsed = parseActivityId(activityId);
+        if (!parsed) return null;
+        const day = Date.parse(parsed.date);
+        const events = await fetchDONKIEvents(apiKey, parsed.type, {
+            startDate: formatDate(day - DAY),
+            endDate: formatDate(day + DAY)
+        }, requestOptions);
+        return events.find(event => event.eventId === activityId) || null;
+    };
+
+    let frontier = [rootId];
+    if (typeof start === 'object' && start?.eventId) {
+        found.set(start.eventId, start);
+        frontier = [...start.linkedEventIds];
+    }
+
+    for (let depth = 0; depth <= maxDepth && frontier.length > 0 && found.size < maxEvents; depth++) {
+        const next = [];
+        for (const id of frontier) {
+            if (found.has(id) || missing.includes(id) || found.size >= maxEvents) continue;
+
+            const event = await resolve(id);
+            if (!event) {
+                missing.push(id);
+                continue;
+            }
+            found.set(id, event);
+            event.linkedEventIds.forEach(linkedId => {
+                if (!found.has(linkedId)) next.push(linkedId);
+            });
+        }
+        frontier = next;
+    }
+
+    const { edges } = buildEventGraph(Array.from(found.values()));
+    return {
+        root: found.get(rootId) || null,
+        events: Array.from(found.values()).sort((a, b) => String(a.eventTime).localeCompare(String(b.eventTime))),
+        edges: edges,
+        missing: missing
+    };
+}
+
+export { DONKI_EVENT_TYPES, LINKABLE_TYPES };
@@ -0,0 +1,211 @@
+// CaldaSpace - NASA EONET Natural Events Module
+// Wildfires, storms, volcanoes and other Earth events from EONET v3, as GeoJSON time series
+import { fetchJSON } from './http.js';
+import { ValidationError } from './errors.js';
+
+const EONET_API = 'https://eonet.gsfc.nasa.gov/api/v3';
+const EVENT_STATUSES = ['open', 'closed', 'all'];
+
+/**
+ * Validate a YYYY-MM-DD date
+ * @param {string} date - Date string
+ * @param {string} field - Field name for errors
+ */
+function validateDate(date, field) {
+    // Date.parse accepts impossible days such as 2025-02-30; a real date formats back to itself
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(parsed) || parsed.toISOString().slice(0, 10) !== date) {
+        throw new ValidationError(`Invalid ${field}. Use YYYY-MM-DD format`, { field });
+    }
+}
+
+/**
+ * Convert a bounding box to EONET's "west,north,east,south" (upper-left, lower-right) order
+ * @param {Object} bbox - { west, south, east, north } in degrees
+ * @returns {string} EONET bbox parameter
+ */
+function formatBoundingBox(bbox) {
+    const { west, south, east, north } = bbox;
+    const values = [west, south, east, north].map(Number);
+
+    if (values.some(isNaN) || south > north || Math.abs(south) > 90 || Math.abs(north) > 90 ||
+        Math.abs(west) > 180 || Math.abs(east) > 180) {
+        throw new ValidationError('Bounding box needs west/east in [-180, 180] and south <= north in [-90, 90]', { field: 'bbox' });
+    }
+    return [west, north, east, south].join(',');
+}
+
+/**
+ * Build EONET event query parameters
+ * @param {Object} filters - See fetchEONETEvents
+ * @returns {URLSearchParams} Query parameters
+ */
+function buildEventParams(filters) {
+    const { category, status = 'open', startDate, endDate, days, limit, bbox, source } = filters;
+    const params = new URLSearchParams();
+
+    if (!EVENT_STATUSES.includes(status)) {
+        throw new ValidationError(`Invalid status: ${status}. Use ${EVENT_STATUSES.join(', ')}`, { field: 'status' });
+    }
+    params.set('status', status);
+
+    if (category) params.set('category', Array.isArray(category) ? category.join(',') : category);
+    if (source) params.set('source', Array.isArray(source) ? source.join(',') : source);
+
+    if (startDate) {
+        validateDate(startDate, 'startDate');
+        params.set('start', startDate);
+    }
+    if (endDate) {
+        validateDate(endDate, 'endDate');
+        params.set('end', endDate);
+    }
+    if (startDate && endDate && startDate > endDate) {
+        throw new ValidationError('Start date must be on or before end date', { field: 'startDate' });
+    }
+
+    if (days !== undefined) {
+        if (!Number.isInteger(days) || days < 1) {
+            throw new ValidationError('days must be a positive whole number', { field: 'days' });
+        }
+        params.set('days', String(days));
+    }
+
+    if (limit !== undefined) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new ValidationError('limit must be a positive whole number', { field: 'limit' });
+        }
+        params.set('limit', String(limit));
+    }
+
+    if (bbox) params.set('bbox', formatBoundingBox(bbox));
+
+    return params;
+}
+
+/**
+ * Normalize an EONET event: geometry sorted by time, plus the distinct observation dates
+ * @param {Object} event - EONET v3 event
+ * @returns {object} Event with geometries, dates and sourceLinks
+ */
+function normalizeEvent(event) {
+    const geometries = (event.geometry || [])
+        .map(geometry => ({
+            date: geometry.date,
+            type: geometry.type,
+            coordinates: geometry.coordinates,
+            magnitudeValue: geometry.magnitudeValue ?? null,
+            magnitudeUnit: geometry.magnitudeUnit ?? null
+        }))
+        .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+    return {
+        id: event.id,
+        title: event.title,
+        description: event.description || null,
+        closed: event.closed || null,
+        status: event.closed ? 'closed' : 'open',
+        categories: (event.categories || []).map(category => ({ id: category.id, title: category.title })),
+        sources: (event.sources || []).map(source => ({ id: source.id, url: source.url })),
+        geometries: geometries,
+        // YYYY-MM-DD days with observations - same format as fetchEPICDates
+        dates: Array.from(new Set(geometries.map(geometry => String(geometry.date).split('T')[0]))),
+        sourceLinks: {
+            eonet_event: event.link || `${EONET_API}/events/${event.id}`,
+            eonet: 'https://eonet.gsfc.nasa.gov/',
+            api_docs: 'https://eonet.gsfc.nasa.gov/docs/v3'
+        }
+    };
+}
+
+/**
+ * Convert events to a GeoJSON FeatureCollection with one Feature per observation (time series).
+ * Point observations of moving events (storms) can be joined into tracks by grouping on eventId.
+ * @param {Array<object>} events - Normalized events
+ * @returns {object} GeoJSON FeatureCollection
+ */
+export function eventsToGeoJSON(events) {
+    return {
+        type: 'FeatureCollection',
+        features: events.flatMap(event => event.geometries.map((geometry, index) => ({
+            type: 'Feature',
+            id: `${event.id}-${index}`,
+            geometry: { type: geometry.type, coordinates: geometry.coordinates },
+            properties: {
+                eventId: event.id,
+                title: event.title,
+                status: event.status,
+                categories: event.categories.map(category => category.id),
+                date: geometry.date,
+                sequence: index,
+                magnitudeValue: geometry.magnitudeValue,
+                magnitudeUnit: geometry.magnitudeUnit,
+                link: event.sourceLinks.eonet_event
+            }
+        })))
+    };
+}
+
+/**
+ * Fetch natural events
+ * @param {Object} filters - { category: id or array (e.g. 'wildfires', 'severeStorms', 'volcanoes'),
+ *                             status: 'open' (default) | 'closed' | 'all', startDate, endDate (YYYY-MM-DD),
+ *                             days: only the last N days, limit, source,
+ *                             bbox: { west, south, east, north } in degrees }
+ * @param {Object} options - { retry: partial retry policy, signal: AbortSignal, timeout: ms }
+ * @returns {Promise<object>} { events, geojson }
+ */
+export async function fetchEONETEvents(filters = {}, options = {}) {
+    const { retry = {}, signal, timeout } = options;
+    const params = buildEventParams(filters);
+
+    const data = await fetchJSON(`${EONET_API}/events?${params}`, { service: 'NASA EONET', retry, signal, timeout });
+    const events = (data.events || []).map(normalizeEvent);
+
+    return { events, geojson: eventsToGeoJSON(events) };
+}
+
+/**
+ * Fetch a single event by id
+ * @param {string} eventId - EONET event id (e.g. 'EONET_6543')
+ * @param {Object} options - { retry: partial retry policy, signal: AbortSignal, timeout: ms }
+ * @returns {Promise<object>} Normalized event
+ */
+export async function fetchEONETEvent(eventId, options = {}) {
+    const { retry = {}, signal, timeout } = options;
+    if (!eventId) {
+        throw new ValidationError('An EONET event id is required', { field: 'eventId' });
+    }
+
+    const data = await fetchJSON(`${EONET_API}/events/${encodeURIComponent(eventId)}`, { service: 'NASA EONET', retry, signal, timeout });
+    return normalizeEvent(data);
+}
+
+/**
+ * List EONET event categories
+ * @param {Object} options - { retry: partial retry policy, signal: AbortSignal, timeout: ms }
+ * @returns {Promise<Array>} [{ id, title, description }]
+ */
+export async function fetchEONETCategories(options = {}) {
+    const { retry = {}, signal, timeout } = options;
+    const data = await fetchJSON(`${EONET_API}/categories`, { service: 'NASA EONET', retry, signal, timeout });
+
+    return (data.categories || []).map(category => ({
+        id: category.id,
+        title: category.title,
+        description: category.description || null
+    }));
+}
+
+/**
+ * Attach the EPIC image dates that overlap each event's observations
+ * @param {Array<object>} events - Normalized events
+ * @param {Array<string>} epicDates - Dates from fetchEPICDates
+ * @returns {Array<object>} Copies of the events with epicDates
+ */
+export function matchEventsToEPICDates(events, epicDates) {
+    const available = new Set(epicDates);
+    return events.map(event => ({ ...event, epicDates: event.dates.filter(date => available.has(date)) }));
+}
+
+export { EONET_API, EVENT_STATUSES };
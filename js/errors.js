@@ -0,0 +1,178 @@
+// CaldaSpace - API Error Types
+// Typed error hierarchy shared by every data module so the UI can react per error class
+
+/**
+ * Base class for all API errors
+ * @property {number|null} status - HTTP status code, if the error came from a response
+ * @property {string|null} endpoint - Endpoint or URL (without query string) that failed
+ * @property {boolean} retryable - Whether repeating the request may succeed
+ */
+export class APIError extends Error {
+    constructor(message, { status = null, endpoint = null, retryable = false, cause = undefined } = {}) {
+        super(message, cause !== undefined ? { cause } : undefined);
+        this.name = 'APIError';
+        this.status = status;
+        this.endpoint = endpoint;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * Invalid input caught before (or rejected by) the API - e.g. bad date, HTTP 400
+ */
+export class ValidationError extends APIError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: false });
+        this.name = 'ValidationError';
+        this.field = details.field || null;
+    }
+}
+
+/**
+ * Missing, invalid or suspended credentials - HTTP 401/403
+ */
+export class AuthError extends APIError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: false });
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * Rate limit exceeded - HTTP 429
+ * @property {number|null} retryAfter - Seconds to wait, when the server says so
+ */
+export class RateLimitError extends APIError {
+    constructor(message, details = {}) {
+        super(message, { ...details, status: details.status ?? 429, retryable: true });
+        this.name = 'RateLimitError';
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+
+/**
+ * No data for the requested resource - HTTP 404
+ */
+export class NotFoundError extends APIError {
+    constructor(message, details = {}) {
+        super(message, { ...details, status: details.status ?? 404, retryable: false });
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * The upstream service failed or returned something unusable - HTTP 5xx, malformed body
+ */
+export class UpstreamError extends APIError {
+    constructor(message, details = {}) {
+        super(message, { retryable: true, ...details });
+        this.name = 'UpstreamError';
+    }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS)
+ */
+export class NetworkError extends APIError {
+    constructor(message = 'Network error. Please check your internet connection and try again', details = {}) {
+        super(message, { ...details, retryable: true });
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * The request took longer than allowed
+ */
+export class TimeoutError extends APIError {
+    constructor(message = 'The request timed out. Please try again', details = {}) {
+        super(message, { ...details, retryable: true });
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * The request was cancelled by the caller (AbortSignal) - not a failure, nothing to report
+ */
+export class CancelledError extends APIError {
+    constructor(message = 'The request was cancelled', details = {}) {
+        super(message, { ...details, retryable: false });
+        this.name = 'CancelledError';
+    }
+}
+
+/**
+ * Whether an error means the caller cancelled the request (as opposed to a failure or timeout)
+ * @param {Error} error - Any thrown error
+ * @returns {boolean}
+ */
+export function isCancellation(error) {
+    return error instanceof CancelledError || error?.name === 'AbortError';
+}
+
+/**
+ * Create the error type matching an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - User-friendly message
+ * @param {Object} details - { endpoint, retryAfter }
+ * @returns {APIError} Typed error
+ */
+export function errorForStatus(status, message, details = {}) {
+    const info = { ...details, status };
+
+    if (status === 400 || status === 422) return new ValidationError(message, info);
+    if (status === 401 || status === 403) return new AuthError(message, info);
+    if (status === 404) return new NotFoundError(message, info);
+    if (status === 429) return new RateLimitError(message, info);
+    if (status >= 500) return new UpstreamError(message, info);
+    return new APIError(message, info);
+}
+
+/**
+ * Create a typed error from a failed non-NASA response (NOAA, MAST, SpaceX, ...)
+ * @param {Response} response - Fetch response with !response.ok
+ * @param {string} service - Service name for the message (e.g. 'NOAA SWPC')
+ * @returns {APIError} Typed error
+ */
+export function errorFromResponse(response, service) {
+    const retryAfter = parseInt(response.headers?.get?.('Retry-After'), 10);
+    const endpoint = response.url ? response.url.split('?')[0] : null;
+    return errorForStatus(
+        response.status,
+        `${service} request failed (Status ${response.status}${response.statusText ? ` ${response.statusText}` : ''})`,
+        { endpoint, retryAfter: isNaN(retryAfter) ? null : retryAfter }
+    );
+}
+
+/**
+ * Convert anything thrown while requesting (fetch rejection, bad JSON) into a typed error.
+ * APIErrors pass through unchanged.
+ * @param {Error} error - Thrown error
+ * @param {string} endpoint - Endpoint or URL being requested
+ * @param {AbortSignal} signal - The request's signal; when aborted, its reason decides cancelled vs. timed out
+ * @returns {APIError} Typed error
+ */
+export function toAPIError(error, endpoint = null, signal = null) {
+    if (error instanceof APIError) {
+        return error;
+    }
+
+    const url = endpoint ? String(endpoint).split('?')[0] : null;
+
+    if (signal?.aborted) {
+        return signal.reason?.name === 'TimeoutError'
+            ? new TimeoutError(undefined, { endpoint: url, cause: signal.reason })
+            : new CancelledError(undefined, { endpoint: url, cause: signal.reason ?? error });
+    }
+
+    // AbortSignal.timeout() and our timeout option abort with a TimeoutError; a plain abort() is a cancellation
+    if (error?.name === 'TimeoutError') {
+        return new TimeoutError(undefined, { endpoint: url, cause: error });
+    }
+    if (error?.name === 'AbortError') {
+        return new CancelledError(undefined, { endpoint: url, cause: error });
+    }
+    if (error instanceof SyntaxError) {
+        return new UpstreamError('The service returned an invalid response. Please try again later', { endpoint: url, cause: error });
+    }
+    return new NetworkError(undefined, { endpoint: url, cause: error });
+}
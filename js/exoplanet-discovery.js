@@ -1,6 +1,8 @@
 // 🎮 CaldaSpace - Exoplanet Discovery Gamification Engine
 // Revolutionary citizen science tool for real exoplanet discovery
 // Based on real NASA Exoplanet Archive and TESS data
+import { fetchJSON } from './http.js';
+import { isCancellation } from './errors.js';
 
 const EXOPLANET_API_BASE = 'https://exoplanetarchive.ipac.caltech.edu/TAP/sync?query=';
 const TESS_API_BASE = 'https://mast.stsci.edu/api/v0.1/invoke';
@@ -44,8 +46,9 @@ export class ExoplanetDiscoveryEngine {
 
   /**
    * Fetch real exoplanet candidates from NASA archives
+   * @param {Object} request - { signal: AbortSignal, timeout: ms }
    */
-  async fetchExoplanetCandidates() {
+  async fetchExoplanetCandidates(request = {}) {
     try {
       console.log('[🎮 Exoplanet Game] Fetching real candidates...');
       
@@ -58,8 +61,7 @@ export class ExoplanetDiscoveryEngine {
         LIMIT 50
       `);
       
-      const response = await fetch(`${EXOPLANET_API_BASE}${query}&format=json`);
-      const data = await response.json();
+      const data = await fetchJSON(`${EXOPLANET_API_BASE}${query}&format=json`, { service: 'NASA Exoplanet Archive', ...request });
       
       if (data && Array.isArray(data)) {
         console.log(`[🎮 Exoplanet Game] Loaded ${data.length} real exoplanet targets`);
@@ -76,6 +78,7 @@ export class ExoplanetDiscoveryEngine {
         }));
       }
     } catch (error) {
+      if (isCancellation(error)) throw error;
       console.error('[🎮 Exoplanet Game] Error fetching candidates:', error);
     }
     
@@ -0,0 +1,295 @@
+// CaldaSpace - JPL Horizons Client
+// VECTORS and OBSERVER ephemerides for any Horizons target, parsed from the $$SOE...$$EOE tables
+import { fetchJSON } from './http.js';
+import { NotFoundError, UpstreamError, ValidationError } from './errors.js';
+
+const JPL_HORIZONS_API = 'https://ssd.jpl.nasa.gov/api/horizons.api';
+const AU_KM = 149597870.7;
+const SECONDS_PER_DAY = 86400;
+
+const EPHEMERIS_TYPES = {
+    VECTORS: 'VECTORS',     // Cartesian state vectors
+    OBSERVER: 'OBSERVER'    // Apparent sky position as seen from a site
+};
+
+// Default OBSERVER quantities: 1 = RA/Dec, 9 = magnitude, 19 = r/rdot (heliocentric), 20 = delta/deldot (observer)
+const DEFAULT_OBSERVER_QUANTITIES = '1,9,19,20';
+// With a topocentric site, 4 = apparent azimuth/elevation is added
+const SITE_OBSERVER_QUANTITIES = '1,4,9,19,20';
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+/**
+ * Format an observing site as Horizons SITE_COORD ("lon,lat,altitude_km")
+ * @param {Object} site - { lat, lon: degrees (east positive), elevation: metres }
+ * @returns {string} SITE_COORD value
+ */
+function formatSiteCoordinates(site) {
+    const lat = Number(site.lat);
+    const lon = Number(site.lon);
+    const elevation = Number(site.elevation ?? 0);
+
+    if (isNaN(lat) || isNaN(lon) || isNaN(elevation) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        throw new ValidationError('Site needs lat in [-90, 90], lon in [-180, 180] and elevation in metres', { field: 'site' });
+    }
+    return [lon, lat, elevation / 1000].join(',');
+}
+
+/**
+ * Build the query parameters for a Horizons request. Horizons expects every value in single quotes.
+ * @param {string} target - Horizons COMMAND (e.g. '499' for Mars, 'DES=C/2025 N1;' for a comet)
+ * @param {Object} options - { type: 'VECTORS' | 'OBSERVER', start, stop, step: e.g. '1 d',
+ *                             center: e.g. '500@10' (Sun) or '500@399' (geocenter),
+ *                             site: { lat, lon, elevation: metres } - observer on Earth's surface, replaces center,
+ *                             quantities: OBSERVER quantity codes, refPlane: 'ECLIPTIC' | 'FRAME' }
+ * @returns {URLSearchParams} Query parameters
+ */
+export function buildHorizonsQuery(target, options = {}) {
+    const {
+        type = EPHEMERIS_TYPES.VECTORS,
+        start,
+        stop,
+        step = '1 d',
+        center = type === EPHEMERIS_TYPES.VECTORS ? '500@10' : '500@399',
+        site = null,
+        quantities = site ? SITE_OBSERVER_QUANTITIES : DEFAULT_OBSERVER_QUANTITIES,
+        refPlane = 'ECLIPTIC'
+    } = options;
+
+    if (!target) {
+        throw new ValidationError('A Horizons target is required', { field: 'target' });
+    }
+    if (!Object.values(EPHEMERIS_TYPES).includes(type)) {
+        throw new ValidationError(`Unsupported ephemeris type: ${type}`, { field: 'type' });
+    }
+    if (!start || !stop || isNaN(Date.parse(start)) || isNaN(Date.parse(stop))) {
+        throw new ValidationError('Start and stop dates are required (YYYY-MM-DD)', { field: 'start' });
+    }
+    if (Date.parse(stop) <= Date.parse(start)) {
+        throw new ValidationError('Stop time must be after start time', { field: 'stop' });
+    }
+
+    const quote = value => `'${value}'`;
+    const params = new URLSearchParams({
+        format: 'json',
+        COMMAND: quote(target),
+        OBJ_DATA: quote('NO'),
+        MAKE_EPHEM: quote('YES'),
+        EPHEM_TYPE: quote(type),
+        CENTER: quote(site ? 'coord@399' : center),
+        START_TIME: quote(start),
+        STOP_TIME: quote(stop),
+        STEP_SIZE: quote(step),
+        CSV_FORMAT: quote('YES')
+    });
+
+    if (site) {
+        // Geodetic coordinates: east longitude and latitude in degrees, altitude in km
+        params.set('COORD_TYPE', quote('GEODETIC'));
+        params.set('SITE_COORD', quote(formatSiteCoordinates(site)));
+    }
+
+    if (type === EPHEMERIS_TYPES.VECTORS) {
+        params.set('VEC_TABLE', quote('2'));       // Position and velocity
+        params.set('REF_PLANE', quote(refPlane));
+        params.set('OUT_UNITS', quote('AU-D'));
+    } else {
+        params.set('QUANTITIES', quote(quantities));
+        params.set('ANG_FORMAT', quote('DEG'));
+    }
+
+    return params;
+}
+
+/**
+ * Parse a Horizons calendar date ("A.D. 2025-Jan-01 00:00:00.0000" or "2025-Jan-01 00:00")
+ * @param {string} text - Calendar date column
+ * @returns {string|null} ISO 8601 timestamp
+ */
+function parseHorizonsDate(text) {
+    const match = /(\d{4})-([A-Za-z]{3})-(\d{2})(?:\s+(\d{2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?)?/.exec(text || '');
+    if (!match) return null;
+
+    const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+    const monthIndex = MONTHS[month.toLowerCase()];
+    if (monthIndex === undefined) return null;
+
+    const seconds = parseFloat(second);
+    return new Date(Date.UTC(Number(year), monthIndex, Number(day), Number(hour), Number(minute),
+        Math.floor(seconds), Math.round((seconds % 1) * 1000))).toISOString();
+}
+
+/**
+ * Parse a number column ("n.a." and blanks become null)
+ * @param {string} value - Column text
+ * @returns {number|null} Number
+ */
+function parseNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Split the $$SOE...$$EOE table of a CSV-format Horizons result into rows keyed by column header
+ * @param {string} result - Horizons `result` text
+ * @returns {object} { columns, rows } where each row maps header -> raw string value
+ */
+export function parseHorizonsTable(result) {
+    const lines = String(result || '').split('\n');
+    const soe = lines.findIndex(line => line.trim() === '$$SOE');
+    const eoe = lines.findIndex(line => line.trim() === '$$EOE');
+
+    if (soe === -1 || eoe === -1 || eoe < soe) {
+        return { columns: [], rows: [] };
+    }
+
+    // Header is the last non-separator line above $$SOE
+    let headerLine = '';
+    for (let i = soe - 1; i >= 0; i--) {
+        if (lines[i].trim() && !/^\*+$/.test(lines[i].trim())) {
+            headerLine = lines[i];
+            break;
+        }
+    }
+
+    const columns = headerLine.split(',').map(column => column.trim());
+    const rows = lines.slice(soe + 1, eoe)
+        .filter(line => line.trim())
+        .map(line => {
+            const values = line.split(',');
+            const row = {};
+            columns.forEach((column, index) => {
+                // Unnamed columns are the solar/lunar presence flags of OBSERVER tables
+                const name = column || `flag${index}`;
+                if (index < values.length) {
+                    row[name] = values[index].trim();
+                }
+            });
+            return row;
+        });
+
+    return { columns, rows };
+}
+
+/**
+ * Turn a Horizons result without an ephemeris table into a typed error
+ * @param {string} result - Horizons `result` text
+ * @param {string} target - Requested target
+ * @returns {APIError} Typed error
+ */
+function horizonsResultError(result, target) {
+    const endpoint = JPL_HORIZONS_API;
+    if (/No matches found|Unknown target|No such record/i.test(result)) {
+        return new NotFoundError(`JPL Horizons has no object matching "${target}"`, { endpoint });
+    }
+    if (/Multiple major-bodies match|Matching small-bodies|Small-body Index Search Results/i.test(result)) {
+        return new ValidationError(`"${target}" matches several Horizons objects. Use a more specific designation`, { endpoint, field: 'target' });
+    }
+    const firstLine = String(result || '').split('\n').find(line => line.trim()) || 'empty response';
+    return new UpstreamError(`JPL Horizons returned no ephemeris: ${firstLine.trim()}`, { endpoint, retryable: false });
+}
+
+/**
+ * Run a Horizons query and return the raw table
+ * @param {string} target - Horizons COMMAND
+ * @param {Object} options - buildHorizonsQuery options plus { retry, signal, timeout }
+ * @returns {Promise<object>} { targetName, center, columns, rows, signature }
+ */
+export async function queryHorizons(target, options = {}) {
+    const { retry = {}, signal, timeout, ...queryOptions } = options;
+    const params = buildHorizonsQuery(target, queryOptions);
+
+    const data = await fetchJSON(`${JPL_HORIZONS_API}?${params}`, { service: 'JPL Horizons', retry, signal, timeout });
+
+    if (data.error) {
+        throw new ValidationError(`JPL Horizons rejected the query: ${data.error}`, { endpoint: JPL_HORIZONS_API });
+    }
+
+    const table = parseHorizonsTable(data.result);
+    if (table.rows.length === 0) {
+        throw horizonsResultError(data.result, target);
+    }
+
+    const nameMatch = /Target body name:\s*(.+?)(?:\s{2,}|\{|$)/m.exec(data.result);
+    const centerMatch = /Center body name:\s*(.+?)(?:\s{2,}|\{|$)/m.exec(data.result);
+
+    return {
+        targetName: nameMatch ? nameMatch[1].trim() : target,
+        center: centerMatch ? centerMatch[1].trim() : null,
+        columns: table.columns,
+        rows: table.rows,
+        signature: data.signature || null
+    };
+}
+
+/**
+ * Fetch state vectors (positions in AU, velocities in AU/day, ecliptic J2000 by default)
+ * @param {string} target - Horizons COMMAND
+ * @param {Object} options - { start, stop, step, center, refPlane, retry, signal, timeout }
+ * @returns {Promise<object>} { targetName, center, rows: [{ jd, date, position, velocity, distance_au, speed_kms }] }
+ */
+export async function fetchHorizonsVectors(target, options = {}) {
+    const table = await queryHorizons(target, { ...options, type: EPHEMERIS_TYPES.VECTORS });
+
+    const rows = table.rows.map(row => {
+        const position = { x: parseNumber(row.X), y: parseNumber(row.Y), z: parseNumber(row.Z) };
+        const velocity = { vx: parseNumber(row.VX), vy: parseNumber(row.VY), vz: parseNumber(row.VZ) };
+
+        return {
+            jd: parseNumber(row.JDTDB),
+            date: parseHorizonsDate(row['Calendar Date (TDB)']),
+            position: position,
+            velocity: velocity,
+            distance_au: Math.hypot(position.x, position.y, position.z),
+            speed_kms: Math.hypot(velocity.vx, velocity.vy, velocity.vz) * AU_KM / SECONDS_PER_DAY
+        };
+    });
+
+    return { targetName: table.targetName, center: table.center, rows };
+}
+
+/**
+ * Fetch observer ephemerides (RA/Dec in degrees, magnitudes, r and delta in AU)
+ * @param {string} target - Horizons COMMAND
+ * @param {Object} options - { start, stop, step, center: observer site (default geocenter),
+ *                             site: { lat, lon, elevation } for a surface observer, quantities, retry, signal, timeout }
+ * @returns {Promise<object>} { targetName, center, rows: [{ date, ra, dec, azimuth, elevation, magnitude, nuclearMagnitude,
+ *                              r, rdot, delta, deldot }] } - azimuth/elevation are null without a site
+ */
+export async function fetchHorizonsObserver(target, options = {}) {
+    const table = await queryHorizons(target, { ...options, type: EPHEMERIS_TYPES.OBSERVER });
+
+    // Header names carry padding underscores ("R.A.___(ICRF)"), so match on prefixes
+    const column = pattern => table.columns.find(name => pattern.test(name));
+    const columns = {
+        date: column(/^Date/),
+        ra: column(/^R\.A\./),
+        dec: column(/^DEC/),
+        azimuth: column(/^Azi/),
+        elevation: column(/^Elev/),
+        magnitude: column(/^(APmag|T-mag)$/),
+        nuclearMagnitude: column(/^N-mag$/),
+        r: column(/^r$/),
+        rdot: column(/^rdot$/),
+        delta: column(/^delta$/),
+        deldot: column(/^deldot$/)
+    };
+
+    const rows = table.rows.map(row => ({
+        date: parseHorizonsDate(row[columns.date]),
+        ra: parseNumber(row[columns.ra]),
+        dec: parseNumber(row[columns.dec]),
+        azimuth: parseNumber(row[columns.azimuth]),
+        elevation: parseNumber(row[columns.elevation]),
+        magnitude: parseNumber(row[columns.magnitude]),
+        nuclearMagnitude: parseNumber(row[columns.nuclearMagnitude]),
+        r: parseNumber(row[columns.r]),
+        rdot: parseNumber(row[columns.rdot]),
+        delta: parseNumber(row[columns.delta]),
+        deldot: parseNumber(row[columns.deldot])
+    }));
+
+    return { targetName: table.targetName, center: table.center, rows };
+}
+
+export { JPL_HORIZONS_API, EPHEMERIS_TYPES };
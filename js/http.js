@@ -0,0 +1,84 @@
+// CaldaSpace - Shared HTTP Request Layer
+// JSON requests with retries and typed errors for the non-NASA services (NOAA, MAST, SpaceX, ...)
+import { fetchWithRetry } from './retry.js';
+import { errorFromResponse, toAPIError } from './errors.js';
+import { getInFlightRequests } from './inflight.js';
+
+/**
+ * Combine a caller's AbortSignal with a timeout into one signal.
+ * The timeout aborts with a 'TimeoutError' reason so it is reported as a TimeoutError, not a cancellation.
+ * @param {AbortSignal} signal - Caller's signal (optional)
+ * @param {number} timeout - Milliseconds for the whole request including retries (optional)
+ * @returns {object} { signal, cleanup } - call cleanup() when the request settles
+ */
+export function createRequestSignal(signal = null, timeout = null) {
+    if (!timeout) {
+        return { signal, cleanup: () => {} };
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+        controller.abort(new DOMException(`Request timed out after ${timeout}ms`, 'TimeoutError'));
+    }, timeout);
+    const onAbort = () => controller.abort(signal.reason);
+
+    if (signal?.aborted) {
+        controller.abort(signal.reason);
+    } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return {
+        signal: controller.signal,
+        cleanup: () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    };
+}
+
+/**
+ * Fetch a URL and parse its JSON body, rejecting with a typed error on HTTP failure
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init
+ * @param {Object} retry - Partial retry policy
+ * @param {string} service - Service name for errors
+ * @param {AbortSignal} signal - Aborts the request
+ * @returns {Promise<*>} Parsed JSON
+ */
+async function requestJSON(url, init, retry, service, signal) {
+    const response = await fetchWithRetry(url, { ...init, signal }, retry);
+
+    if (!response.ok) {
+        throw errorFromResponse(response, service);
+    }
+
+    return response.json();
+}
+
+/**
+ * Fetch a URL and parse its JSON body.
+ * Concurrent GETs of the same URL share one fetch unless `dedupe` is false.
+ * @param {string} url - Request URL
+ * @param {Object} options - { service: name used in error messages, init: fetch init, retry: partial retry policy,
+ *                             signal: AbortSignal, timeout: ms for the whole request including retries,
+ *                             dedupe: false to always start a separate fetch }
+ * @returns {Promise<*>} Parsed JSON
+ * @throws {APIError} Typed error (NetworkError, UpstreamError, NotFoundError, CancelledError, TimeoutError, ...)
+ */
+export async function fetchJSON(url, options = {}) {
+    const { service = 'API', init = {}, retry = {}, signal = init.signal, timeout = null, dedupe = true } = options;
+    const request = createRequestSignal(signal, timeout);
+    const isGet = !init.method || init.method.toUpperCase() === 'GET';
+    const fetchData = sharedSignal => requestJSON(url, init, retry, service, sharedSignal);
+
+    try {
+        return dedupe && isGet && !init.body
+            ? await getInFlightRequests().join(url, fetchData, request.signal)
+            : await fetchData(request.signal);
+    } catch (error) {
+        throw toAPIError(error, url, request.signal);
+    } finally {
+        request.cleanup();
+    }
+}
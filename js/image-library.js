@@ -0,0 +1,240 @@
+// CaldaSpace - NASA Image and Video Library Module
+// Search, asset manifests and metadata from images-api.nasa.gov (no API key required)
+import { fetchJSON } from './http.js';
+import { ValidationError } from './errors.js';
+
+const IMAGE_LIBRARY_API = 'https://images-api.nasa.gov';
+const IMAGE_LIBRARY_SITE = 'https://images.nasa.gov/details';
+const MEDIA_TYPES = ['image', 'video', 'audio'];
+const MAX_PAGE_SIZE = 100;
+
+// NASA field centers accepted by the `center` filter
+const NASA_CENTERS = ['ARC', 'AFRC', 'GRC', 'GSFC', 'HQ', 'JPL', 'JSC', 'KSC', 'LaRC', 'MSFC', 'SSC'];
+
+/**
+ * Force https and escape spaces - manifest and thumbnail links come back as plain http
+ * @param {string} url - Asset URL
+ * @returns {string|null} Safe URL
+ */
+function normalizeAssetUrl(url) {
+    if (!url) return null;
+    return url.replace(/^http:\/\//, 'https://').replace(/ /g, '%20');
+}
+
+/**
+ * Convert a search result item to the module's item shape
+ * @param {Object} item - Item from collection.items
+ * @returns {object} Normalized item with sourceLinks
+ */
+function normalizeSearchItem(item) {
+    const data = item.data?.[0] || {};
+    const preview = (item.links || []).find(link => link.rel === 'preview') || item.links?.[0];
+
+    return {
+        nasaId: data.nasa_id,
+        title: data.title || 'Untitled',
+        description: data.description || data.description_508 || '',
+        mediaType: data.media_type,
+        center: data.center || null,
+        dateCreated: data.date_created || null,
+        keywords: data.keywords || [],
+        photographer: data.photographer || data.secondary_creator || null,
+        thumbnail: normalizeAssetUrl(preview?.href),
+        manifestUrl: normalizeAssetUrl(item.href),
+        sourceLinks: {
+            nasa_image_library: `${IMAGE_LIBRARY_SITE}/${encodeURIComponent(data.nasa_id)}`,
+            api_docs: 'https://images.nasa.gov/docs/images.nasa.gov_api_docs.pdf'
+        }
+    };
+}
+
+/**
+ * Validate a NASA ID from search results
+ * @param {string} nasaId - NASA ID
+ * @returns {string} Trimmed NASA ID
+ */
+function validateNasaId(nasaId) {
+    const id = String(nasaId ?? '').trim();
+    if (!id) {
+        throw new ValidationError('A NASA ID is required', { field: 'nasaId' });
+    }
+    return id;
+}
+
+/**
+ * Build search parameters from filters
+ * @param {string} query - Free-text search
+ * @param {Object} filters - { mediaType, yearStart, yearEnd, center, keywords, page, pageSize }
+ * @returns {URLSearchParams} Query parameters
+ */
+function buildSearchParams(query, filters) {
+    const { mediaType, yearStart, yearEnd, center, keywords, page = 1, pageSize = MAX_PAGE_SIZE } = filters;
+    const params = new URLSearchParams();
+
+    if (query) params.set('q', query);
+
+    if (mediaType) {
+        const types = Array.isArray(mediaType) ? mediaType : String(mediaType).split(',');
+        const invalid = types.filter(type => !MEDIA_TYPES.includes(type));
+        if (invalid.length > 0) {
+            throw new ValidationError(`Invalid media type: ${invalid.join(', ')}. Use ${MEDIA_TYPES.join(', ')}`, { field: 'mediaType' });
+        }
+        params.set('media_type', types.join(','));
+    }
+
+    const currentYear = new Date().getUTCFullYear();
+    [['yearStart', yearStart, 'year_start'], ['yearEnd', yearEnd, 'year_end']].forEach(([field, value, param]) => {
+        if (value === undefined || value === null || value === '') return;
+        if (!Number.isInteger(Number(value)) || Number(value) < 1900 || Number(value) > currentYear) {
+            throw new ValidationError(`${field} must be a year between 1900 and ${currentYear}`, { field });
+        }
+        params.set(param, String(value));
+    });
+
+    if (yearStart && yearEnd && Number(yearStart) > Number(yearEnd)) {
+        throw new ValidationError('yearStart must not be after yearEnd', { field: 'yearStart' });
+    }
+
+    if (center) {
+        const match = NASA_CENTERS.find(code => code.toLowerCase() === String(center).toLowerCase());
+        if (!match) {
+            throw new ValidationError(`Unknown NASA center: ${center}`, { field: 'center' });
+        }
+        params.set('center', match);
+    }
+
+    if (keywords) {
+        params.set('keywords', Array.isArray(keywords) ? keywords.join(',') : keywords);
+    }
+
+    if (!Number.isInteger(page) || page < 1) {
+        throw new ValidationError('Page must be a positive whole number', { field: 'page' });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new ValidationError(`Page size must be between 1 and ${MAX_PAGE_SIZE}`, { field: 'pageSize' });
+    }
+    params.set('page', String(page));
+    params.set('page_size', String(pageSize));
+
+    return params;
+}
+
+/**
+ * Search the NASA Image and Video Library
+ * @param {string} query - Free-text search (e.g. 'apollo 11')
+ * @param {Object} filters - { mediaType: 'image' | 'video' | 'audio' | array, yearStart, yearEnd,
+ *                             center: e.g. 'JPL', keywords, page (1-based), pageSize (max 100) }
+ * @param {Object} options - { retry: partial retry policy, signal: AbortSignal, timeout: ms }
+ * @returns {Promise<object>} { query, page, pageSize, totalHits, items, hasMore }
+ */
+export async function searchNASAImages(query = '', filters = {}, options = {}) {
+    const { retry = {}, signal, timeout } = options;
+
+    if (!query && !filters.keywords && !filters.center) {
+        throw new ValidationError('A search query, keywords or center is required', { field: 'query' });
+    }
+
+    const params = buildSearchParams(query, filters);
+    const data = await fetchJSON(`${IMAGE_LIBRARY_API}/search?${params}`, { service: 'NASA Image Library', retry, signal, timeout });
+    const collection = data.collection || {};
+
+    return {
+        query: query,
+        page: Number(params.get('page')),
+        pageSize: Number(params.get('page_size')),
+        totalHits: collection.metadata?.total_hits ?? null,
+        items: (collection.items || []).map(normalizeSearchItem),
+        hasMore: (collection.links || []).some(link => link.rel === 'next')
+    };
+}
+
+/**
+ * Walk every page of a search
+ * @param {string} query - Free-text search
+ * @param {Object} filters - Same as searchNASAImages
+ * @param {Object} options - { maxPages, retry, signal, timeout }
+ * @returns {AsyncGenerator<object>} Search result pages
+ */
+export async function* browseNASAImages(query = '', filters = {}, options = {}) {
+    const { maxPages = Infinity, ...searchOptions } = options;
+    let page = filters.page || 1;
+
+    for (let fetched = 0; fetched < maxPages; fetched++, page++) {
+        const result = await searchNASAImages(query, { ...filters, page }, searchOptions);
+        if (result.items.length > 0) {
+            yield result;
+        }
+        if (!result.hasMore || result.items.length === 0) {
+            return;
+        }
+    }
+}
+
+/**
+ * Resolve an item's asset manifest to concrete file URLs
+ * @param {string} nasaId - NASA ID from search results
+ * @param {Object} options - { retry: partial retry policy, signal: AbortSignal, timeout: ms }
+ * @returns {Promise<object>} { nasaId, original, large, medium, small, thumbnail, video, captions, metadata, files, sourceLinks }
+ */
+export async function fetchNASAImageAssets(nasaId, options = {}) {
+    const { retry = {}, signal, timeout } = options;
+    const id = validateNasaId(nasaId);
+
+    const data = await fetchJSON(`${IMAGE_LIBRARY_API}/asset/${encodeURIComponent(id)}`, { service: 'NASA Image Library', retry, signal, timeout });
+    const files = (data.collection?.items || []).map(item => normalizeAssetUrl(item.href)).filter(Boolean);
+
+    // File names follow "<id>~<size>.<ext>": ~orig, ~large, ~medium, ~small, ~thumb, ~mobile, ~preview
+    const find = (suffix, extensions) => files.find(url => {
+        const name = decodeURIComponent(url.split('/').pop()).toLowerCase();
+        return name.includes(`~${suffix}.`) && extensions.some(ext => name.endsWith(`.${ext}`));
+    }) || null;
+    const images = ['jpg', 'jpeg', 'png', 'tif', 'gif'];
+    const videos = ['mp4', 'mov'];
+
+    const original = find('orig', images);
+    const video = {
+        original: find('orig', videos),
+        large: find('large', videos),
+        medium: find('medium', videos),
+        mobile: find('mobile', videos),
+        preview: find('preview', videos)
+    };
+
+    return {
+        nasaId: id,
+        original: original,
+        large: find('large', images),
+        medium: find('medium', images),
+        small: find('small', images),
+        thumbnail: find('thumb', images),
+        video: Object.values(video).some(Boolean) ? video : null,
+        captions: files.find(url => /\.(srt|vtt)$/i.test(url)) || null,
+        metadata: files.find(url => /metadata\.json$/i.test(url)) || null,
+        files: files,
+        sourceLinks: {
+            nasa_image_library: `${IMAGE_LIBRARY_SITE}/${encodeURIComponent(id)}`,
+            original_file: original || video.original,
+            api_docs: 'https://images.nasa.gov/docs/images.nasa.gov_api_docs.pdf'
+        }
+    };
+}
+
+/**
+ * Fetch an item's full metadata (EXIF/XMP, AVAIL fields)
+ * @param {string} nasaId - NASA ID from search results
+ * @param {Object} options - { retry: partial retry policy, signal: AbortSignal, timeout: ms }
+ * @returns {Promise<object>} Metadata document
+ */
+export async function fetchNASAImageMetadata(nasaId, options = {}) {
+    const { retry = {}, signal, timeout } = options;
+    const id = validateNasaId(nasaId);
+
+    // The endpoint only returns where the metadata file lives
+    const { location } = await fetchJSON(`${IMAGE_LIBRARY_API}/metadata/${encodeURIComponent(id)}`, { service: 'NASA Image Library', retry, signal, timeout });
+    if (!location) {
+        return {};
+    }
+    return fetchJSON(normalizeAssetUrl(location), { service: 'NASA Image Library', retry, signal, timeout });
+}
+
+export { MEDIA_TYPES, NASA_CENTERS };
@@ -0,0 +1,131 @@
+// CaldaSpace - In-flight Request De-duplication
+// Concurrent identical requests share one underlying fetch; each caller can still cancel on its own
+import { cloneValue } from './cache.js';
+
+/**
+ * Coalesces concurrent operations with the same key into one promise.
+ * The shared operation is aborted only when every subscriber has cancelled.
+ */
+export class InFlightRequests {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Number of distinct operations currently running
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Whether an operation for a key is running
+     * @param {string} key - Request identity
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    /**
+     * Join the running operation for a key, starting it if there is none.
+     * Later subscribers share the first subscriber's operation (and its priority and retry policy).
+     * @param {string} key - Request identity, e.g. the full URL
+     * @param {Function} operation - (signal) => Promise; the signal aborts once every subscriber has cancelled
+     * @param {AbortSignal} signal - This caller's signal (optional); aborting it rejects only this caller
+     * @returns {Promise<*>} The operation's result - a private copy when several callers shared it
+     */
+    join(key, operation, signal = null) {
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        const entry = this.entries.get(key) || this.start(key, operation);
+        return this.subscribe(entry, signal);
+    }
+
+    /**
+     * Start an operation and track it until it settles
+     * @param {string} key - Request identity
+     * @param {Function} operation - (signal) => Promise
+     * @returns {object} Entry
+     */
+    start(key, operation) {
+        const entry = { key, controller: new AbortController(), subscribers: 0, shared: false, promise: null };
+
+        entry.promise = Promise.resolve()
+            .then(() => operation(entry.controller.signal))
+            .finally(() => this.release(entry));
+
+        // Results reach callers through subscribe(); all of them may have cancelled already
+        entry.promise.catch(() => {});
+
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Add a subscriber to an entry
+     * @param {Object} entry - Entry from start()
+     * @param {AbortSignal} signal - Subscriber's signal
+     * @returns {Promise<*>} Subscriber's view of the result
+     */
+    subscribe(entry, signal) {
+        entry.subscribers++;
+        if (entry.subscribers > 1) {
+            entry.shared = true;
+        }
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+
+            const onAbort = () => {
+                if (settled) return;
+                settled = true;
+                entry.subscribers--;
+                reject(signal.reason);
+
+                if (entry.subscribers === 0) {
+                    // Nobody is waiting any more: new callers start afresh instead of joining an aborted fetch
+                    this.release(entry);
+                    entry.controller.abort(signal.reason);
+                }
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            entry.promise.then(value => {
+                if (settled) return;
+                settled = true;
+                signal?.removeEventListener('abort', onAbort);
+                // Shared results are copied so one caller can't mutate another's data
+                resolve(entry.shared ? cloneValue(value) : value);
+            }, error => {
+                if (settled) return;
+                settled = true;
+                signal?.removeEventListener('abort', onAbort);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Stop tracking an entry
+     * @param {Object} entry - Entry from start()
+     */
+    release(entry) {
+        if (this.entries.get(entry.key) === entry) {
+            this.entries.delete(entry.key);
+        }
+    }
+}
+
+const sharedInFlight = new InFlightRequests();
+
+/**
+ * Get the in-flight request registry shared by the API modules
+ * @returns {InFlightRequests} Shared registry
+ */
+export function getInFlightRequests() {
+    return sharedInFlight;
+}
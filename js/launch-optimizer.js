@@ -1,10 +1,56 @@
 // 🚀 CaldaSpace - Launch Window Optimization Engine
 // Revolutionary mission planning tool for optimal launch windows
 // Integrates JPL Horizons, orbital mechanics, and real-time constraints
+import { fetchJSON } from './http.js';
+import { isCancellation, RateLimitError } from './errors.js';
+import { getKeyManager, SERVICES } from './credentials.js';
+import { toJulianDate, convertJulianDate, TIME_SCALES, J2000_JD } from './astro.js';
+import { orbitalState, propagateState, GM_SUN } from './orbits.js';
 
 const JPL_HORIZONS_API = 'https://ssd.jpl.nasa.gov/api/horizons.api';
 const LAUNCH_SERVICES_API = 'https://lldev.thespacedevs.com/2.2.0';
 const SPACEX_API = 'https://api.spacexdata.com/v4';
+const SUN_MU = 1.32712442018e20; // m³/s²
+
+// Planetary mean elements at J2000 (Standish, JPL): a (AU), e, i, node, perihelion longitude, mean longitude (degrees)
+const PLANET_ORBITS = {
+  'mercury': { a: 0.38709927, e: 0.20563593, i: 7.00497902, node: 48.33076593, perihelion: 77.45779628, L: 252.25032350 },
+  'venus': { a: 0.72333566, e: 0.00677672, i: 3.39467605, node: 76.67984255, perihelion: 131.60246718, L: 181.97909950 },
+  'earth': { a: 1.00000261, e: 0.01671123, i: -0.00001531, node: 0, perihelion: 102.93768193, L: 100.46457166 },
+  'mars': { a: 1.52371034, e: 0.09339410, i: 1.84969142, node: 49.55953891, perihelion: -23.94362959, L: -4.55343205 },
+  'jupiter': { a: 5.20288700, e: 0.04838624, i: 1.30439695, node: 100.47390909, perihelion: 14.72847983, L: 34.39644051 },
+  'saturn': { a: 9.53667594, e: 0.05386179, i: 2.48599187, node: 113.66242448, perihelion: 92.59887831, L: 49.95424423 },
+  'uranus': { a: 19.18916464, e: 0.04725744, i: 0.77263783, node: 74.01692503, perihelion: 170.95427630, L: 313.23810451 },
+  'neptune': { a: 30.06992276, e: 0.00859048, i: 1.77004347, node: 131.78422574, perihelion: 44.96476227, L: -55.12002969 }
+};
+
+// Moons travel with their planet on the heliocentric leg
+const PARENT_PLANETS = { 'moon': 'earth', 'europa': 'jupiter', 'enceladus': 'saturn', 'titan': 'saturn' };
+
+/**
+ * Hash a string to a repeatable number in [0, 1), so the same site and date always score the same
+ * @param {string} text - Seed text
+ * @returns {number} Pseudo-random fraction
+ */
+function seededFraction(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash / 0x100000000;
+}
+
+/**
+ * Seed text for one scoring factor at a launch site on a UTC day
+ * @param {Object} site - Launch site
+ * @param {Date|string} date - Launch date
+ * @param {string} factor - 'weather', 'azimuth' or 'season'
+ * @returns {string} Seed text
+ */
+function launchSeed(site, date, factor) {
+  return `${site.name}|${new Date(date).toISOString().slice(0, 10)}|${factor}`;
+}
 
 /**
  * Launch Window Optimization Engine
@@ -52,6 +98,9 @@ export class LaunchWindowOptimizer {
 
   /**
    * Calculate optimal launch windows for a mission
+   * @param {Object} missionParams - { origin, destination, launchSite, startDate, endDate, missionType,
+   *                                  payloadMass, launchVehicle, constraints,
+   *                                  request: { signal, timeout } for the live launch lookup }
    */
   async calculateOptimalLaunchWindows(missionParams) {
     const {
@@ -63,7 +112,8 @@ export class LaunchWindowOptimizer {
       missionType = 'interplanetary',
       payloadMass = 1000,
       launchVehicle = 'Falcon Heavy',
-      constraints = {}
+      constraints = {},
+      request = {}
     } = missionParams;
 
     console.log(`[🚀 Launch Optimizer] Calculating windows for ${origin} → ${destination}`);
@@ -93,7 +143,7 @@ export class LaunchWindowOptimizer {
       });
       
       // Add real launch opportunities from APIs
-      const realLaunchData = await this.fetchRealLaunchData();
+      const realLaunchData = await this.fetchRealLaunchData(request);
       
       return {
         optimalWindows: optimizedWindows.slice(0, 10),
@@ -181,18 +231,18 @@ export class LaunchWindowOptimizer {
     const originOrbit = this.getApproximateOrbit(origin);
     const destOrbit = this.getApproximateOrbit(destination);
     
-    // Calculate transfer orbit parameters
+    // Calculate transfer orbit parameters (orbit radii are in metres, so the solar mu is in m³/s²)
     const semiMajorAxis = (originOrbit.radius + destOrbit.radius) / 2;
-    const transferPeriod = 2 * Math.PI * Math.sqrt(Math.pow(semiMajorAxis, 3) / 132712442018); // Solar mu
+    const transferPeriod = 2 * Math.PI * Math.sqrt(Math.pow(semiMajorAxis, 3) / SUN_MU); // Solar mu
     const flightTime = transferPeriod / 2; // Hohmann is half orbit
     
     // Calculate required velocity changes
-    const v1 = Math.sqrt(132712442018 / originOrbit.radius); // Circular velocity at origin
-    const v2 = Math.sqrt(132712442018 * (2 / originOrbit.radius - 1 / semiMajorAxis)); // Transfer velocity at origin
+    const v1 = Math.sqrt(SUN_MU / originOrbit.radius); // Circular velocity at origin
+    const v2 = Math.sqrt(SUN_MU * (2 / originOrbit.radius - 1 / semiMajorAxis)); // Transfer velocity at origin
     const deltaV1 = Math.abs(v2 - v1);
     
-    const v3 = Math.sqrt(132712442018 / destOrbit.radius); // Circular velocity at destination
-    const v4 = Math.sqrt(132712442018 * (2 / destOrbit.radius - 1 / semiMajorAxis)); // Transfer velocity at destination
+    const v3 = Math.sqrt(SUN_MU / destOrbit.radius); // Circular velocity at destination
+    const v4 = Math.sqrt(SUN_MU * (2 / destOrbit.radius - 1 / semiMajorAxis)); // Transfer velocity at destination
     const deltaV2 = Math.abs(v3 - v4);
     
     const totalDeltaV = deltaV1 + deltaV2;
@@ -208,7 +258,7 @@ export class LaunchWindowOptimizer {
       flightTime: flightTime / (24 * 3600), // Convert to days
       deltaV: totalDeltaV / 1000, // Convert to km/s
       arrivalDate: arrivalDate.toISOString(),
-      semiMajorAxis: semiMajorAxis / 149597870.7, // Convert to AU
+      semiMajorAxis: semiMajorAxis / 149597870700, // Convert to AU
       alignmentScore: alignmentScore,
       efficiency: Math.max(0, 100 - (totalDeltaV / 1000 - 3) * 10) // Efficiency metric
     };
@@ -233,20 +283,61 @@ export class LaunchWindowOptimizer {
   }
 
   /**
-   * Calculate planetary alignment score (0-100)
+   * Heliocentric state of a planet (J2000 ecliptic, AU and AU/day) from its mean elements
+   * @param {string} body - Planet, or a moon (its planet is used)
+   * @param {number} jdTDB - TDB Julian date
+   * @returns {object|null} { position, velocity }, or null for an unknown body
+   */
+  getPlanetState(body, jdTDB) {
+    const name = body.toLowerCase();
+    const orbit = PLANET_ORBITS[PARENT_PLANETS[name] || name];
+    if (!orbit) return null;
+    
+    return orbitalState({
+      a: orbit.a,
+      e: orbit.e,
+      i: orbit.i,
+      node: orbit.node,
+      peri: orbit.perihelion - orbit.node,
+      M: orbit.L - orbit.perihelion,
+      epoch: J2000_JD
+    }, jdTDB);
+  }
+
+  /**
+   * Calculate planetary alignment score (0-100).
+   * Flies the Hohmann transfer from the origin's actual position at launch and scores how close
+   * the destination is to the arrival point (100 = on target, 0 = opposite side of the Sun).
    */
   calculatePlanetaryAlignment(origin, destination, date) {
-    const originOrbit = this.getApproximateOrbit(origin);
-    const destOrbit = this.getApproximateOrbit(destination);
+    const originPlanet = PARENT_PLANETS[origin.toLowerCase()] || origin.toLowerCase();
+    const destPlanet = PARENT_PLANETS[destination.toLowerCase()] || destination.toLowerCase();
+    if (originPlanet === destPlanet) return 100; // No heliocentric leg to phase
+    
+    const jd = convertJulianDate(toJulianDate(date), TIME_SCALES.UTC, TIME_SCALES.TDB);
+    const departure = this.getPlanetState(origin, jd);
+    const destOrbit = PLANET_ORBITS[destPlanet];
+    if (!departure || !destOrbit) return 50; // Unknown phasing
+    
+    // Transfer ellipse tangent to the origin's orbit, reaching the destination's distance
+    const r1 = Math.hypot(departure.position.x, departure.position.y, departure.position.z);
+    const semiMajorAxis = (r1 + destOrbit.a) / 2;
+    const speed = Math.hypot(departure.velocity.x, departure.velocity.y, departure.velocity.z);
+    const transferSpeed = Math.sqrt(GM_SUN * (2 / r1 - 1 / semiMajorAxis));
+    const scale = transferSpeed / speed;
+    const transfer = {
+      position: departure.position,
+      velocity: { x: departure.velocity.x * scale, y: departure.velocity.y * scale, z: departure.velocity.z * scale }
+    };
     
-    // Simplified calculation based on orbital periods
-    const synodicPeriod = Math.abs(1 / (1/originOrbit.period - 1/destOrbit.period));
-    const daysSinceEpoch = (date - new Date('2000-01-01')) / (1000 * 60 * 60 * 24);
-    const phaseAngle = (daysSinceEpoch % synodicPeriod) / synodicPeriod * 360;
+    const flightTime = Math.PI * Math.sqrt(semiMajorAxis ** 3 / GM_SUN); // days, half the transfer orbit
+    const arrival = propagateState(transfer, flightTime).position;
+    const target = this.getPlanetState(destination, jd + flightTime).position;
     
-    // Best alignment is around 0° or 360° (conjunction/opposition)
-    const alignmentFactor = Math.min(phaseAngle, 360 - phaseAngle);
-    return Math.max(0, 100 - alignmentFactor / 180 * 100);
+    const cosMiss = (arrival.x * target.x + arrival.y * target.y + arrival.z * target.z) /
+                    (Math.hypot(arrival.x, arrival.y, arrival.z) * Math.hypot(target.x, target.y, target.z));
+    const missAngle = Math.acos(Math.max(-1, Math.min(1, cosMiss))) * 180 / Math.PI;
+    return Math.max(0, 100 - missAngle / 180 * 100);
   }
 
   /**
@@ -257,11 +348,11 @@ export class LaunchWindowOptimizer {
     if (!site) throw new Error(`Unknown launch site: ${launchSite}`);
     
     // Calculate azimuth and timing requirements
-    const launchAzimuth = this.calculateLaunchAzimuth(site, trajectory);
+    const launchAzimuth = this.calculateLaunchAzimuth(site, trajectory, launchDate);
     const launchWindow = this.calculateLaunchWindow(launchDate, trajectory);
     
     // Environmental constraints
-    const weatherScore = Math.random() * 30 + 70; // Simplified weather scoring
+    const weatherScore = seededFraction(launchSeed(site, launchDate, 'weather')) * 30 + 70; // Simplified weather scoring
     const seasonalScore = this.calculateSeasonalScore(launchDate, site);
     
     return {
@@ -278,7 +369,7 @@ export class LaunchWindowOptimizer {
   /**
    * Calculate optimal launch azimuth
    */
-  calculateLaunchAzimuth(site, trajectory) {
+  calculateLaunchAzimuth(site, trajectory, launchDate = new Date()) {
     // Simplified calculation - real version would account for:
     // - Target orbital inclination
     // - Earth rotation
@@ -286,7 +377,7 @@ export class LaunchWindowOptimizer {
     // - Interplanetary departure conditions
     
     const targetInclination = Math.abs(site.lat); // Simplified
-    const azimuth = 90 + (Math.random() - 0.5) * 60; // Semi-realistic range
+    const azimuth = 90 + (seededFraction(launchSeed(site, launchDate, 'azimuth')) - 0.5) * 60; // Semi-realistic range
     
     return {
       optimal: azimuth,
@@ -335,9 +426,10 @@ export class LaunchWindowOptimizer {
     
     const prefs = seasonalPreferences[siteName] || seasonalPreferences['KSC'];
     
-    if (prefs.best.includes(month)) return 90 + Math.random() * 10;
-    if (prefs.worst.includes(month)) return 20 + Math.random() * 30;
-    return 60 + Math.random() * 30;
+    const variation = seededFraction(launchSeed(site, date, 'season'));
+    if (prefs.best.includes(month)) return 90 + variation * 10;
+    if (prefs.worst.includes(month)) return 20 + variation * 30;
+    return 60 + variation * 30;
   }
 
   /**
@@ -398,13 +490,15 @@ export class LaunchWindowOptimizer {
     // Sort by score (highest first)
     feasibleTrajectories.sort((a, b) => b.score - a.score);
     
-    // Add cost analysis
-    return feasibleTrajectories.map(t => ({
-      ...t,
-      cost: this.calculateMissionCost(t, payloadMass, vehicle),
-      payloadMargin: vehicle.payload_leo - payloadMass,
-      feasibility: this.assessFeasibility(t, vehicle)
-    }));
+    // Add cost analysis (feasibility scores the cost, so it comes second)
+    return feasibleTrajectories.map(t => {
+      const costed = {
+        ...t,
+        cost: this.calculateMissionCost(t, payloadMass, vehicle),
+        payloadMargin: vehicle.payload_leo - payloadMass
+      };
+      return { ...costed, feasibility: this.assessFeasibility(costed, vehicle) };
+    });
   }
 
   /**
@@ -445,12 +539,18 @@ export class LaunchWindowOptimizer {
 
   /**
    * Fetch real launch data from APIs
+   * Uses a Space Devs token from the key manager when one is configured (higher rate limits).
+   * @param {Object} request - { signal: AbortSignal, timeout: ms }
    */
-  async fetchRealLaunchData() {
+  async fetchRealLaunchData(request = {}) {
+    const token = getKeyManager().getCredential(SERVICES.SPACE_DEVS);
     try {
       // Fetch from The Space Devs API
-      const response = await fetch(`${LAUNCH_SERVICES_API}/launch/upcoming/?limit=20`);
-      const data = await response.json();
+      const data = await fetchJSON(`${LAUNCH_SERVICES_API}/launch/upcoming/?limit=20`, {
+        service: 'The Space Devs',
+        init: token ? { headers: { Authorization: `Token ${token}` } } : {},
+        ...request
+      });
       
       return (data.results || []).map(launch => ({
         name: launch.name,
@@ -463,6 +563,10 @@ export class LaunchWindowOptimizer {
       }));
       
     } catch (error) {
+      if (isCancellation(error)) throw error;
+      if (token && error instanceof RateLimitError) {
+        getKeyManager().reportRateLimited(SERVICES.SPACE_DEVS, token);
+      }
       console.warn('[🚀 Launch Optimizer] Could not fetch real launch data:', error);
       return [];
     }
@@ -581,18 +685,15 @@ export function createLaunchOptimizer() {
  */
 export const LaunchOptimizerUtils = {
   /**
-   * Convert between orbital elements and Cartesian coordinates
+   * Convert orbital elements to Cartesian coordinates (heliocentric, any eccentricity)
+   * @param {Object} elements - { a (AU, negative for hyperbolas), e, i, omega (ascending node), w (argument of perihelion),
+   *                              M (mean anomaly) } with angles in degrees
+   * @returns {object} { x, y, z } in AU, with velocity { x, y, z } in AU/day
    */
   orbitalToCartesian(elements) {
-    // Simplified conversion - real implementation would be more complex
     const { a, e, i, omega, w, M } = elements;
-    
-    // This is a placeholder - real orbital mechanics calculation needed
-    return {
-      x: a * Math.cos(M + omega),
-      y: a * Math.sin(M + omega) * Math.cos(i),
-      z: a * Math.sin(M + omega) * Math.sin(i)
-    };
+    const { position, velocity } = orbitalState({ a, e, i, node: omega, peri: w, M, epoch: 0 }, 0);
+    return { ...position, velocity };
   },
   
   /**
@@ -1,9 +1,11 @@
 // 🔴 CaldaSpace - Multi-Mission Mars Terrain 3D Reconstructor
 // Revolutionary 3D Mars terrain reconstruction from multiple rover perspectives
 // Combines data from Perseverance, Curiosity, Opportunity, Spirit, and orbital data
+import { fetchMarsPhotos, fetchLatestMarsPhotos, fetchNASAAPI } from './api.js';
+import { isCancellation } from './errors.js';
+import { getCredential, SERVICES } from './credentials.js';
+import { toJulianDate, convertJulianDate, TIME_SCALES, marsSolDate, marsCoordinatedTime, solsToEarthDays } from './astro.js';
 
-const MARS_ROVER_API = 'https://api.nasa.gov/mars-photos/api/v1';
-const MARS_INSIGHT_API = 'https://api.nasa.gov/insight_weather';
 const MARS_ORBITAL_API = 'https://api.nasa.gov/planetary';
 
 /**
@@ -172,8 +174,11 @@ export class Mars3DReconstructor {
 
   /**
    * Fetch comprehensive Mars data from multiple rovers
+   * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+   * @param {number} sol - Sol to load (default: latest for active rovers)
+   * @param {Object} request - { signal: AbortSignal, timeout: ms per request }; cancelling stops every rover request
    */
-  async fetchMarsData(apiKey = 'DEMO_KEY', sol = null) {
+  async fetchMarsData(apiKey = getCredential(SERVICES.NASA), sol = null, request = {}) {
     try {
       console.log('[🔴 Mars 3D] Fetching multi-mission Mars data...');
       
@@ -186,12 +191,9 @@ export class Mars3DReconstructor {
           }
           
           const targetSol = sol || (rover.status === 'active' ? 'latest' : Math.floor(Math.random() * 1000));
-          const url = targetSol === 'latest' 
-            ? `${MARS_ROVER_API}/rovers/${roverName}/latest_photos?api_key=${apiKey}`
-            : `${MARS_ROVER_API}/rovers/${roverName}/photos?sol=${targetSol}&api_key=${apiKey}`;
-          
-          const response = await fetch(url);
-          const data = await response.json();
+          const data = targetSol === 'latest'
+            ? await fetchLatestMarsPhotos(apiKey, roverName, Infinity, request)
+            : await fetchMarsPhotos(apiKey, roverName, { sol: targetSol }, 1, request);
           
           return {
             rover: roverName,
@@ -203,13 +205,14 @@ export class Mars3DReconstructor {
             }
           };
         } catch (error) {
+          if (isCancellation(error)) throw error;
           console.warn(`[🔴 Mars 3D] Error fetching ${roverName} data:`, error);
           return { rover: roverName, photos: [], error: error.message };
         }
       });
       
       // Also fetch InSight weather data
-      const weatherPromise = this.fetchMarsWeather(apiKey);
+      const weatherPromise = this.fetchMarsWeather(apiKey, request);
       
       const [roverData, weatherData] = await Promise.all([
         Promise.all(promises),
@@ -227,18 +230,21 @@ export class Mars3DReconstructor {
       };
       
     } catch (error) {
-      console.error('[🔴 Mars 3D] Error fetching Mars data:', error);
+      if (!isCancellation(error)) {
+        console.error('[🔴 Mars 3D] Error fetching Mars data:', error);
+      }
       throw error;
     }
   }
 
   /**
    * Fetch Mars weather data from InSight
+   * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+   * @param {Object} request - { signal: AbortSignal, timeout: ms }
    */
-  async fetchMarsWeather(apiKey) {
+  async fetchMarsWeather(apiKey = getCredential(SERVICES.NASA), request = {}) {
     try {
-      const response = await fetch(`${MARS_INSIGHT_API}?api_key=${apiKey}&feedtype=json&ver=1.0`);
-      const data = await response.json();
+      const data = await fetchNASAAPI('/insight_weather/', apiKey, { feedtype: 'json', ver: '1.0' }, request);
       
       // Get latest sol data
       const sols = Object.keys(data).filter(key => !isNaN(key)).sort((a, b) => b - a);
@@ -259,6 +265,7 @@ export class Mars3DReconstructor {
         };
       }
     } catch (error) {
+      if (isCancellation(error)) throw error;
       console.warn('[🔴 Mars 3D] Weather data unavailable, using simulated data');
     }
     
@@ -693,12 +700,18 @@ export const MarsTerrainUtils = {
   },
   
   /**
-   * Convert Mars local time to Earth time
+   * Convert a duration in sols to Earth days
    */
   marsTimeToEarth(marsSol) {
-    const marsDay = 24 * 60 * 60 + 37 * 60 + 22.663; // Mars sol in seconds
-    const earthDay = 24 * 60 * 60; // Earth day in seconds
-    return marsSol * (marsDay / earthDay);
+    return solsToEarthDays(marsSol);
+  },
+  
+  /**
+   * Mars Sol Date and Coordinated Mars Time (prime-meridian clock, hours) at a moment
+   */
+  marsTimeAt(date = new Date()) {
+    const jdTT = convertJulianDate(toJulianDate(date), TIME_SCALES.UTC, TIME_SCALES.TT);
+    return { marsSolDate: marsSolDate(jdTT), coordinatedMarsTime: marsCoordinatedTime(jdTT) };
   }
 };
 
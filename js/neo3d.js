@@ -1,5 +1,7 @@
 // CaldaSpace - 3D NEO Visualization Module (Fixed)
 // Advanced Three.js implementation for Near Earth Objects and comet visualization
+import { orbitalState, neoOrbitalElements, GM_SUN } from './orbits.js';
+
 export class NEO3DVisualizer {
   constructor(canvasId) {
     this.canvasId = canvasId;
@@ -128,27 +130,39 @@ export class NEO3DVisualizer {
     // Position from provided close_approach_data (basic approximation)
     const cad = Array.isArray(neo?.close_approach_data) ? neo.close_approach_data[0] : null;
     const missKm = Number(cad?.miss_distance?.kilometers) || 3e6; // if missing, far away
-    const theta = (idx * 137.5) * (Math.PI / 180);
     const r = Math.log10(Math.max(1, missKm)) * 2; // compress scale
-    mesh.position.set(Math.cos(theta) * r * 50, (Math.random() - 0.5) * 20, Math.sin(theta) * r * 50);
+    const p = neo?.position3D;
+    const len = p ? Math.hypot(p.x, p.y, p.z) : 0;
+    if (len > 0) {
+      // Direction from api.js (ecliptic x/y, z = north); scene y is up
+      mesh.position.set((p.x / len) * r * 50, (p.z / len) * r * 50, (p.y / len) * r * 50);
+    } else {
+      const theta = (idx * 137.5) * (Math.PI / 180);
+      mesh.position.set(Math.cos(theta) * r * 50, ((idx % 5) - 2) * 5, Math.sin(theta) * r * 50);
+    }
     mesh.userData = { neo };
     return mesh;
   }
 
   #createOrbitLine(neo) {
     try {
-      // Try to build a simple elliptical orbit from orbital_data if present
+      // Trace one revolution with the shared propagator (heliocentric ecliptic, equal time steps)
       const od = neo?.orbital_data;
       if (!od) return null;
-      const a = Number(od.semi_major_axis) || Number(od.semi_major_axis_au) || 1; // AU
-      const e = Math.min(Math.max(Number(od.eccentricity) || 0, 0), 0.99);
+      const elements = neoOrbitalElements(od);
+      const start = orbitalState(elements, 0);
+      const r = Math.hypot(start.position.x, start.position.y, start.position.z);
+      const v2 = start.velocity.x ** 2 + start.velocity.y ** 2 + start.velocity.z ** 2;
+      const a = 1 / (2 / r - v2 / GM_SUN); // AU
+      if (!(a > 0)) return null; // Open orbit
+      const period = 2 * Math.PI * Math.sqrt(a ** 3 / GM_SUN); // days
       const scale = 150; // pixels per AU
       const points = [];
       const steps = 256;
-      for (let i = 0; i <= steps; i++) {
-        const t = (i / steps) * Math.PI * 2;
-        const r = (a * (1 - e * e)) / (1 + e * Math.cos(t));
-        points.push(new THREE.Vector3(Math.cos(t) * r * scale, 0, Math.sin(t) * r * scale));
+      for (let i = 0; i < steps; i++) {
+        const { position: p } = orbitalState(elements, (i / steps) * period);
+        // Ecliptic x/y, z = north; scene y is up
+        points.push(new THREE.Vector3(p.x * scale, p.z * scale, p.y * scale));
       }
       const geo = new THREE.BufferGeometry().setFromPoints(points);
       const mat = new THREE.LineBasicMaterial({ color: 0x44ffff, transparent: true, opacity: 0.5 });
@@ -1,5 +1,9 @@
 // CaldaSpace - NASA News Integration Module
 // Real-time space news from NASA RSS feeds and space agencies
+import { fetchJSON } from './http.js';
+import { isCancellation, RateLimitError } from './errors.js';
+import { getKeyManager, SERVICES } from './credentials.js';
+
 const NASA_RSS_FEEDS = {
     'general': 'https://www.nasa.gov/rss/dyn/breaking_news.rss',
     'missions': 'https://www.nasa.gov/rss/dyn/mission_pages.rss',
@@ -49,31 +53,29 @@ function extractImageFromRSSItem(item) {
     return null;
 }
 /**
- * Fetch and parse NASA news from RSS feeds
+ * Fetch and parse NASA news from RSS feeds (through rss2json, with its key from the key manager if configured)
  * @param {string} category - News category
  * @param {number} count - Number of items to fetch
- * @returns {Promise<Array>} Formatted news items
+ * @param {Object} options - { retry, signal: AbortSignal, timeout: ms }
+ * @returns {Promise<Array>} Formatted news items (empty on failure; a cancellation is rethrown)
  */
-export async function fetchNASANews(category = 'general', count = 10) {
+export async function fetchNASANews(category = 'general', count = 10, options = {}) {
+    const { retry = {}, signal, timeout } = options;
+    const rssKey = getKeyManager().getCredential(SERVICES.RSS2JSON);
     try {
         const rssUrl = NASA_RSS_FEEDS[category] || NASA_RSS_FEEDS['general'];
-        const apiUrl = `${RSS_TO_JSON_SERVICE}?rss_url=${encodeURIComponent(rssUrl)}&count=${count}&api_key=YOUR_API_KEY`;
+        const apiUrl = `${RSS_TO_JSON_SERVICE}?rss_url=${encodeURIComponent(rssUrl)}` +
+            (rssKey ? `&count=${count}&api_key=${encodeURIComponent(rssKey)}` : '');
         
-        const response = await fetch(apiUrl);
-        
-        if (!response.ok) {
-            throw new Error(`Failed to fetch news: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
+        const data = await fetchJSON(apiUrl, { service: 'RSS2JSON', retry, signal, timeout });
         
         if (!data.items || data.items.length === 0) {
             console.warn('No news items found');
             return [];
         }
         
-        // Process and format news items
-        return data.items.map(item => ({
+        // Process and format news items (rss2json only honours `count` with an API key)
+        return data.items.slice(0, count).map(item => ({
             id: item.guid || item.link,
             title: item.title || 'Untitled',
             description: item.description?.replace(/<[^>]*>/g, '').substring(0, 200) + '...' || 'No description available',
@@ -83,7 +85,13 @@ export async function fetchNASANews(category = 'general', count = 10) {
             category: detectNewsCategory(item.title, item.description)
         }));
     } catch (error) {
-        console.error('Error fetching NASA news:', error);
+        if (isCancellation(error)) {
+            throw error;
+        }
+        if (rssKey && error instanceof RateLimitError) {
+            getKeyManager().reportRateLimited(SERVICES.RSS2JSON, rssKey);
+        }
+        console.error(`Error fetching NASA news (${error.name}):`, error);
         return [];
     }
 }
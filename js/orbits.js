@@ -0,0 +1,291 @@
+// CaldaSpace - Two-Body Orbit Propagation
+// Universal-variable Kepler propagator: state vectors for elliptic, parabolic and hyperbolic orbits alike.
+// Heliocentric by default: distances in AU, times in days (TDB Julian dates), angles in degrees.
+import { ValidationError } from './errors.js';
+
+const DEG = Math.PI / 180;
+const GAUSSIAN_GRAVITATIONAL_CONSTANT = 0.01720209895; // k, rad/day for AU and solar masses
+const GM_SUN = GAUSSIAN_GRAVITATIONAL_CONSTANT ** 2;    // AU³/day²
+const AU_KM = 149597870.7;
+const SECONDS_PER_DAY = 86400;
+
+const STUMPFF_SERIES_LIMIT = 1e-3; // |z| below which the Stumpff functions use their series
+const PARABOLIC_LIMIT = 1e-9;      // |1/a| (1/AU) below which an orbit is treated as parabolic
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-13;
+const ROUNDING_TOLERANCE = 1e-9;
+
+/**
+ * Stumpff function C(z) = (1 - cos √z) / z, continued through z <= 0
+ * @param {number} z - alpha * chi²
+ * @returns {number} C(z)
+ */
+export function stumpffC(z) {
+    if (z > STUMPFF_SERIES_LIMIT) {
+        return (1 - Math.cos(Math.sqrt(z))) / z;
+    }
+    if (z < -STUMPFF_SERIES_LIMIT) {
+        return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+    }
+    return 1 / 2 - z / 24 + z * z / 720 - z * z * z / 40320;
+}
+
+/**
+ * Stumpff function S(z) = (√z - sin √z) / √z³, continued through z <= 0
+ * @param {number} z - alpha * chi²
+ * @returns {number} S(z)
+ */
+export function stumpffS(z) {
+    if (z > STUMPFF_SERIES_LIMIT) {
+        const root = Math.sqrt(z);
+        return (root - Math.sin(root)) / (root * root * root);
+    }
+    if (z < -STUMPFF_SERIES_LIMIT) {
+        const root = Math.sqrt(-z);
+        return (Math.sinh(root) - root) / (root * root * root);
+    }
+    return 1 / 6 - z / 120 + z * z / 5040 - z * z * z / 362880;
+}
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const norm = v => Math.sqrt(dot(v, v));
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const combine = (a, u, b, v) => ({ x: a * u.x + b * v.x, y: a * u.y + b * v.y, z: a * u.z + b * v.z });
+
+/**
+ * Starting guess for the universal anomaly (Vallado, Algorithm 8)
+ */
+function initialUniversalAnomaly(r0, v0, alpha, dt, mu) {
+    const sqrtMu = Math.sqrt(mu);
+    const r0Length = norm(r0);
+
+    if (alpha > PARABOLIC_LIMIT) {
+        return sqrtMu * dt * alpha;
+    }
+
+    if (alpha < -PARABOLIC_LIMIT) {
+        const a = 1 / alpha;
+        const sign = Math.sign(dt) || 1;
+        const guess = sign * Math.sqrt(-a) * Math.log(
+            (-2 * mu * alpha * dt) / (dot(r0, v0) + sign * Math.sqrt(-mu * a) * (1 - r0Length * alpha))
+        );
+        if (Number.isFinite(guess)) return guess;
+    } else {
+        // Barker's equation for the parabola through the initial state
+        const h = norm(cross(r0, v0));
+        const p = h * h / mu;
+        const s = Math.atan(1 / (3 * Math.sqrt(mu / (p * p * p)) * dt)) / 2;
+        const w = Math.atan(Math.cbrt(Math.tan(s)));
+        const guess = Math.sqrt(p) * 2 / Math.tan(2 * w);
+        if (Number.isFinite(guess)) return guess;
+    }
+
+    return sqrtMu * dt / r0Length;
+}
+
+/**
+ * Solve the universal Kepler equation for the universal anomaly chi.
+ * Laguerre-Conway iteration: converges from poor starting guesses and for eccentricities near 1,
+ * where Newton's method on the classical anomalies fails.
+ * @returns {number} chi (√AU)
+ */
+function solveUniversalAnomaly(r0, v0, alpha, dt, mu) {
+    const sqrtMu = Math.sqrt(mu);
+    const r0Length = norm(r0);
+    const sigma0 = dot(r0, v0) / sqrtMu;
+    const laguerreOrder = 5;
+    let chi = initialUniversalAnomaly(r0, v0, alpha, dt, mu);
+    let previousStep = Infinity;
+
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        const z = alpha * chi * chi;
+        const C = stumpffC(z);
+        const S = stumpffS(z);
+
+        const F = sigma0 * chi * chi * C + (1 - alpha * r0Length) * chi * chi * chi * S + r0Length * chi - sqrtMu * dt;
+        const dF = sigma0 * chi * (1 - z * S) + (1 - alpha * r0Length) * chi * chi * C + r0Length; // = r
+        const ddF = sigma0 * (1 - z * C) + (1 - alpha * r0Length) * chi * (1 - z * S);
+
+        const root = Math.sqrt(Math.abs((laguerreOrder - 1) ** 2 * dF * dF - laguerreOrder * (laguerreOrder - 1) * F * ddF));
+        const delta = laguerreOrder * F / (dF + Math.sign(dF) * root);
+        chi -= delta;
+
+        // Converged, or the steps stopped shrinking because F is down to rounding noise
+        const step = Math.abs(delta);
+        const scale = Math.max(1, Math.abs(chi));
+        if (step <= TOLERANCE * scale || (step >= previousStep && step <= ROUNDING_TOLERANCE * scale)) {
+            return chi;
+        }
+        previousStep = step;
+    }
+
+    throw new ValidationError(`Kepler's equation did not converge (alpha ${alpha}, dt ${dt} days)`, { field: 'elements' });
+}
+
+/**
+ * Propagate a two-body state vector
+ * @example
+ * const later = propagateState({ position, velocity }, 30); // 30 days on
+ * @param {Object} state - { position: {x, y, z}, velocity: {x, y, z} } in AU and AU/day (or consistent units with mu)
+ * @param {number} dt - Time step in days (negative to go back)
+ * @param {number} mu - Gravitational parameter (default GM_SUN, AU³/day²)
+ * @returns {object} { position, velocity }
+ */
+export function propagateState(state, dt, mu = GM_SUN) {
+    const r0 = state.position;
+    const v0 = state.velocity;
+    const r0Length = norm(r0);
+    if (!(r0Length > 0) || !(mu > 0)) {
+        throw new ValidationError('A state vector needs a non-zero position and a positive mu', { field: 'state' });
+    }
+    if (dt === 0) {
+        return { position: { ...r0 }, velocity: { ...v0 } };
+    }
+
+    // alpha = 1/a: positive for ellipses, zero for parabolas, negative for hyperbolas
+    const alpha = 2 / r0Length - dot(v0, v0) / mu;
+
+    // Whole revolutions of an ellipse change nothing
+    let step = dt;
+    if (alpha > PARABOLIC_LIMIT) {
+        const period = 2 * Math.PI / Math.sqrt(mu * alpha * alpha * alpha);
+        step = dt - period * Math.round(dt / period);
+    }
+
+    const chi = solveUniversalAnomaly(r0, v0, alpha, step, mu);
+    const sqrtMu = Math.sqrt(mu);
+    const z = alpha * chi * chi;
+    const C = stumpffC(z);
+    const S = stumpffS(z);
+
+    // Lagrange coefficients
+    const f = 1 - chi * chi / r0Length * C;
+    const g = step - chi * chi * chi / sqrtMu * S;
+    const position = combine(f, r0, g, v0);
+    const r = norm(position);
+    const fDot = sqrtMu / (r * r0Length) * (alpha * chi * chi * chi * S - chi);
+    const gDot = 1 - chi * chi / r * C;
+
+    return { position, velocity: combine(fDot, r0, gDot, v0) };
+}
+
+/**
+ * Perihelion distance, eccentricity and time of perihelion from any supported element set
+ * @param {Object} elements - See orbitalState()
+ * @param {number} mu - Gravitational parameter
+ * @returns {object} { q, e, tp }
+ */
+function resolveConic(elements, mu) {
+    const value = name => (elements[name] === null || elements[name] === undefined ? NaN : Number(elements[name]));
+    const e = value('e');
+    let q = value('q');
+    let tp = value('tp');
+
+    if (!(e >= 0)) {
+        throw new ValidationError('Eccentricity must be zero or positive', { field: 'e' });
+    }
+    if (Number.isNaN(q)) {
+        const a = value('a');
+        if (Number.isNaN(a) || e === 1) {
+            throw new ValidationError('Orbital elements need q, or a for non-parabolic orbits', { field: 'q' });
+        }
+        q = a * (1 - e);
+    }
+    if (!(q > 0)) {
+        throw new ValidationError('Perihelion distance must be positive (a is negative for hyperbolic orbits)', { field: 'q' });
+    }
+
+    if (Number.isNaN(tp)) {
+        const M = value('M');
+        const epoch = value('epoch');
+        if (Number.isNaN(M) || Number.isNaN(epoch) || e === 1) {
+            throw new ValidationError('Orbital elements need tp, or M with its epoch for non-parabolic orbits', { field: 'tp' });
+        }
+        const a = q / (1 - e);
+        const meanMotion = Math.sqrt(mu / Math.abs(a * a * a)); // rad/day
+        // The perihelion passage nearest the epoch
+        const meanAnomaly = e < 1 ? ((M % 360) + 540) % 360 - 180 : M;
+        tp = epoch - meanAnomaly * DEG / meanMotion;
+    }
+
+    return { q, e, tp };
+}
+
+/**
+ * Heliocentric state vector from orbital elements, for any eccentricity
+ * @example
+ * const { position, velocity } = orbitalState({ q: 1.36, e: 6.14, i: 175.1, node: 322.2, peri: 128.0, tp: 2460977.98 }, jdTDB);
+ * @param {Object} elements - { e, i, node, peri (argument of perihelion) } in degrees, the size as q (AU) or a (AU,
+ *                            negative for hyperbolas), and the timing as tp (TDB Julian date of perihelion) or M
+ *                            (mean anomaly, degrees) at epoch (TDB Julian date)
+ * @param {number} jd - TDB Julian date
+ * @param {number} mu - Gravitational parameter (default GM_SUN, AU³/day²)
+ * @returns {object} { position: {x, y, z} (AU), velocity: {x, y, z} (AU/day), trueAnomaly (degrees) } in the elements' frame
+ * @throws {ValidationError} When the elements are incomplete or invalid
+ */
+export function orbitalState(elements, jd, mu = GM_SUN) {
+    const { q, e, tp } = resolveConic(elements, mu);
+    const node = Number(elements.node) * DEG;
+    const peri = Number(elements.peri) * DEG;
+    const inclination = Number(elements.i) * DEG;
+    if ([node, peri, inclination].some(Number.isNaN)) {
+        throw new ValidationError('Orbital elements need i, node and peri', { field: 'elements' });
+    }
+
+    // Perifocal unit vectors: P toward perihelion, Q 90° ahead in the orbital plane
+    const cosNode = Math.cos(node), sinNode = Math.sin(node);
+    const cosPeri = Math.cos(peri), sinPeri = Math.sin(peri);
+    const cosI = Math.cos(inclination), sinI = Math.sin(inclination);
+    const P = {
+        x: cosNode * cosPeri - sinNode * sinPeri * cosI,
+        y: sinNode * cosPeri + cosNode * sinPeri * cosI,
+        z: sinPeri * sinI
+    };
+    const Q = {
+        x: -cosNode * sinPeri - sinNode * cosPeri * cosI,
+        y: -sinNode * sinPeri + cosNode * cosPeri * cosI,
+        z: cosPeri * sinI
+    };
+
+    const perihelion = {
+        position: combine(q, P, 0, Q),
+        velocity: combine(0, P, Math.sqrt(mu * (1 + e) / q), Q)
+    };
+    const state = propagateState(perihelion, jd - tp, mu);
+
+    return {
+        ...state,
+        trueAnomaly: Math.atan2(dot(state.position, Q), dot(state.position, P)) / DEG
+    };
+}
+
+/**
+ * Speed of a velocity vector in km/s
+ * @param {Object} velocity - { x, y, z } in AU/day
+ * @returns {number} km/s
+ */
+export function speedKmPerSecond(velocity) {
+    return norm(velocity) * AU_KM / SECONDS_PER_DAY;
+}
+
+/**
+ * Orbital elements of a NEO in the form orbitalState() propagates
+ * @param {Object} orbitalData - NeoWs orbital_data
+ * @returns {object} { e, i, node, peri } with q and tp, or a, M and epoch when NeoWs lacks the perihelion passage
+ */
+export function neoOrbitalElements(orbitalData) {
+    const number = name => parseFloat(orbitalData?.[name]);
+    const perihelion = { q: number('perihelion_distance'), tp: number('perihelion_time') };
+    return {
+        e: number('eccentricity'),
+        i: number('inclination'),
+        node: number('ascending_node_longitude'),
+        peri: number('perihelion_argument'),
+        // Perihelion distance and time work for any eccentricity; a and M at the osculation epoch are the fallback
+        ...(isNaN(perihelion.q) || isNaN(perihelion.tp)
+            ? { a: number('semi_major_axis'), M: number('mean_anomaly'), epoch: number('epoch_osculation') }
+            : perihelion)
+    };
+}
+
+export { GAUSSIAN_GRAVITATIONAL_CONSTANT, GM_SUN, AU_KM };
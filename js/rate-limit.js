@@ -0,0 +1,285 @@
+// CaldaSpace - API Rate Limit Module
+// Tracks the X-RateLimit budget per API key and defers requests when it runs low
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Default hourly limits used until the server reports real numbers
+ */
+const DEFAULT_HOURLY_LIMITS = {
+    DEMO_KEY: 30,
+    personal: 1000
+};
+
+/**
+ * Request priorities, highest first.
+ * - high: user-initiated, only waits when the budget is exhausted
+ * - normal: regular requests, only wait when the budget is exhausted
+ * - low: bulk/background loads, deferred once the budget drops to the reserve
+ */
+const REQUEST_PRIORITY = {
+    HIGH: 'high',
+    NORMAL: 'normal',
+    LOW: 'low'
+};
+
+const PRIORITY_ORDER = {
+    [REQUEST_PRIORITY.HIGH]: 0,
+    [REQUEST_PRIORITY.NORMAL]: 1,
+    [REQUEST_PRIORITY.LOW]: 2
+};
+
+/**
+ * Hide most of an API key so budgets can be shown in the UI
+ * @param {string} apiKey - API key
+ * @returns {string} Masked key
+ */
+function maskAPIKey(apiKey) {
+    if (!apiKey || apiKey === 'DEMO_KEY' || apiKey.length <= 8) {
+        return apiKey;
+    }
+    return `${apiKey.slice(0, 4)}…${apiKey.slice(-4)}`;
+}
+
+/**
+ * Per-key rate limit budget tracker with a priority request queue
+ */
+export class RateLimiter {
+    constructor(options = {}) {
+        // Budget fraction kept for high/normal priority requests
+        this.lowPriorityReserve = options.lowPriorityReserve ?? 0.2;
+        this.budgets = new Map();
+        this.queues = new Map();
+        this.timers = new Map();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Get (or create) the mutable budget record for a key
+     */
+    getRecord(apiKey) {
+        if (!this.budgets.has(apiKey)) {
+            const limit = apiKey === 'DEMO_KEY' ? DEFAULT_HOURLY_LIMITS.DEMO_KEY : DEFAULT_HOURLY_LIMITS.personal;
+            this.budgets.set(apiKey, {
+                limit: limit,
+                remaining: limit,
+                inFlight: 0,
+                resetAt: null,
+                known: false,
+                updatedAt: null
+            });
+        }
+        return this.budgets.get(apiKey);
+    }
+
+    /**
+     * Get a snapshot of the current budget for a key
+     * @param {string} apiKey - API key
+     * @returns {object} { key, limit, remaining, inFlight, queued, resetAt, known, low, exhausted }
+     */
+    getBudget(apiKey) {
+        const record = this.getRecord(apiKey);
+        this.expireWindow(record);
+        const available = record.remaining - record.inFlight;
+
+        return {
+            key: maskAPIKey(apiKey),
+            limit: record.limit,
+            remaining: record.remaining,
+            inFlight: record.inFlight,
+            queued: this.queues.get(apiKey)?.length || 0,
+            resetAt: record.resetAt ? new Date(record.resetAt).toISOString() : null,
+            known: record.known,
+            low: available <= this.getReserve(record),
+            exhausted: available <= 0
+        };
+    }
+
+    getReserve(record) {
+        return Math.max(1, Math.floor(record.limit * this.lowPriorityReserve));
+    }
+
+    /**
+     * Restore the budget once the rolling window has passed
+     */
+    expireWindow(record) {
+        if (record.resetAt && record.resetAt <= Date.now()) {
+            record.remaining = record.limit;
+            record.resetAt = null;
+        }
+    }
+
+    /**
+     * Update a key's budget from response headers
+     * @param {string} apiKey - API key used for the request
+     * @param {Headers} headers - Response headers
+     * @param {number} status - HTTP status code
+     */
+    updateFromResponse(apiKey, headers, status) {
+        const record = this.getRecord(apiKey);
+        const limit = parseInt(headers?.get?.('X-RateLimit-Limit'), 10);
+        const remaining = parseInt(headers?.get?.('X-RateLimit-Remaining'), 10);
+
+        if (!isNaN(limit)) {
+            record.limit = limit;
+        }
+
+        if (!isNaN(remaining)) {
+            record.remaining = remaining;
+            record.known = true;
+        } else if (status !== 429) {
+            // No headers (e.g. proxied response) - count the request ourselves
+            record.remaining = Math.max(0, record.remaining - 1);
+        }
+
+        if (status === 429) {
+            const retryAfter = parseInt(headers?.get?.('Retry-After'), 10);
+            record.remaining = 0;
+            record.resetAt = Date.now() + (isNaN(retryAfter) ? HOUR : retryAfter * 1000);
+        } else if (!record.resetAt) {
+            // NASA uses a rolling hour; assume the window started with this request
+            record.resetAt = Date.now() + HOUR;
+        }
+
+        record.updatedAt = new Date().toISOString();
+        this.notify(apiKey);
+        this.drain(apiKey);
+    }
+
+    /**
+     * Run a request within the key's budget, queueing it if needed
+     * @param {string} apiKey - API key the request will use
+     * @param {Function} task - Function returning a promise (the actual fetch)
+     * @param {string} priority - One of REQUEST_PRIORITY
+     * @param {AbortSignal} signal - Rejects with the abort reason and leaves the queue if aborted while waiting
+     * @returns {Promise<*>} Result of the task
+     */
+    schedule(apiKey, task, priority = REQUEST_PRIORITY.NORMAL, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const queue = this.queues.get(apiKey) || [];
+            const entry = { task, priority, resolve, reject };
+
+            if (signal) {
+                const onAbort = () => {
+                    const index = queue.indexOf(entry);
+                    if (index !== -1) {
+                        queue.splice(index, 1);
+                        this.notify(apiKey);
+                        reject(signal.reason);
+                    }
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                entry.task = () => {
+                    signal.removeEventListener('abort', onAbort);
+                    return task();
+                };
+            }
+
+            queue.push(entry);
+            queue.sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]);
+            this.queues.set(apiKey, queue);
+            this.drain(apiKey);
+        });
+    }
+
+    /**
+     * Start every queued request the budget currently allows
+     */
+    drain(apiKey) {
+        const queue = this.queues.get(apiKey);
+        if (!queue || queue.length === 0) return;
+
+        const record = this.getRecord(apiKey);
+        this.expireWindow(record);
+
+        while (queue.length > 0) {
+            const available = record.remaining - record.inFlight;
+            const next = queue[0];
+            const canRun = next.priority === REQUEST_PRIORITY.LOW
+                ? available > this.getReserve(record)
+                : available > 0;
+
+            if (!canRun) break;
+
+            queue.shift();
+            this.run(apiKey, record, next);
+        }
+
+        if (queue.length > 0) {
+            this.waitForReset(apiKey, record);
+            this.notify(apiKey);
+        }
+    }
+
+    run(apiKey, record, entry) {
+        record.inFlight++;
+        Promise.resolve()
+            .then(entry.task)
+            .then(entry.resolve, entry.reject)
+            .finally(() => {
+                record.inFlight--;
+                this.drain(apiKey);
+            });
+    }
+
+    /**
+     * Retry the queue once the current window resets
+     */
+    waitForReset(apiKey, record) {
+        if (this.timers.has(apiKey)) return;
+
+        const delay = Math.max(1000, (record.resetAt || Date.now() + HOUR) - Date.now());
+        console.warn(`[Rate Limit] Budget low for ${maskAPIKey(apiKey)}, deferring ${this.queues.get(apiKey).length} request(s) for ${Math.round(delay / 1000)}s`);
+
+        const timer = setTimeout(() => {
+            this.timers.delete(apiKey);
+            this.drain(apiKey);
+        }, delay);
+        this.timers.set(apiKey, timer);
+    }
+
+    /**
+     * Subscribe to budget changes
+     * @param {Function} listener - Called with the budget snapshot
+     * @returns {Function} Unsubscribe function
+     */
+    onBudgetChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(apiKey) {
+        const budget = this.getBudget(apiKey);
+        this.listeners.forEach(listener => listener(budget));
+
+        // Let the UI layer react without importing this module
+        if (typeof window !== 'undefined' && typeof CustomEvent !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('nasaRateLimitUpdate', { detail: budget }));
+        }
+    }
+}
+
+const sharedLimiter = new RateLimiter();
+
+/**
+ * Get the rate limiter shared by the API modules
+ * @returns {RateLimiter} Shared limiter
+ */
+export function getRateLimiter() {
+    return sharedLimiter;
+}
+
+/**
+ * Get the current request budget for an API key
+ * @param {string} apiKey - API key
+ * @returns {object} Budget snapshot
+ */
+export function getRateLimitBudget(apiKey) {
+    return sharedLimiter.getBudget(apiKey);
+}
+
+export { REQUEST_PRIORITY, DEFAULT_HOURLY_LIMITS, maskAPIKey };
@@ -0,0 +1,186 @@
+// CaldaSpace - Request Retry Module
+// Exponential backoff with jitter for transient upstream failures
+import { transportFetch } from './transport.js';
+
+/**
+ * Default retry policy shared by every module.
+ * Override per call with a partial policy, or globally with configureRetryPolicy().
+ */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,              // Total attempts including the first one
+    baseDelay: 1000,             // ms before the first retry
+    maxDelay: 30000,             // Upper bound for a single wait (also caps Retry-After)
+    factor: 2,                   // Exponential growth per attempt
+    jitter: 0.5,                 // 0 = none, 1 = full jitter (fraction of the delay randomized)
+    retryStatuses: [502, 503, 504],
+    retryRateLimited: true,      // Retry 429 when Retry-After fits within maxDelay
+    onRetry: null                // ({ attempt, maxAttempts, delay, status, error, url }) => void
+};
+
+let globalPolicy = { ...DEFAULT_RETRY_POLICY };
+
+/**
+ * Change the default retry policy for all modules
+ * @param {Object} policy - Partial retry policy
+ * @returns {Object} Resulting default policy
+ */
+export function configureRetryPolicy(policy = {}) {
+    globalPolicy = { ...globalPolicy, ...policy };
+    return { ...globalPolicy };
+}
+
+/**
+ * Merge a per-call policy with the global defaults
+ * @param {Object} policy - Partial retry policy
+ * @returns {Object} Complete policy
+ */
+function resolvePolicy(policy = {}) {
+    return { ...globalPolicy, ...policy };
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {Response} response - Fetch response
+ * @returns {number|null} Delay in ms, or null if absent/invalid
+ */
+function parseRetryAfter(response) {
+    const header = response?.headers?.get?.('Retry-After');
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute the backoff delay for a retry
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Complete retry policy
+ * @returns {number} Delay in ms
+ */
+function computeBackoff(attempt, policy) {
+    const exponential = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+    const jitter = Math.min(1, Math.max(0, policy.jitter));
+    return Math.round(exponential * (1 - jitter) + Math.random() * exponential * jitter);
+}
+
+/**
+ * Whether a thrown error is worth retrying (network failures, not cancellations)
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+    if (error?.name === 'AbortError' || error?.name === 'CancelledError') return false;
+    return error instanceof TypeError || error?.retryable === true;
+}
+
+/**
+ * Decide whether and how long to wait before retrying a response
+ * @returns {number|null} Delay in ms, or null to stop retrying
+ */
+function getResponseRetryDelay(response, attempt, policy) {
+    const retryAfter = parseRetryAfter(response);
+
+    if (response.status === 429) {
+        if (!policy.retryRateLimited || retryAfter === null || retryAfter > policy.maxDelay) {
+            return null;
+        }
+        return retryAfter;
+    }
+
+    if (!policy.retryStatuses.includes(response.status)) {
+        return null;
+    }
+
+    if (retryAfter !== null) {
+        return Math.min(retryAfter, policy.maxDelay);
+    }
+    return computeBackoff(attempt, policy);
+}
+
+/**
+ * Wait before the next attempt, waking early with the abort reason if the signal fires
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Optional signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Run a request operation with retries.
+ * The operation is called once per attempt and must resolve to a fetch Response;
+ * the last response (ok or not) is returned so callers keep their own error handling.
+ * @param {Function} operation - (attempt) => Promise<Response>
+ * @param {Object} policy - Partial retry policy
+ * @param {string} label - URL or endpoint, passed to onRetry for reporting
+ * @param {AbortSignal} signal - Stops retrying (and waiting) once aborted
+ * @returns {Promise<Response>} Final response
+ */
+export async function withRetry(operation, policy = {}, label = '', signal = null) {
+    const config = resolvePolicy(policy);
+
+    for (let attempt = 1; ; attempt++) {
+        let response = null;
+        let delay = null;
+
+        try {
+            response = await operation(attempt);
+        } catch (error) {
+            if (attempt >= config.maxAttempts || signal?.aborted || !isRetryableError(error)) {
+                throw error;
+            }
+            delay = computeBackoff(attempt, config);
+            config.onRetry?.({ attempt, maxAttempts: config.maxAttempts, delay, status: null, error, url: label });
+            console.warn(`[Retry] ${label} failed (${error.message}), attempt ${attempt + 1}/${config.maxAttempts} in ${delay}ms`);
+            await sleep(delay, signal);
+            continue;
+        }
+
+        if (response.ok || attempt >= config.maxAttempts) {
+            return response;
+        }
+
+        delay = getResponseRetryDelay(response, attempt, config);
+        if (delay === null) {
+            return response;
+        }
+
+        config.onRetry?.({ attempt, maxAttempts: config.maxAttempts, delay, status: response.status, error: null, url: label });
+        console.warn(`[Retry] ${label} returned ${response.status}, attempt ${attempt + 1}/${config.maxAttempts} in ${delay}ms`);
+        await sleep(delay, signal);
+    }
+}
+
+/**
+ * fetch() with retries
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init options (init.signal also cancels pending retries)
+ * @param {Object} policy - Partial retry policy
+ * @returns {Promise<Response>} Final response
+ */
+export function fetchWithRetry(url, init = {}, policy = {}) {
+    // Report the URL without its query string so API keys don't end up in logs
+    return withRetry(() => transportFetch(url, init), policy, String(url).split('?')[0], init.signal);
+}
+
+export { DEFAULT_RETRY_POLICY, parseRetryAfter };
@@ -0,0 +1,204 @@
+// CaldaSpace - JPL Small-Body Database Client
+// Orbital elements, physical parameters and close approaches for any asteroid or comet (sbdb.api)
+import { fetchJSON } from './http.js';
+import { APIError, NotFoundError, ValidationError } from './errors.js';
+import { fromJulianDate, convertJulianDate, TIME_SCALES } from './astro.js';
+
+const SBDB_API = 'https://ssd-api.jpl.nasa.gov/sbdb.api';
+const SBDB_LOOKUP_PAGE = 'https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=';
+
+// SBDB element names -> orbitalElements keys used by SmallBodyTracker
+const ELEMENT_NAMES = {
+    e: 'eccentricity',
+    q: 'perihelionDistance',
+    a: 'semiMajorAxis',
+    i: 'inclination',
+    om: 'longitudeOfAscendingNode',
+    w: 'argumentOfPerihelion',
+    tp: 'perihelionTime',
+    ma: 'meanAnomaly',
+    n: 'meanMotion',
+    per: 'period',
+    ad: 'aphelionDistance'
+};
+
+/**
+ * Parse an SBDB numeric string
+ * @param {string|number} value - Value from the API
+ * @returns {number|null} Number, or null when absent
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Find a named entry in an SBDB parameter list
+ * @param {Array<object>} list - [{ name, value, sigma }]
+ * @param {string} name - Parameter name
+ * @returns {object|null} Entry
+ */
+function findParameter(list, name) {
+    return (list || []).find(entry => entry.name === name) || null;
+}
+
+/**
+ * Convert SBDB orbit data to the tracker's orbitalElements format
+ * @param {Object} orbit - SBDB `orbit` object
+ * @param {Array<object>} physical - SBDB `phys_par` list
+ * @param {boolean} isComet - Comets use M1/K1 instead of H/G
+ * @returns {object} Orbital elements with an uncertainty block (1-sigma)
+ */
+function normalizeOrbitalElements(orbit, physical, isComet) {
+    const elements = { epoch: toNumber(orbit.epoch) };
+    const uncertainty = {};
+
+    (orbit.elements || []).forEach(entry => {
+        const key = ELEMENT_NAMES[entry.name];
+        if (key) {
+            elements[key] = toNumber(entry.value);
+            uncertainty[key] = toNumber(entry.sigma);
+        }
+    });
+
+    // Total-magnitude parameters for comets (m = M1 + 5 log delta + K1 log r), H/G for asteroids
+    const magnitude = findParameter(physical, isComet ? 'M1' : 'H');
+    const slope = findParameter(physical, isComet ? 'K1' : 'G');
+    elements.absoluteMagnitude = toNumber(magnitude?.value);
+    elements.slopeParameter = toNumber(slope?.value);
+
+    uncertainty.lastRefinement = orbit.soln_date ? new Date(orbit.soln_date.replace(' ', 'T') + 'Z').toISOString() : null;
+    elements.uncertainty = uncertainty;
+
+    return elements;
+}
+
+/**
+ * Convert SBDB physical parameters to a keyed object
+ * @param {Array<object>} physical - SBDB `phys_par` list
+ * @returns {object} { diameter, albedo, rotationPeriod, ..., parameters: raw list with sigmas }
+ */
+function normalizePhysicalData(physical) {
+    const value = name => toNumber(findParameter(physical, name)?.value);
+
+    return {
+        diameter: value('diameter'),            // km
+        extent: findParameter(physical, 'extent')?.value || null,
+        albedo: value('albedo'),
+        rotationPeriod: value('rot_per'),       // hours
+        density: value('density'),              // g/cm^3
+        spectralType: findParameter(physical, 'spec_B')?.value || findParameter(physical, 'spec_T')?.value || null,
+        parameters: (physical || []).map(entry => ({
+            name: entry.name,
+            title: entry.title || entry.desc || entry.name,
+            value: toNumber(entry.value) ?? entry.value,
+            sigma: toNumber(entry.sigma),
+            units: entry.units || null
+        }))
+    };
+}
+
+/**
+ * Convert SBDB close-approach rows
+ * @param {Array<object>} approaches - SBDB `ca_data` list
+ * @returns {Array<object>} [{ date (UTC), jd (TDB), body, distance_au, distanceMin_au, distanceMax_au, velocityRelative_kms, velocityInfinity_kms }]
+ */
+function normalizeCloseApproaches(approaches) {
+    return (approaches || []).map(approach => {
+        const jd = toNumber(approach.jd);
+        return {
+            date: jd !== null ? fromJulianDate(convertJulianDate(jd, TIME_SCALES.TDB, TIME_SCALES.UTC)).toISOString() : null,
+            calendarDate: approach.cd || null,
+            jd: jd,
+            body: approach.body || 'Earth',
+            distance_au: toNumber(approach.dist),
+            distanceMin_au: toNumber(approach.dist_min),
+            distanceMax_au: toNumber(approach.dist_max),
+            velocityRelative_kms: toNumber(approach.v_rel),
+            velocityInfinity_kms: toNumber(approach.v_inf),
+            timeUncertainty: approach.sigma_t || null
+        };
+    });
+}
+
+/**
+ * Look up an asteroid or comet in the JPL Small-Body Database
+ * @param {string} designation - Designation, name or SPK-ID (e.g. '99942', 'Apophis', 'C/2025 N1')
+ * @param {Object} options - { physical: include physical parameters (default true),
+ *                             closeApproaches: include close-approach data (default true), retry, signal, timeout }
+ * @returns {Promise<object>} { designation, fullName, spkId, kind, isComet, neo, pha, orbitClass,
+ *                              orbitalElements, physicalData, closeApproaches, orbitQuality, sourceLinks }
+ */
+export async function fetchSmallBody(designation, options = {}) {
+    const { physical = true, closeApproaches = true, retry = {}, signal, timeout } = options;
+    const query = String(designation ?? '').trim();
+
+    if (!query) {
+        throw new ValidationError('A designation is required', { field: 'designation' });
+    }
+
+    const params = new URLSearchParams({ sstr: query, 'full-prec': '1' });
+    if (physical) params.set('phys-par', '1');
+    if (closeApproaches) params.set('ca-data', '1');
+
+    let data;
+    try {
+        data = await fetchJSON(`${SBDB_API}?${params}`, { service: 'JPL SBDB', retry, signal, timeout });
+    } catch (error) {
+        // HTTP 300: the designation matched more than one object
+        if (error instanceof APIError && error.status === 300) {
+            throw new ValidationError(`"${query}" matches several small bodies. Use a more specific designation`, {
+                endpoint: SBDB_API,
+                field: 'designation'
+            });
+        }
+        throw error;
+    }
+
+    if (data.list) {
+        throw new ValidationError(`"${query}" matches several small bodies: ${data.list.slice(0, 5).map(item => item.name || item.pdes).join(', ')}`, {
+            endpoint: SBDB_API,
+            field: 'designation'
+        });
+    }
+
+    if (!data.object || !data.orbit) {
+        throw new NotFoundError(data.message || `No small body found for "${query}"`, { endpoint: SBDB_API });
+    }
+
+    const object = data.object;
+    const orbit = data.orbit;
+    const isComet = (object.kind || '').startsWith('c');
+
+    return {
+        designation: object.des,
+        fullName: object.fullname,
+        spkId: object.spkid,
+        kind: object.kind,
+        isComet: isComet,
+        neo: !!object.neo,
+        pha: !!object.pha,
+        orbitClass: object.orbit_class ? { code: object.orbit_class.code, name: object.orbit_class.name } : null,
+        orbitalElements: normalizeOrbitalElements(orbit, data.phys_par, isComet),
+        physicalData: normalizePhysicalData(data.phys_par),
+        closeApproaches: normalizeCloseApproaches(data.ca_data),
+        orbitQuality: {
+            conditionCode: toNumber(orbit.condition_code),
+            dataArc: toNumber(orbit.data_arc),             // days
+            observationsUsed: toNumber(orbit.n_obs_used),
+            firstObservation: orbit.first_obs || null,
+            lastObservation: orbit.last_obs || null,
+            earthMOID: toNumber(orbit.moid),               // AU
+            solution: orbit.orbit_id || null,
+            solutionDate: orbit.soln_date || null
+        },
+        sourceLinks: {
+            jpl_ssd: `${SBDB_LOOKUP_PAGE}${encodeURIComponent(object.des || query)}`,
+            neo_database: 'https://cneos.jpl.nasa.gov/',
+            api_docs: 'https://ssd-api.jpl.nasa.gov/doc/sbdb.html'
+        }
+    };
+}
+
+export { SBDB_API };
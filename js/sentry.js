@@ -0,0 +1,219 @@
+// CaldaSpace - CNEOS Sentry Impact Risk Module
+// Objects with non-zero impact probability, Palermo/Torino ratings and virtual impactors (sentry.api)
+import { fetchJSON } from './http.js';
+import { NotFoundError, ValidationError } from './errors.js';
+
+const SENTRY_API = 'https://ssd-api.jpl.nasa.gov/sentry.api';
+const SENTRY_PAGE = 'https://cneos.jpl.nasa.gov/sentry/details.html#?des=';
+
+// Torino scale categories (https://cneos.jpl.nasa.gov/sentry/torino_scale.html)
+const TORINO_CATEGORIES = [
+    { max: 0, level: 'none', color: 'white', label: 'No hazard' },
+    { max: 1, level: 'normal', color: 'green', label: 'Normal - routine discovery, no unusual concern' },
+    { max: 4, level: 'attention', color: 'yellow', label: 'Meriting attention by astronomers' },
+    { max: 7, level: 'threatening', color: 'orange', label: 'Threatening' },
+    { max: 10, level: 'certain', color: 'red', label: 'Certain collision' }
+];
+
+/**
+ * Parse a Sentry numeric string
+ * @param {string|number} value - Value from the API
+ * @returns {number|null} Number, or null when absent
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Describe a Torino scale value
+ * @param {number} torino - Torino scale (0-10)
+ * @returns {object} { level, color, label }
+ */
+export function describeTorinoScale(torino) {
+    const value = Math.max(0, Math.round(Number(torino) || 0));
+    const { level, color, label } = TORINO_CATEGORIES.find(category => value <= category.max) || TORINO_CATEGORIES[TORINO_CATEGORIES.length - 1];
+    return { level, color, label };
+}
+
+/**
+ * Describe a Palermo scale value
+ * @param {number} palermo - Palermo technical scale (log10 of risk relative to background)
+ * @returns {string} Interpretation
+ */
+export function describePalermoScale(palermo) {
+    if (palermo === null || palermo === undefined || isNaN(palermo)) return 'Unknown';
+    if (palermo < -2) return 'No likely consequences';
+    if (palermo <= 0) return 'Merits careful monitoring';
+    return 'Level of concern above the background hazard';
+}
+
+/**
+ * Convert a Sentry summary row (list mode or object mode) to the module's shape
+ * @param {Object} row - Sentry summary
+ * @returns {object} Normalized risk summary with sourceLinks
+ */
+function normalizeSummary(row) {
+    const torino = toNumber(row.ts_max);
+    const palermo = toNumber(row.ps_max);
+
+    return {
+        designation: row.des,
+        fullName: (row.fullname || row.des || '').trim(),
+        sentryId: row.id || null,
+        impactProbability: toNumber(row.ip),       // Cumulative over all virtual impactors
+        palermoCumulative: toNumber(row.ps_cum),
+        palermoMax: palermo,
+        palermoDescription: describePalermoScale(palermo),
+        torinoMax: torino,
+        torino: torino === null ? null : describeTorinoScale(torino), // Not rated beyond ~100 years out
+        impactCount: toNumber(row.n_imp),
+        impactRange: row.range || null,            // e.g. '2056-2113'
+        absoluteMagnitude: toNumber(row.h),
+        diameter_km: toNumber(row.diameter),
+        velocityInfinity_kms: toNumber(row.v_inf),
+        velocityImpact_kms: toNumber(row.v_imp),
+        mass_kg: toNumber(row.mass),
+        energy_mt: toNumber(row.energy),
+        lastObservation: row.last_obs || null,
+        sourceLinks: {
+            sentry: `${SENTRY_PAGE}${encodeURIComponent(row.des)}`,
+            cneos: 'https://cneos.jpl.nasa.gov/sentry/',
+            api_docs: 'https://ssd-api.jpl.nasa.gov/doc/sentry.html'
+        }
+    };
+}
+
+/**
+ * List every object Sentry currently rates with a non-zero impact probability
+ * @param {Object} filters - { ipMin: minimum probability, psMin: minimum Palermo, hMax: maximum H,
+ *                             days: only objects observed within this many days }
+ * @param {Object} options - { retry: partial retry policy, signal: AbortSignal, timeout: ms }
+ * @returns {Promise<object>} { count, objects } sorted by Palermo scale, highest first
+ */
+export async function fetchSentryObjects(filters = {}, options = {}) {
+    const { retry = {}, signal, timeout } = options;
+    const params = new URLSearchParams();
+
+    if (filters.ipMin !== undefined) params.set('ip-min', String(filters.ipMin));
+    if (filters.psMin !== undefined) params.set('ps-min', String(filters.psMin));
+    if (filters.hMax !== undefined) params.set('h-max', String(filters.hMax));
+    if (filters.days !== undefined) params.set('days', String(filters.days));
+
+    const query = params.toString();
+    const data = await fetchJSON(`${SENTRY_API}${query ? `?${query}` : ''}`, { service: 'CNEOS Sentry', retry, signal, timeout });
+
+    const objects = (data.data || [])
+        .map(normalizeSummary)
+        .sort((a, b) => (b.palermoCumulative ?? -Infinity) - (a.palermoCumulative ?? -Infinity));
+
+    return { count: objects.length, objects };
+}
+
+/**
+ * Fetch the full Sentry assessment of one object, including its virtual impactor table
+ * @param {string} designation - Designation or number (e.g. '29075', '2000 SG344')
+ * @param {Object} options - { retry: partial retry policy, signal: AbortSignal, timeout: ms }
+ * @returns {Promise<object>} Risk summary plus { virtualImpactors, removed: false }, or
+ *                            { designation, removed: true, removedDate } if Sentry no longer lists it
+ */
+export async function fetchSentryObject(designation, options = {}) {
+    const { retry = {}, signal, timeout } = options;
+    const des = String(designation ?? '').trim();
+
+    if (!des) {
+        throw new ValidationError('A designation is required', { field: 'designation' });
+    }
+
+    const data = await fetchJSON(`${SENTRY_API}?des=${encodeURIComponent(des)}`, { service: 'CNEOS Sentry', retry, signal, timeout });
+
+    if (data.error) {
+        // Objects ruled out by new observations stay queryable as "removed"
+        if (/removed/i.test(data.error)) {
+            return { designation: des, removed: true, removedDate: data.removed || null };
+        }
+        throw new NotFoundError(`Sentry has no risk assessment for "${des}"`, { endpoint: SENTRY_API });
+    }
+
+    return {
+        ...normalizeSummary({ ...data.summary, des: data.summary?.des || des }),
+        virtualImpactors: (data.data || []).map(impactor => ({
+            date: impactor.date,                     // Calendar date with fractional day, e.g. '2068-04-12.92'
+            impactProbability: toNumber(impactor.ip),
+            palermo: toNumber(impactor.ps),
+            torino: toNumber(impactor.ts),
+            energy_mt: toNumber(impactor.energy),
+            sigmaImpact: toNumber(impactor.sigma_imp),
+            sigmaVI: toNumber(impactor.sigma_vi),
+            distance_re: toNumber(impactor.dist)     // Earth radii, from the line of variations
+        })),
+        removed: false
+    };
+}
+
+/**
+ * Designation keys a NeoWs object may appear under in Sentry:
+ * "99942 Apophis (2004 MN4)" -> ['99942 apophis 2004 mn4', '2004 mn4', '99942'], "(2023 DW)" -> ['2023 dw']
+ * @param {Object} neo - NeoWs object
+ * @returns {Array<string>} Lower-case keys
+ */
+function neoDesignationKeys(neo) {
+    const keys = new Set();
+    const name = String(neo.name || '').trim();
+
+    if (neo.designation) keys.add(String(neo.designation).toLowerCase());
+    if (name) keys.add(name.replace(/[()]/g, '').trim().toLowerCase());
+
+    const provisional = /\(([^)]+)\)/.exec(name);
+    if (provisional) keys.add(provisional[1].trim().toLowerCase());
+
+    const number = /^(\d+)\s/.exec(name);
+    if (number) keys.add(number[1]);
+
+    return Array.from(keys);
+}
+
+/**
+ * Attach Sentry risk summaries to NeoWs objects (feed, lookup or browse results).
+ * Matching objects get `sentry`; others get `sentry: null`.
+ * @param {Object|Array} neoData - Result of fetchNearEarthObjects, a single NEO, or an array of NEOs
+ * @param {Array<object>} sentryObjects - objects from fetchSentryObjects
+ * @returns {Object|Array} Copy of neoData with risk attached
+ */
+export function attachImpactRisk(neoData, sentryObjects) {
+    const byDesignation = new Map();
+    sentryObjects.forEach(object => byDesignation.set(String(object.designation).toLowerCase(), object));
+
+    const attach = neo => {
+        const key = neoDesignationKeys(neo).find(candidate => byDesignation.has(candidate));
+        return { ...neo, sentry: key ? byDesignation.get(key) : null };
+    };
+
+    if (Array.isArray(neoData)) {
+        return neoData.map(attach);
+    }
+
+    if (neoData?.near_earth_objects) {
+        const near_earth_objects = {};
+        Object.entries(neoData.near_earth_objects).forEach(([date, neos]) => {
+            near_earth_objects[date] = neos.map(attach);
+        });
+        return { ...neoData, near_earth_objects };
+    }
+
+    return attach(neoData);
+}
+
+/**
+ * Fetch the Sentry list once and attach risk to NeoWs data
+ * @param {Object|Array} neoData - Result of fetchNearEarthObjects, a single NEO, or an array of NEOs
+ * @param {Object} options - { retry: partial retry policy, signal: AbortSignal, timeout: ms }
+ * @returns {Promise<Object|Array>} Copy of neoData with `sentry` on each object
+ */
+export async function fetchImpactRiskForNEOs(neoData, options = {}) {
+    const { objects } = await fetchSentryObjects({}, options);
+    return attachImpactRisk(neoData, objects);
+}
+
+export { SENTRY_API, TORINO_CATEGORIES };
@@ -1,9 +1,12 @@
 // ⚡ CaldaSpace - Solar Weather Impact Predictor
 // Real-time space weather forecasting with critical infrastructure alerts
 // Data from NOAA Space Weather Prediction Center + NASA DONKI
+import { fetchJSON } from './http.js';
+import { fetchDONKIEvents } from './donki.js';
+import { isCancellation } from './errors.js';
+import { getCredential, SERVICES } from './credentials.js';
 
 const NOAA_SWPC_API = 'https://services.swpc.noaa.gov/json';
-const NASA_DONKI_API = 'https://api.nasa.gov/DONKI';
 const AURORA_FORECAST_API = 'https://services.swpc.noaa.gov/json/ovation_aurora_latest.json';
 
 /**
@@ -11,7 +14,12 @@ const AURORA_FORECAST_API = 'https://services.swpc.noaa.gov/json/ovation_aurora_
  * Predicts impacts on satellites, power grids, GPS, and communications
  */
 export class SolarWeatherPredictor {
-  constructor() {
+  /**
+   * @param {Object} options - { retry: partial retry policy for NOAA/DONKI requests, e.g. { maxAttempts, onRetry } }
+   */
+  constructor(options = {}) {
+    this.retryPolicy = options.retry || {};
+
     this.weatherData = {
       currentConditions: null,
       forecast: [],
@@ -23,7 +31,8 @@ export class SolarWeatherPredictor {
         communications: 'normal',
         aviation: 'normal'
       },
-      auroraForecast: null
+      auroraForecast: null,
+      sourceErrors: {} // Typed APIErrors for sources that fell back to simulated data
     };
     
     this.alertThresholds = {
@@ -55,18 +64,28 @@ export class SolarWeatherPredictor {
 
   /**
    * Fetch comprehensive solar weather data
+   * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+   * @param {Object} request - { signal: AbortSignal, timeout: ms per request }. Cancelling rejects with a
+   *                           CancelledError and leaves the previous weatherData untouched.
    */
-  async fetchSolarWeatherData(apiKey = 'DEMO_KEY') {
+  async fetchSolarWeatherData(apiKey = getCredential(SERVICES.NASA), request = {}) {
     try {
       console.log('[⚡ Solar Weather] Fetching comprehensive space weather data...');
+      this.weatherData.sourceErrors = {};
       
-      const [current, forecast, donki, aurora] = await Promise.allSettled([
-        this.fetchCurrentConditions(),
-        this.fetchSpaceWeatherForecast(),
-        this.fetchNASADONKIEvents(apiKey),
-        this.fetchAuroraForecast()
+      const results = await Promise.allSettled([
+        this.fetchCurrentConditions(request),
+        this.fetchSpaceWeatherForecast(request),
+        this.fetchNASADONKIEvents(apiKey, request),
+        this.fetchAuroraForecast(request)
       ]);
       
+      const cancelled = results.find(result => result.status === 'rejected' && isCancellation(result.reason));
+      if (cancelled) {
+        throw cancelled.reason;
+      }
+      const [current, forecast, donki, aurora] = results;
+      
       // Process results
       if (current.status === 'fulfilled') {
         this.weatherData.currentConditions = current.value;
@@ -96,7 +115,9 @@ export class SolarWeatherPredictor {
       return this.weatherData;
       
     } catch (error) {
-      console.error('[⚡ Solar Weather] Error fetching data:', error);
+      if (!isCancellation(error)) {
+        console.error('[⚡ Solar Weather] Error fetching data:', error);
+      }
       throw error;
     }
   }
@@ -104,12 +125,12 @@ export class SolarWeatherPredictor {
   /**
    * Fetch current space weather conditions from NOAA
    */
-  async fetchCurrentConditions() {
+  async fetchCurrentConditions(request = {}) {
     try {
       const [kpIndex, solarWind, xrayFlux] = await Promise.all([
-        fetch(`${NOAA_SWPC_API}/planetary_k_index_1m.json`).then(r => r.json()),
-        fetch(`${NOAA_SWPC_API}/rtsw-mag-1m.json`).then(r => r.json()),
-        fetch(`${NOAA_SWPC_API}/goes-xray-flux-primary-1m.json`).then(r => r.json())
+        this.fetchJSON(`${NOAA_SWPC_API}/planetary_k_index_1m.json`, request),
+        this.fetchJSON(`${NOAA_SWPC_API}/rtsw-mag-1m.json`, request),
+        this.fetchJSON(`${NOAA_SWPC_API}/goes-xray-flux-primary-1m.json`, request)
       ]);
       
       const latest = {
@@ -130,7 +151,9 @@ export class SolarWeatherPredictor {
       return latest;
       
     } catch (error) {
-      console.warn('[⚡ Solar Weather] Using simulated current conditions');
+      if (isCancellation(error)) throw error;
+      this.weatherData.sourceErrors.currentConditions = error;
+      console.warn(`[⚡ Solar Weather] Using simulated current conditions (${error.name})`);
       return this.generateSimulatedConditions();
     }
   }
@@ -138,10 +161,9 @@ export class SolarWeatherPredictor {
   /**
    * Fetch 3-day space weather forecast
    */
-  async fetchSpaceWeatherForecast() {
+  async fetchSpaceWeatherForecast(request = {}) {
     try {
-      const response = await fetch(`${NOAA_SWPC_API}/3-day-forecast.json`);
-      const data = await response.json();
+      const data = await this.fetchJSON(`${NOAA_SWPC_API}/3-day-forecast.json`, request);
       
       const forecast = data.map(day => ({
         date: day.DateStamp,
@@ -158,7 +180,9 @@ export class SolarWeatherPredictor {
       return forecast;
       
     } catch (error) {
-      console.warn('[⚡ Solar Weather] Using simulated forecast');
+      if (isCancellation(error)) throw error;
+      this.weatherData.sourceErrors.forecast = error;
+      console.warn(`[⚡ Solar Weather] Using simulated forecast (${error.name})`);
       return this.generateSimulatedForecast();
     }
   }
@@ -166,15 +190,17 @@ export class SolarWeatherPredictor {
   /**
    * Fetch NASA DONKI space weather events
    */
-  async fetchNASADONKIEvents(apiKey) {
+  async fetchNASADONKIEvents(apiKey, request = {}) {
     try {
       const startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
       const endDate = new Date().toISOString().split('T')[0];
       
+      const range = { startDate, endDate };
+      const options = { retry: this.retryPolicy, ...request };
       const [flares, cme, gst] = await Promise.all([
-        fetch(`${NASA_DONKI_API}/FLR?startDate=${startDate}&endDate=${endDate}&api_key=${apiKey}`).then(r => r.json()),
-        fetch(`${NASA_DONKI_API}/CME?startDate=${startDate}&endDate=${endDate}&api_key=${apiKey}`).then(r => r.json()),
-        fetch(`${NASA_DONKI_API}/GST?startDate=${startDate}&endDate=${endDate}&api_key=${apiKey}`).then(r => r.json())
+        fetchDONKIEvents(apiKey, 'FLR', range, options),
+        fetchDONKIEvents(apiKey, 'CME', range, options),
+        fetchDONKIEvents(apiKey, 'GST', range, options)
       ]);
       
       return {
@@ -184,7 +210,9 @@ export class SolarWeatherPredictor {
       };
       
     } catch (error) {
-      console.warn('[⚡ Solar Weather] DONKI API unavailable, using simulated events');
+      if (isCancellation(error)) throw error;
+      this.weatherData.sourceErrors.donki = error;
+      console.warn(`[⚡ Solar Weather] DONKI API unavailable (${error.name}), using simulated events`);
       return this.generateSimulatedDONKIEvents();
     }
   }
@@ -192,10 +220,9 @@ export class SolarWeatherPredictor {
   /**
    * Fetch aurora forecast data
    */
-  async fetchAuroraForecast() {
+  async fetchAuroraForecast(request = {}) {
     try {
-      const response = await fetch(AURORA_FORECAST_API);
-      const data = await response.json();
+      const data = await this.fetchJSON(AURORA_FORECAST_API, request);
       
       return {
         timestamp: data.Forecast_Time,
@@ -205,11 +232,23 @@ export class SolarWeatherPredictor {
       };
       
     } catch (error) {
-      console.warn('[⚡ Solar Weather] Aurora forecast unavailable');
+      if (isCancellation(error)) throw error;
+      this.weatherData.sourceErrors.auroraForecast = error;
+      console.warn(`[⚡ Solar Weather] Aurora forecast unavailable (${error.name})`);
       return null;
     }
   }
 
+  /**
+   * Fetch JSON from NOAA SWPC, retrying transient failures.
+   * Failures reject with a typed APIError (see errors.js).
+   * @param {string} url - SWPC URL
+   * @param {Object} request - { signal, timeout }
+   */
+  async fetchJSON(url, request = {}) {
+    return fetchJSON(url, { service: 'NOAA SWPC', retry: this.retryPolicy, ...request });
+  }
+
   /**
    * Process NASA DONKI events for impact analysis
    */
@@ -566,8 +605,8 @@ export class SolarWeatherPredictor {
 /**
  * Factory function to create solar weather predictor
  */
-export function createSolarWeatherPredictor() {
-  return new SolarWeatherPredictor();
+export function createSolarWeatherPredictor(options = {}) {
+  return new SolarWeatherPredictor(options);
 }
 
 /**
@@ -1,5 +1,9 @@
 // CaldaSpace - Space Weather Monitoring Module
 // Real-time solar activity, geomagnetic storms, and aurora predictions
+import { fetchJSON } from './http.js';
+import { fetchDONKIEvents } from './donki.js';
+import { isCancellation } from './errors.js';
+import { getCredential, SERVICES } from './credentials.js';
 
 const SPACE_WEATHER_APIS = {
     NOAA: {
@@ -18,21 +22,34 @@ const SPACE_WEATHER_APIS = {
 
 /**
  * Fetch current space weather conditions
- * @param {string} apiKey - NASA API key
- * @returns {Promise<Object>} Space weather data
+ * @param {string} apiKey - NASA API key (default: the key manager's current NASA key)
+ * @param {Object} options - { retry: partial retry policy, e.g. { maxAttempts, onRetry },
+ *                             signal: AbortSignal, timeout: ms per source }
+ * @returns {Promise<Object>} Space weather data (failed sources fall back to mock data)
+ * @throws {CancelledError} When the caller cancels through `signal`
  */
-export async function fetchSpaceWeatherData(apiKey = 'DEMO_KEY') {
+export async function fetchSpaceWeatherData(apiKey = getCredential(SERVICES.NASA), options = {}) {
+    const { retry = {}, signal, timeout } = options;
+    const request = { retry, signal, timeout };
+
     console.log('Fetching space weather data...');
     
     try {
         // Fetch multiple space weather data sources in parallel
         const [solarWindData, geomagneticData, solarFlareData, auroraData] = await Promise.allSettled([
-            fetchSolarWindData(),
-            fetchGeomagneticData(),
-            fetchSolarFlareData(apiKey),
-            fetchAuroraForecast()
+            fetchSolarWindData(request),
+            fetchGeomagneticData(request),
+            fetchSolarFlareData(apiKey, request),
+            fetchAuroraForecast(request)
         ]);
         
+        // A cancelled request is not a failure to paper over with mock data
+        const cancelled = [solarWindData, geomagneticData, solarFlareData, auroraData]
+            .find(result => result.status === 'rejected' && isCancellation(result.reason));
+        if (cancelled) {
+            throw cancelled.reason;
+        }
+        
         return {
             solarWind: solarWindData.status === 'fulfilled' ? solarWindData.value : getMockSolarWindData(),
             geomagnetic: geomagneticData.status === 'fulfilled' ? geomagneticData.value : getMockGeomagneticData(),
@@ -44,10 +61,20 @@ export async function fetchSpaceWeatherData(apiKey = 'DEMO_KEY') {
                 geomagnetic: geomagneticData.status === 'fulfilled',
                 solarFlares: solarFlareData.status === 'fulfilled',
                 aurora: auroraData.status === 'fulfilled'
+            },
+            // Typed errors (APIError subclasses) for the sources that fell back to mock data
+            errors: {
+                solarWind: solarWindData.reason || null,
+                geomagnetic: geomagneticData.reason || null,
+                solarFlares: solarFlareData.reason || null,
+                aurora: auroraData.reason || null
             }
         };
         
     } catch (error) {
+        if (isCancellation(error)) {
+            throw error;
+        }
         console.error('Error fetching space weather data:', error);
         return getMockSpaceWeatherData();
     }
@@ -55,12 +82,12 @@ export async function fetchSpaceWeatherData(apiKey = 'DEMO_KEY') {
 
 /**
  * Fetch solar wind data from NOAA
+ * @param {Object} request - { retry, signal, timeout }
  * @returns {Promise<Object>} Solar wind conditions
  */
-async function fetchSolarWindData() {
+async function fetchSolarWindData(request = {}) {
     try {
-        const response = await fetch(SPACE_WEATHER_APIS.NOAA.solar_wind);
-        const data = await response.json();
+        const data = await fetchJSON(SPACE_WEATHER_APIS.NOAA.solar_wind, { service: 'NOAA SWPC', ...request });
         
         // Get latest data point
         const latest = data[data.length - 1];
@@ -74,19 +101,21 @@ async function fetchSolarWindData() {
         };
         
     } catch (error) {
-        console.error('Error fetching solar wind data:', error);
+        if (!isCancellation(error)) {
+            console.error('Error fetching solar wind data:', error);
+        }
         throw error;
     }
 }
 
 /**
  * Fetch geomagnetic data from NOAA
+ * @param {Object} request - { retry, signal, timeout }
  * @returns {Promise<Object>} Geomagnetic conditions
  */
-async function fetchGeomagneticData() {
+async function fetchGeomagneticData(request = {}) {
     try {
-        const response = await fetch(SPACE_WEATHER_APIS.NOAA.geomagnetic);
-        const data = await response.json();
+        const data = await fetchJSON(SPACE_WEATHER_APIS.NOAA.geomagnetic, { service: 'NOAA SWPC', ...request });
         
         // Get latest K-index
         const latest = data[data.length - 1];
@@ -100,7 +129,9 @@ async function fetchGeomagneticData() {
         };
         
     } catch (error) {
-        console.error('Error fetching geomagnetic data:', error);
+        if (!isCancellation(error)) {
+            console.error('Error fetching geomagnetic data:', error);
+        }
         throw error;
     }
 }
@@ -108,22 +139,16 @@ async function fetchGeomagneticData() {
 /**
  * Fetch solar flare data from NASA DONKI
  * @param {string} apiKey - NASA API key
+ * @param {Object} request - { retry, signal, timeout }
  * @returns {Promise<Array>} Recent solar flare events
  */
-async function fetchSolarFlareData(apiKey) {
+async function fetchSolarFlareData(apiKey, request = {}) {
     try {
         // Get events from last 7 days
         const endDate = new Date().toISOString().split('T')[0];
         const startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
         
-        const url = `${SPACE_WEATHER_APIS.NASA.donki_api}${SPACE_WEATHER_APIS.NASA.solar_events}?startDate=${startDate}&endDate=${endDate}&api_key=${apiKey}`;
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error('NASA DONKI API error');
-        }
-        
-        const data = await response.json();
+        const data = await fetchDONKIEvents(apiKey, 'FLR', { startDate, endDate }, request);
         
         return data.slice(0, 10).map(event => ({
             flareID: event.flrID,
@@ -137,19 +162,21 @@ async function fetchSolarFlareData(apiKey) {
         }));
         
     } catch (error) {
-        console.error('Error fetching solar flare data:', error);
+        if (!isCancellation(error)) {
+            console.error('Error fetching solar flare data:', error);
+        }
         throw error;
     }
 }
 
 /**
  * Fetch aurora forecast data
+ * @param {Object} request - { retry, signal, timeout }
  * @returns {Promise<Object>} Aurora prediction
  */
-async function fetchAuroraForecast() {
+async function fetchAuroraForecast(request = {}) {
     try {
-        const response = await fetch(SPACE_WEATHER_APIS.NOAA.aurora_forecast);
-        const data = await response.json();
+        const data = await fetchJSON(SPACE_WEATHER_APIS.NOAA.aurora_forecast, { service: 'NOAA SWPC', ...request });
         
         return {
             forecastTime: data.Forecast_Time,
@@ -159,7 +186,9 @@ async function fetchAuroraForecast() {
         };
         
     } catch (error) {
-        console.error('Error fetching aurora forecast:', error);
+        if (!isCancellation(error)) {
+            console.error('Error fetching aurora forecast:', error);
+        }
         throw error;
     }
 }
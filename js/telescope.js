@@ -1,5 +1,8 @@
 // CaldaSpace - Real Telescope Image Module
 // Direct integration with NASA's MAST (Mikulski Archive for Space Telescopes)
+import { fetchJSON, createRequestSignal } from './http.js';
+import { isCancellation } from './errors.js';
+
 const MAST_API_BASE = 'https://mast.stsci.edu/api/v0.1';
 const MAST_PORTAL_BASE = 'https://mast.stsci.edu/portal';
 
@@ -51,11 +54,16 @@ export function getAvailableMissions() {
  * Fetch telescope observations from MAST
  * @param {string} objectName - Target object name (e.g., 'M31', 'NGC 1365')
  * @param {string} mission - Mission identifier (e.g., 'HST', 'JWST')
+ * @param {Object} options - { retry, signal: AbortSignal, timeout: ms for all mission queries together }
  * @returns {Promise<array>} Array of observation records
+ * @throws {CancelledError|TimeoutError} When cancelled or out of time; other per-mission failures are skipped
  */
-export async function fetchTelescopeObservations(objectName, mission = 'all') {
+export async function fetchTelescopeObservations(objectName, mission = 'all', options = {}) {
     console.log(`[Telescope] Fetching observations for ${objectName}, mission: ${mission}`);
     
+    const { retry = {}, signal, timeout } = options;
+    const request = createRequestSignal(signal, timeout);
+    
     try {
         const missions = mission === 'all' 
             ? Object.keys(TELESCOPE_MISSIONS)
@@ -91,20 +99,18 @@ export async function fetchTelescopeObservations(objectName, mission = 'all') {
                 const url = `${MAST_API_BASE}/invoke?${queryString}`;
                 console.log(`[Telescope] Request URL: ${url}`);
                 
-                const response = await fetch(url, {
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'application/json',
-                        'Content-Type': 'application/json'
-                    }
+                const data = await fetchJSON(url, {
+                    service: `MAST ${config.name}`,
+                    init: {
+                        method: 'GET',
+                        headers: {
+                            'Accept': 'application/json',
+                            'Content-Type': 'application/json'
+                        }
+                    },
+                    retry: retry,
+                    signal: request.signal
                 });
-                
-                if (!response.ok) {
-                    console.error(`[Telescope] ${config.name} API error: ${response.status} ${response.statusText}`);
-                    continue;
-                }
-                
-                const data = await response.json();
                 console.log(`[Telescope] ${config.name} response:`, data);
                 
                 if (data && data.data && Array.isArray(data.data)) {
@@ -130,7 +136,11 @@ export async function fetchTelescopeObservations(objectName, mission = 'all') {
                 }
                 
             } catch (missionError) {
-                console.error(`[Telescope] Error fetching from ${config.name}:`, missionError);
+                // Cancellation and the overall timeout end the whole loop
+                if (request.signal?.aborted || isCancellation(missionError)) {
+                    throw missionError;
+                }
+                console.error(`[Telescope] ${missionError.name} fetching from ${config.name}:`, missionError.message);
                 // Continue with other missions
             }
         }
@@ -139,8 +149,12 @@ export async function fetchTelescopeObservations(objectName, mission = 'all') {
         return allResults;
         
     } catch (error) {
-        console.error('[Telescope] Fatal error in fetchTelescopeObservations:', error);
+        if (!isCancellation(error)) {
+            console.error('[Telescope] Fatal error in fetchTelescopeObservations:', error);
+        }
         throw error;
+    } finally {
+        request.cleanup();
     }
 }
 
@@ -191,22 +205,25 @@ function generateMockTelescopeData(objectName, count = 20) {
 }
 
 /**
- * Fetch enhanced telescope data with fallback to mock data
+ * Fetch enhanced telescope data with fallback to mock data.
+ * A cancelled request is rethrown instead of falling back.
  * @param {string} objectName - Target object name
  * @param {string} mission - Mission identifier or 'all'
+ * @param {Object} options - { retry, signal, timeout }
  * @returns {Promise<object>} Object with observations and metadata
  */
-export async function fetchEnhancedTelescopeData(objectName, mission = 'all') {
+export async function fetchEnhancedTelescopeData(objectName, mission = 'all', options = {}) {
     console.log(`[Telescope] fetchEnhancedTelescopeData called for ${objectName}, mission: ${mission}`);
     
     let observations = [];
     let dataSource = 'mock';
     let error = null;
+    let errorType = null;
     
     try {
         // First, try to fetch real data from MAST
         console.log('[Telescope] Attempting to fetch real MAST data...');
-        observations = await fetchTelescopeObservations(objectName, mission);
+        observations = await fetchTelescopeObservations(objectName, mission, options);
         
         if (observations && observations.length > 0) {
             dataSource = 'mast';
@@ -217,9 +234,13 @@ export async function fetchEnhancedTelescopeData(objectName, mission = 'all') {
         }
         
     } catch (fetchError) {
+        if (isCancellation(fetchError)) {
+            throw fetchError;
+        }
         // If real fetch fails, use mock data as fallback
         console.error('[Telescope] Error fetching real data, falling back to mock data:', fetchError);
         error = fetchError.message;
+        errorType = fetchError.name;
         observations = generateMockTelescopeData(objectName, 20);
     }
     
@@ -233,6 +254,7 @@ export async function fetchEnhancedTelescopeData(objectName, mission = 'all') {
         stats,
         dataSource,
         error,
+        errorType,
         timestamp: new Date().toISOString()
     };
 }
@@ -240,15 +262,19 @@ export async function fetchEnhancedTelescopeData(objectName, mission = 'all') {
 /**
  * Search for telescope observations by object name
  * @param {string} objectName - Target object name to search
+ * @param {Object} options - { retry, signal, timeout }
  * @returns {Promise<array>} Array of matching observations
  */
-export async function searchTelescopeObservations(objectName) {
+export async function searchTelescopeObservations(objectName, options = {}) {
     console.log(`[Telescope] Searching observations for: ${objectName}`);
     
     try {
-        const data = await fetchEnhancedTelescopeData(objectName, 'all');
+        const data = await fetchEnhancedTelescopeData(objectName, 'all', options);
         return data.observations;
     } catch (error) {
+        if (isCancellation(error)) {
+            throw error;
+        }
         console.error('[Telescope] Search error:', error);
         return [];
     }
@@ -257,14 +283,18 @@ export async function searchTelescopeObservations(objectName) {
 /**
  * Get observations for multiple objects
  * @param {Array<string>} objectNames - Array of object names
+ * @param {Object} options - { retry, signal, timeout } applied to each object's request
  * @returns {Promise<array>} Combined array of observations
  */
-export async function fetchMultipleObjectObservations(objectNames) {
+export async function fetchMultipleObjectObservations(objectNames, options = {}) {
     console.log(`[Telescope] Fetching observations for ${objectNames.length} objects`);
     
     const promises = objectNames.map(name => 
-        fetchEnhancedTelescopeData(name, 'all')
+        fetchEnhancedTelescopeData(name, 'all', options)
             .catch(err => {
+                if (isCancellation(err)) {
+                    throw err;
+                }
                 console.error(`[Telescope] Error fetching ${name}:`, err);
                 return { observations: [] };
             })
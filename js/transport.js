@@ -0,0 +1,341 @@
+// CaldaSpace - Pluggable HTTP Transport
+// Every module sends requests through here so they can be recorded to fixtures and replayed offline
+import { APIError } from './errors.js';
+
+const TRANSPORT_MODES = {
+    LIVE: 'live',       // Plain network requests
+    RECORD: 'record',   // Network requests, responses saved as fixtures
+    REPLAY: 'replay'    // Responses served from fixtures, no network
+};
+
+// Query parameters that carry credentials and must never end up in fixture keys or files
+const SECRET_PARAMS = ['api_key', 'apikey', 'api-key', 'key', 'token'];
+
+// A secret query parameter inside response text (links.self/next/prev in NeoWs, redirect headers, ...)
+const SECRET_PARAM_PATTERN = new RegExp(
+    String.raw`([?&;]|\\u0026|&amp;)(${SECRET_PARAMS.join('|')})=([^&\\\s"'<>#]*)`,
+    'gi'
+);
+const REDACTED = 'REDACTED';
+
+const DEFAULT_FIXTURE_DIR = 'fixtures';
+
+/**
+ * Build the lookup key for a request: method + URL without credentials, params sorted
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Array<string>} ignoreParams - Extra params to drop (e.g. date windows computed from "today")
+ * @returns {string} Fixture key
+ */
+function fixtureKey(method, url, ignoreParams = []) {
+    const parsed = new URL(url);
+    const dropped = new Set([...SECRET_PARAMS, ...ignoreParams].map(p => p.toLowerCase()));
+    const params = Array.from(parsed.searchParams.entries())
+        .filter(([key]) => !dropped.has(key.toLowerCase()))
+        .sort(([a, av], [b, bv]) => (a === b ? av.localeCompare(bv) : a.localeCompare(b)));
+
+    const query = new URLSearchParams(params).toString();
+    return `${(method || 'GET').toUpperCase()} ${parsed.origin}${parsed.pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Stable 32-bit FNV-1a hash, used for fixture file names
+ * @param {string} text - Input
+ * @returns {string} 8-character hex hash
+ */
+function hashKey(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Relative fixture path for a key: <host>/<path-slug>_<hash>.json
+ * @param {string} key - Fixture key
+ * @returns {string} Relative path
+ */
+function fixturePath(key) {
+    const url = new URL(key.slice(key.indexOf(' ') + 1));
+    const slug = url.pathname.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 80) || 'root';
+    return `${url.host}/${slug}_${hashKey(key)}.json`;
+}
+
+/**
+ * Mask the values of credential query parameters anywhere in a text
+ * @param {string} text - Response body or header value
+ * @returns {string} Text with every SECRET_PARAMS value replaced by REDACTED
+ */
+function redactSecrets(text) {
+    return text.replace(SECRET_PARAM_PATTERN, (match, separator, name) => `${separator}${name}=${REDACTED}`);
+}
+
+/**
+ * Serialize a Response into a fixture record (reads a clone, the original stays usable).
+ * Credentials in the body and headers are masked so fixture files never hold a live key.
+ * @param {string} key - Fixture key
+ * @param {Response} response - Fetch response
+ * @returns {Promise<object>} Fixture record
+ */
+async function responseToFixture(key, response) {
+    const headers = {};
+    response.headers.forEach((value, name) => {
+        headers[name] = redactSecrets(value);
+    });
+
+    return {
+        key: key,
+        status: response.status,
+        statusText: response.statusText,
+        headers: headers,
+        body: redactSecrets(await response.clone().text()),
+        recordedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Rebuild a Response from a fixture record
+ * @param {object} fixture - Fixture record
+ * @returns {Response} Fetch response
+ */
+function fixtureToResponse(fixture) {
+    // Null-body statuses can't carry a body
+    const body = [204, 304].includes(fixture.status) ? null : fixture.body;
+    return new Response(body, {
+        status: fixture.status,
+        statusText: fixture.statusText,
+        headers: fixture.headers
+    });
+}
+
+/**
+ * In-memory fixture store. Works everywhere; export with toJSON() and load() a saved bundle.
+ */
+class MemoryFixtureStore {
+    constructor(bundle = {}) {
+        this.fixtures = new Map(Object.entries(bundle));
+    }
+
+    async get(key) {
+        return this.fixtures.get(key) || null;
+    }
+
+    async set(key, fixture) {
+        this.fixtures.set(key, fixture);
+    }
+
+    load(bundle) {
+        Object.entries(bundle).forEach(([key, fixture]) => this.fixtures.set(key, fixture));
+    }
+
+    toJSON() {
+        return Object.fromEntries(this.fixtures);
+    }
+}
+
+/**
+ * Fixture files on disk, one JSON file per request (Node.js)
+ */
+class FileFixtureStore {
+    constructor(directory = DEFAULT_FIXTURE_DIR) {
+        this.directory = directory.replace(/\/+$/, '');
+    }
+
+    async get(key) {
+        const fs = await import('node:fs/promises');
+        try {
+            return JSON.parse(await fs.readFile(`${this.directory}/${fixturePath(key)}`, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async set(key, fixture) {
+        const fs = await import('node:fs/promises');
+        const path = `${this.directory}/${fixturePath(key)}`;
+        await fs.mkdir(path.slice(0, path.lastIndexOf('/')), { recursive: true });
+        await fs.writeFile(path, JSON.stringify(fixture, null, 2));
+    }
+}
+
+/**
+ * Read-only fixture files served over HTTP next to the app (browser replay)
+ */
+class HTTPFixtureStore {
+    constructor(baseUrl = DEFAULT_FIXTURE_DIR, fetchImpl = globalThis.fetch) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.fetchImpl = fetchImpl;
+    }
+
+    async get(key) {
+        try {
+            const response = await this.fetchImpl(`${this.baseUrl}/${fixturePath(key)}`);
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async set() {
+        throw new Error('HTTPFixtureStore is read-only; record fixtures with FileFixtureStore or MemoryFixtureStore');
+    }
+}
+
+/**
+ * Transport that talks to the network
+ * @param {Function} fetchImpl - fetch implementation
+ * @returns {object} Transport { mode, fetch }
+ */
+export function createLiveTransport(fetchImpl = (...args) => globalThis.fetch(...args)) {
+    return {
+        mode: TRANSPORT_MODES.LIVE,
+        fetch: (url, init = {}) => fetchImpl(url, init)
+    };
+}
+
+/**
+ * Transport that talks to the network and saves every response as a fixture
+ * @param {Object} options - { store, ignoreParams, fetchImpl }
+ * @returns {object} Transport { mode, store, fetch }
+ */
+export function createRecordingTransport(options = {}) {
+    const {
+        store = new MemoryFixtureStore(),
+        ignoreParams = [],
+        fetchImpl = (...args) => globalThis.fetch(...args)
+    } = options;
+
+    return {
+        mode: TRANSPORT_MODES.RECORD,
+        store: store,
+        async fetch(url, init = {}) {
+            const response = await fetchImpl(url, init);
+            const key = fixtureKey(init.method, String(url), ignoreParams);
+            try {
+                await store.set(key, await responseToFixture(key, response));
+            } catch (error) {
+                console.warn(`[Transport] Could not record ${key}:`, error);
+            }
+            return response;
+        }
+    };
+}
+
+/**
+ * Transport that serves responses from fixtures only
+ * @param {Object} options - { store, ignoreParams }
+ * @returns {object} Transport { mode, store, fetch }
+ */
+export function createReplayTransport(options = {}) {
+    const { store = new MemoryFixtureStore(), ignoreParams = [] } = options;
+
+    return {
+        mode: TRANSPORT_MODES.REPLAY,
+        store: store,
+        async fetch(url, init = {}) {
+            if (init.signal?.aborted) {
+                throw init.signal.reason ?? new DOMException('The operation was aborted', 'AbortError');
+            }
+
+            const key = fixtureKey(init.method, String(url), ignoreParams);
+            const fixture = await store.get(key);
+            if (!fixture) {
+                // Not retryable: replaying the same request can't produce a fixture
+                throw new APIError(`No recorded fixture for ${key}`, { endpoint: String(url).split('?')[0] });
+            }
+            return fixtureToResponse(fixture);
+        }
+    };
+}
+
+let activeTransport = createLiveTransport();
+
+/**
+ * Send a request through the active transport (drop-in for fetch)
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init options
+ * @returns {Promise<Response>} Response
+ */
+export function transportFetch(url, init = {}) {
+    return activeTransport.fetch(url, init);
+}
+
+/**
+ * Get the active transport
+ * @returns {object} Transport
+ */
+export function getTransport() {
+    return activeTransport;
+}
+
+/**
+ * Replace the active transport (e.g. with a custom one in tests)
+ * @param {object} transport - Object with a fetch(url, init) method
+ */
+export function setTransport(transport) {
+    activeTransport = transport;
+}
+
+/**
+ * Switch transport mode
+ * @param {Object} options - { mode: 'live' | 'record' | 'replay', store, ignoreParams }
+ * @returns {object} The new active transport
+ */
+export function configureTransport(options = {}) {
+    const { mode = TRANSPORT_MODES.LIVE } = options;
+
+    switch (mode) {
+        case TRANSPORT_MODES.RECORD:
+            activeTransport = createRecordingTransport(options);
+            break;
+        case TRANSPORT_MODES.REPLAY:
+            activeTransport = createReplayTransport(options);
+            break;
+        case TRANSPORT_MODES.LIVE:
+            activeTransport = createLiveTransport();
+            break;
+        default:
+            throw new Error(`Unknown transport mode: ${mode}`);
+    }
+
+    console.log(`[Transport] Mode set to ${mode}`);
+    return activeTransport;
+}
+
+/**
+ * Pick the transport mode from the environment:
+ * CALDASPACE_TRANSPORT / CALDASPACE_FIXTURES in Node, localStorage 'caldaspace_transport' in the browser.
+ * Fixtures live in ./fixtures by default (files in Node, served over HTTP in the browser).
+ * @returns {object} The active transport
+ */
+export function configureTransportFromEnvironment() {
+    const isNode = typeof process !== 'undefined' && !!process.versions?.node;
+    const mode = isNode
+        ? process.env.CALDASPACE_TRANSPORT
+        : (typeof localStorage !== 'undefined' ? localStorage.getItem('caldaspace_transport') : null);
+
+    if (!mode || mode === TRANSPORT_MODES.LIVE) {
+        return activeTransport;
+    }
+
+    const directory = (isNode ? process.env.CALDASPACE_FIXTURES : null) || DEFAULT_FIXTURE_DIR;
+    const store = isNode
+        ? new FileFixtureStore(directory)
+        : (mode === TRANSPORT_MODES.REPLAY ? new HTTPFixtureStore(directory) : new MemoryFixtureStore());
+
+    return configureTransport({ mode, store });
+}
+
+// Honour CALDASPACE_TRANSPORT / localStorage as soon as any module loads
+configureTransportFromEnvironment();
+
+export {
+    TRANSPORT_MODES,
+    fixtureKey,
+    fixturePath,
+    MemoryFixtureStore,
+    FileFixtureStore,
+    HTTPFixtureStore
+};